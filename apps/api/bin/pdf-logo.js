@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Runs the processing pipeline on local files, without the HTTP server, queue or job store.
+//
+//   pdf-logo clean <file.pdf | dir ...> [--format style_a] [--mode overlay] [--roi footer_right] [--out cleaned] [--verbose]
+//
+// Cleaned PDFs keep their file names in --out, each with a <name>.audit.json next to it. Exit codes:
+// 0 when every file was cleaned, 2 when some file needs review (same rule as API jobs), 1 on errors.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const USAGE = `Usage: pdf-logo clean <file.pdf | dir ...> [options]
+
+Options:
+  --format <key>   format profile (default style_a)
+  --mode <mode>    overlay, hard or redact (default overlay)
+  --roi <spec>     search regions replacing the profile's, e.g. footer_right,header:first
+  --out <dir>      output directory (default cleaned)
+  --verbose        print the processor log
+  -h, --help       show this help`;
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", default: "style_a" },
+      mode: { type: "string", default: "overlay" },
+      roi: { type: "string" },
+      out: { type: "string", default: "cleaned" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values, positionals } = args;
+const [command, ...inputs] = positionals;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (command !== "clean" || inputs.length === 0) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// The processor log goes to stdout and would interleave with the tables, so it is off unless asked for.
+// Config is read on import, hence the dynamic imports below.
+process.env.WORKER_VERBOSE = values.verbose ? "true" : "false";
+const { parseRoiSpec } = await import("../src/detectors/roi.js");
+const { getFormatProfile } = await import("../src/formats.js");
+const { REMOVAL_MODES, buildJobSettings, needsReview, processPdf } = await import("../src/processor.js");
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// `npm run` changes into apps/api; relative paths are meant from where the command was typed.
+const baseDir = process.env.INIT_CWD || process.cwd();
+
+async function listPdfs(paths) {
+  const files = [];
+  for (const input of paths) {
+    const stat = await fs.stat(input).catch(() => null);
+    if (!stat) {
+      fail(`${input}: not found`);
+    } else if (stat.isDirectory()) {
+      const names = (await fs.readdir(input)).filter((name) => name.toLowerCase().endsWith(".pdf")).sort();
+      files.push(...names.map((name) => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+function printPages(result) {
+  console.log("page | score | action | detections | reference");
+  for (const page of result.pages) {
+    console.log([
+      page.pageNumber,
+      page.detectionScore.toFixed(4),
+      page.action,
+      page.detections.length,
+      page.matchedReference || "-"
+    ].join(" | "));
+  }
+}
+
+if (!(await getFormatProfile(values.format).catch(() => null))) fail(`Unknown format "${values.format}"`);
+if (!REMOVAL_MODES.includes(values.mode)) fail(`Invalid mode. Use ${REMOVAL_MODES.join(", ")}.`);
+let rois = null;
+if (values.roi) {
+  try {
+    rois = parseRoiSpec(values.roi);
+  } catch (error) {
+    fail(`Invalid roi. ${error.message}`);
+  }
+}
+
+const outDir = path.resolve(baseDir, values.out);
+const files = await listPdfs(inputs.map((input) => path.resolve(baseDir, input)));
+if (files.length === 0) fail("No PDFs found.");
+await fs.mkdir(outDir, { recursive: true });
+
+const settings = buildJobSettings({ format: values.format, mode: values.mode, rois });
+let failed = 0;
+let review = 0;
+for (const inputPath of files) {
+  const outputPath = path.join(outDir, path.basename(inputPath));
+  const auditPath = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}.audit.json`);
+  console.log(`\n${path.relative(baseDir, inputPath)}`);
+  if (outputPath === inputPath) {
+    console.error("  skipped: the output would overwrite the input; choose another --out");
+    failed += 1;
+    continue;
+  }
+
+  try {
+    const result = await processPdf({ inputPath, outputPath, auditPath, settings });
+    printPages(result);
+    const status = needsReview(result) ? "needs_review" : "completed";
+    if (status === "needs_review") review += 1;
+    console.log(`-> ${status}: removed=${result.removedCount} review=${result.reviewCount} ${path.relative(baseDir, outputPath)}`);
+  } catch (error) {
+    console.error(`  failed: ${error instanceof Error ? error.message : String(error)}`);
+    failed += 1;
+  }
+}
+
+console.log(`\n${files.length} file(s): ${files.length - failed - review} completed, ${review} need review, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;
+else if (review > 0) process.exitCode = 2;
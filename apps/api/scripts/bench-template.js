@@ -0,0 +1,199 @@
+// Template matcher benchmark: the detector's search (coarse level, seeds refined at full resolution, pruned
+// sparse scorer) against the exhaustive reference (every full-resolution template at every step-3 window,
+// scored pixel by pixel), on the same rendered pages, search zones and templates. Reports runtime and
+// whether the search found every reference match. The baseline column is the matcher before the detector
+// plugins: five fixed template widths, 1px edges without blur, exact edge hits, every step-3 window.
+//
+//   npm --workspace apps/api run bench:template -- [--format style_a] [--pages 5] [file.pdf | dir ...]
+//
+// Without paths it reads every PDF in samples/input-pdf. Exits with 1 when the search missed a match, or scored
+// below the baseline on a page where the baseline reached the review threshold.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import sharp from "sharp";
+
+import { config } from "../src/config.js";
+import { boxIou } from "../src/detectors/geometry.js";
+import { roisForPage } from "../src/detectors/roi.js";
+import {
+  buildEdgePyramid,
+  computeEdgeMap,
+  findTemplateMatches,
+  loadLogoTemplates,
+  templateSearchZones
+} from "../src/detectors/template.js";
+import { getFormatProfile } from "../src/formats.js";
+import { listLogoReferenceFiles } from "../src/logo-refs.js";
+import { renderPageToPngBuffer } from "../src/processor.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: "string", default: "style_a" },
+    pages: { type: "string", default: "5" }
+  }
+});
+
+async function listPdfs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const stat = await fs.stat(input).catch(() => null);
+    if (!stat) {
+      console.error(`skipping ${input}: not found`);
+    } else if (stat.isDirectory()) {
+      const names = (await fs.readdir(input)).filter((name) => name.toLowerCase().endsWith(".pdf")).sort();
+      files.push(...names.map((name) => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+function timed(run) {
+  const start = performance.now();
+  const result = run();
+  return { result, ms: performance.now() - start };
+}
+
+// The search refines seeds found at half resolution 1px apart where the reference steps by 3, so its window
+// can differ by a pixel or two: it may score a little higher, or this much lower.
+const SCORE_TOLERANCE = 0.02;
+
+// The best reference match (when it reaches the review threshold) and every one reaching the auto threshold
+// have a search match on the same logo (same reference, IoU >= 0.5) scoring as high. Weaker reference
+// matches, such as a small template on part of a bigger logo, may be missed.
+function foundAll(reference, search, minScore) {
+  const required = reference.filter((match, index) => match.score >= (index === 0 ? minScore : config.matchAutoThreshold));
+  return required.every((expected) => search.some((match) => match.matchedReference === expected.matchedReference
+    && boxIou(match.bboxPx, expected.bboxPx) >= 0.5
+    && match.score >= expected.score - SCORE_TOLERANCE));
+}
+
+// Baseline matcher, as it was before the detector plugins. Alpha is dropped before reading gray pixels (the old
+// code read gray and alpha pairs as gray pixels), so this is the old matching at its best.
+const BASELINE_WIDTHS_PX = [90, 120, 150, 190, 230];
+
+async function loadBaselineTemplates(selection) {
+  const templates = [];
+  for (const file of await listLogoReferenceFiles(selection)) {
+    const trimmed = await sharp(file).rotate().flatten({ background: "#ffffff" }).trim().grayscale().png().toBuffer();
+    for (const targetWidth of BASELINE_WIDTHS_PX) {
+      const { data, info } = await sharp(trimmed)
+        .resize({ width: targetWidth, fit: "inside", withoutEnlargement: false })
+        .toColourspace("b-w")
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      if (info.width < 40 || info.height < 12) continue;
+      const edges = computeEdgeMap(new Uint8Array(data), info.width, info.height);
+      if (edges.reduce((sum, edge) => sum + edge, 0) < 40) continue;
+      templates.push({ refName: path.basename(file), width: info.width, height: info.height, edges });
+    }
+  }
+  return templates;
+}
+
+function baselineScoreAt(pageEdges, pageWidth, x, y, template) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  for (let ty = 0; ty < template.height; ty += 1) {
+    const pageRow = (y + ty) * pageWidth;
+    const tRow = ty * template.width;
+    for (let tx = 0; tx < template.width; tx += 1) {
+      const p = pageEdges[pageRow + x + tx];
+      const t = template.edges[tRow + tx];
+      if (p && t) tp += 1;
+      else if (p) fp += 1;
+      else if (t) fn += 1;
+    }
+  }
+  const denom = tp + (0.65 * fp) + (1.25 * fn);
+  return denom > 0 ? tp / denom : 0;
+}
+
+async function baselineBestScore(png, width, height, templates, zones) {
+  const { data } = await sharp(png).removeAlpha().toColourspace("b-w").raw().toBuffer({ resolveWithObject: true });
+  const pageEdges = computeEdgeMap(new Uint8Array(data), width, height);
+  let best = 0;
+  for (const template of templates) {
+    for (const zone of zones) {
+      for (let y = zone.y0; y <= zone.y1 - template.height; y += 3) {
+        for (let x = zone.x0; x <= zone.x1 - template.width; x += 3) {
+          best = Math.max(best, baselineScoreAt(pageEdges, width, x, y, template));
+        }
+      }
+    }
+  }
+  return best;
+}
+
+const formatProfile = await getFormatProfile(values.format);
+if (!formatProfile) {
+  console.error(`Unknown format "${values.format}"`);
+  process.exit(1);
+}
+const maxPages = Number(values.pages);
+const files = await listPdfs(positionals.length > 0 ? positionals : [path.join(config.repoRoot, "samples/input-pdf")]);
+if (files.length === 0) {
+  console.error("No PDFs to benchmark. Pass files or directories, or put PDFs in samples/input-pdf.");
+  process.exit(1);
+}
+
+const selection = { names: formatProfile.logoRefs, sets: formatProfile.logoSets };
+const templates = await loadLogoTemplates(undefined, selection);
+const baselineTemplates = await loadBaselineTemplates(selection);
+const options = { step: 3, minScore: config.matchReviewThreshold, iouThreshold: config.detectionIouThreshold };
+console.log(`${templates.length} template variants, renderScale=${config.renderScale}, minScore=${options.minScore}`);
+console.log("file | page | exhaustive ms | search ms | baseline score | exhaustive score | search score | found");
+
+let exhaustiveTotal = 0;
+let searchTotal = 0;
+let missing = 0;
+let belowBaseline = 0;
+let pages = 0;
+for (const file of files) {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(await fs.readFile(file)) }).promise;
+  for (let pageNumber = 1; pageNumber <= Math.min(doc.numPages, maxPages); pageNumber += 1) {
+    const { png, width, height } = await renderPageToPngBuffer(await doc.getPage(pageNumber), config.renderScale);
+    const { zones } = await templateSearchZones(png, width, height, {
+      rois: roisForPage(formatProfile.rois, pageNumber, doc.numPages),
+      formatProfile
+    });
+    const pyramid = await buildEdgePyramid(png, width);
+
+    const exhaustive = timed(() => findTemplateMatches(pyramid, templates, zones, { ...options, exhaustive: true }));
+    const search = timed(() => findTemplateMatches(pyramid, templates, zones, options));
+    const found = foundAll(exhaustive.result, search.result, options.minScore);
+    const baseline = await baselineBestScore(png, width, height, baselineTemplates, zones);
+    const searchScore = search.result[0].score;
+    // Only pages where the baseline found a logo count; elsewhere a lower score is no loss.
+    const lost = baseline >= options.minScore && searchScore < baseline;
+    exhaustiveTotal += exhaustive.ms;
+    searchTotal += search.ms;
+    pages += 1;
+    if (!found) missing += 1;
+    if (lost) belowBaseline += 1;
+    console.log([
+      path.basename(file),
+      pageNumber,
+      exhaustive.ms.toFixed(0),
+      search.ms.toFixed(0),
+      baseline.toFixed(4),
+      exhaustive.result[0].score.toFixed(4),
+      `${searchScore.toFixed(4)}${lost ? " (below baseline)" : ""}`,
+      found ? "yes" : "NO"
+    ].join(" | "));
+  }
+  await doc.destroy();
+}
+
+console.log(
+  `${pages} page(s): exhaustive ${exhaustiveTotal.toFixed(0)} ms, search ${searchTotal.toFixed(0)} ms, `
+  + `${(exhaustiveTotal / Math.max(searchTotal, 1)).toFixed(1)}x faster, ${missing} page(s) with missed matches, `
+  + `${belowBaseline} page(s) scoring below the baseline`
+);
+if (missing > 0 || belowBaseline > 0) process.exitCode = 1;
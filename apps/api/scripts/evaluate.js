@@ -0,0 +1,278 @@
+// Detection accuracy against labeled PDFs: runs the configured pipeline (detector, embedded prepass, cascade)
+// on every labeled file and reports precision, recall, IoU distribution and per-threshold curves, with the
+// thresholds that meet the target recall and precision.
+//
+//   npm --workspace apps/api run evaluate -- <dir> [--truth <dir>/ground-truth.json] [--format style_a]
+//     [--iou 0.5] [--min-score 0.3] [--target-recall 0.9] [--target-precision 0.98] [--report report.json] [--verbose]
+//
+// Ground truth: { "files": { "<file.pdf>": { "pages": { "<pageNumber>": { "logos": [pdfRect, ...] } } } } }
+// with pdfRect { x, y, width, height } in PDF points from the bottom-left corner, like the audit's pdfRect.
+// Unlisted pages of a labeled file have no logo; { "ignore": true } leaves a page out. Unlabeled PDFs are skipped.
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    truth: { type: "string" },
+    format: { type: "string", default: "style_a" },
+    iou: { type: "string", default: "0.5" },
+    "min-score": { type: "string", default: "0.3" },
+    "target-recall": { type: "string", default: "0.9" },
+    "target-precision": { type: "string", default: "0.98" },
+    report: { type: "string" },
+    verbose: { type: "boolean", default: false }
+  }
+});
+
+// The processor log would drown the report; config is read on import, hence the dynamic imports.
+process.env.WORKER_VERBOSE = values.verbose ? "true" : "false";
+const { config } = await import("../src/config.js");
+const { boxIou } = await import("../src/detectors/geometry.js");
+const { getFormatProfile } = await import("../src/formats.js");
+const { buildJobSettings, processPdf } = await import("../src/processor.js");
+const { pdfRectToImageRect } = await import("../src/removal.js");
+
+// `npm run` changes into apps/api; relative paths are meant from where the command was typed.
+const baseDir = process.env.INIT_CWD || process.cwd();
+
+const THRESHOLD_STEP = 0.02;
+const IOU_BUCKETS = 10;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function numberOption(name, min, max) {
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || value < min || value > max) fail(`--${name} must be a number between ${min} and ${max}`);
+  return value;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function formatRatio(value) {
+  return value === null ? "-" : value.toFixed(3);
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+// Greedy matching in descending score order: a prediction takes the unmatched labeled logo it overlaps most,
+// when the IoU reaches minIou. Because higher scores match first, the matches of the predictions above any
+// threshold are the same as when only those predictions exist, so one matching serves every threshold.
+function matchPage(predictions, logos, minIou) {
+  const taken = new Set();
+  const matched = predictions
+    .slice()
+    .sort((a, b) => b.score - a.score)
+    .map((prediction) => {
+      let best = null;
+      logos.forEach((logo, index) => {
+        if (taken.has(index)) return;
+        const iou = boxIou(prediction.bboxPx, logo);
+        if (iou >= minIou && (!best || iou > best.iou)) best = { index, iou };
+      });
+      if (best) taken.add(best.index);
+      return { score: prediction.score, iou: best?.iou ?? null };
+    });
+  // Localization quality: best overlap of every labeled logo with any prediction, 0 when nothing touches it.
+  const bestIous = logos.map((logo) => Math.max(0, ...predictions.map((prediction) => boxIou(prediction.bboxPx, logo))));
+  return { matched, bestIous };
+}
+
+function countAt(results, threshold) {
+  let tp = 0;
+  let fp = 0;
+  let logos = 0;
+  for (const result of results) {
+    logos += result.logos;
+    for (const prediction of result.matched) {
+      if (prediction.score < threshold) continue;
+      if (prediction.iou === null) fp += 1;
+      else tp += 1;
+    }
+  }
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, logos);
+  const f1 = precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null;
+  return { threshold: Number(threshold.toFixed(4)), tp, fp, fn: logos - tp, precision, recall, f1 };
+}
+
+// Expected page action (a labeled logo is to be removed) against the action the thresholds would give.
+function pageActions(results, autoThreshold, reviewThreshold) {
+  const table = { logo: { removed: 0, review: 0, none: 0 }, noLogo: { removed: 0, review: 0, none: 0 } };
+  for (const result of results) {
+    const top = Math.max(0, ...result.matched.map((prediction) => prediction.score));
+    let action = "none";
+    if (top >= autoThreshold) action = "removed";
+    else if (top >= reviewThreshold) action = "review";
+    table[result.logos > 0 ? "logo" : "noLogo"][action] += 1;
+  }
+  return table;
+}
+
+async function readGroundTruth(file) {
+  let truth;
+  try {
+    truth = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (error) {
+    fail(`Cannot read ground truth ${file}: ${error.message}`);
+  }
+  if (!truth?.files || typeof truth.files !== "object") fail(`${file}: expected { "files": { "<file.pdf>": { "pages": { ... } } } }`);
+  for (const [fileName, entry] of Object.entries(truth.files)) {
+    for (const [pageNumber, page] of Object.entries(entry?.pages || {})) {
+      const valid = Number.isInteger(Number(pageNumber)) && Number(pageNumber) >= 1
+        && (page?.ignore === true || (Array.isArray(page?.logos) && page.logos.every((rect) => ["x", "y", "width", "height"].every((key) => Number.isFinite(rect?.[key])))));
+      if (!valid) fail(`${file}: ${fileName} page ${pageNumber} needs "logos": [{ x, y, width, height }] or "ignore": true`);
+    }
+  }
+  return truth.files;
+}
+
+const dir = positionals[0] && path.resolve(baseDir, positionals[0]);
+if (!dir) fail("Usage: evaluate <dir> [--truth file.json] [--format key] [--iou 0.5] [--min-score 0.3] [--report report.json]");
+const minIou = numberOption("iou", 0.01, 1);
+const minScore = numberOption("min-score", 0, 1);
+const targetRecall = numberOption("target-recall", 0, 1);
+const targetPrecision = numberOption("target-precision", 0, 1);
+if (!(await getFormatProfile(values.format).catch(() => null))) fail(`Unknown format "${values.format}"`);
+
+const truthPath = values.truth ? path.resolve(baseDir, values.truth) : path.join(dir, "ground-truth.json");
+const truth = await readGroundTruth(truthPath);
+const pdfNames = (await fs.readdir(dir).catch(() => fail(`${dir}: not a readable directory`))).filter((name) => name.toLowerCase().endsWith(".pdf")).sort();
+const labeled = pdfNames.filter((name) => truth[name]);
+for (const name of pdfNames.filter((name) => !truth[name])) console.warn(`skipping ${name}: not in ${path.basename(truthPath)}`);
+for (const name of Object.keys(truth).filter((name) => !pdfNames.includes(name))) console.warn(`labeled ${name} not found in ${dir}`);
+if (labeled.length === 0) fail("No labeled PDFs to evaluate.");
+
+// Job settings as the API would use them; the review threshold is lowered to --min-score so detections
+// below it still show up in the curves. The auto threshold stays, as it decides which detections the
+// cascade second pass checks.
+const jobSettings = buildJobSettings({ format: values.format, mode: "overlay" });
+const { autoThreshold, reviewThreshold } = jobSettings;
+const settings = { ...jobSettings, reviewThreshold: Math.min(minScore, reviewThreshold) };
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-logo-eval-"));
+const pageResults = [];
+const fileSummaries = [];
+try {
+  for (const name of labeled) {
+    const auditPath = path.join(workDir, `${name}.json`);
+    const start = performance.now();
+    await processPdf({ inputPath: path.join(dir, name), outputPath: path.join(workDir, name), auditPath, settings });
+    const audit = JSON.parse(await fs.readFile(auditPath, "utf-8"));
+    const fileResults = [];
+    for (const page of audit.pages) {
+      const label = truth[name].pages?.[page.pageNumber] || { logos: [] };
+      if (label.ignore) continue;
+      const logos = label.logos.map((rect) => pdfRectToImageRect(rect, page.renderSize, page.pageSize));
+      const { matched, bestIous } = matchPage(page.detections, logos, minIou);
+      fileResults.push({ file: name, pageNumber: page.pageNumber, logos: logos.length, matched, bestIous });
+    }
+    pageResults.push(...fileResults);
+    const counts = countAt(fileResults, autoThreshold);
+    fileSummaries.push({ file: name, pages: fileResults.length, ms: Math.round(performance.now() - start), ...counts });
+  }
+} finally {
+  await fs.rm(workDir, { recursive: true, force: true });
+}
+
+const curve = [];
+for (let threshold = Math.ceil(minScore / THRESHOLD_STEP) * THRESHOLD_STEP; threshold <= 1 + 1e-9; threshold += THRESHOLD_STEP) {
+  curve.push(countAt(pageResults, threshold));
+}
+const atAuto = countAt(pageResults, autoThreshold);
+const atReview = countAt(pageResults, reviewThreshold);
+
+const ious = pageResults.flatMap((result) => result.bestIous).sort((a, b) => a - b);
+const histogram = Array.from({ length: IOU_BUCKETS }, (_, bucket) => ({
+  from: bucket / IOU_BUCKETS,
+  to: (bucket + 1) / IOU_BUCKETS,
+  count: ious.filter((iou) => Math.min(IOU_BUCKETS - 1, Math.floor(iou * IOU_BUCKETS)) === bucket).length
+}));
+
+// Review threshold: the highest one still reaching the target recall (the least review work). Auto threshold:
+// the lowest one whose removals reach the target precision (the most automatic removals).
+const suggestedReview = curve.filter((point) => point.recall !== null && point.recall >= targetRecall).at(-1) || null;
+const suggestedAuto = curve.find((point) => point.precision !== null && point.precision >= targetPrecision && point.tp > 0) || null;
+
+const report = {
+  evaluatedAt: new Date().toISOString(),
+  dir,
+  groundTruth: truthPath,
+  formatKey: values.format,
+  detector: config.detector || config.detectorMode,
+  cascadeSecondPass: config.cascadeSecondPass || null,
+  renderScale: config.renderScale,
+  minIou,
+  files: fileSummaries.length,
+  pages: pageResults.length,
+  logos: pageResults.reduce((total, result) => total + result.logos, 0),
+  thresholds: { autoThreshold, reviewThreshold },
+  atAutoThreshold: atAuto,
+  atReviewThreshold: atReview,
+  pageActions: pageActions(pageResults, autoThreshold, reviewThreshold),
+  iou: {
+    min: quantile(ious, 0),
+    p10: quantile(ious, 0.1),
+    median: quantile(ious, 0.5),
+    p90: quantile(ious, 0.9),
+    mean: ious.length > 0 ? ious.reduce((total, iou) => total + iou, 0) / ious.length : null,
+    histogram
+  },
+  suggested: {
+    targetRecall,
+    targetPrecision,
+    reviewThreshold: suggestedReview?.threshold ?? null,
+    autoThreshold: suggestedAuto?.threshold ?? null
+  },
+  curve,
+  perFile: fileSummaries
+};
+
+console.log(`\n${report.files} file(s), ${report.pages} page(s), ${report.logos} labeled logo(s); IoU >= ${minIou} counts as a match`);
+console.log(`detector=${report.detector}${report.cascadeSecondPass ? ` secondPass=${report.cascadeSecondPass}` : ""} format=${values.format}`);
+
+console.log("\nfile | pages | ms | tp | fp | fn (at auto threshold)");
+for (const file of fileSummaries) console.log([file.file, file.pages, file.ms, file.tp, file.fp, file.fn].join(" | "));
+
+console.log("\nthreshold | precision | recall | f1 | tp | fp | fn");
+for (const point of curve) {
+  const marks = [point.threshold === suggestedReview?.threshold && "suggested review", point.threshold === suggestedAuto?.threshold && "suggested auto"].filter(Boolean);
+  console.log([
+    point.threshold.toFixed(2),
+    formatRatio(point.precision),
+    formatRatio(point.recall),
+    formatRatio(point.f1),
+    point.tp,
+    point.fp,
+    point.fn
+  ].join(" | ") + (marks.length > 0 ? `  <- ${marks.join(", ")}` : ""));
+}
+
+console.log("\nIoU of labeled logos with their best detection");
+for (const bucket of histogram) console.log(`${bucket.from.toFixed(1)}-${bucket.to.toFixed(1)} | ${bucket.count}`);
+console.log(`median=${formatRatio(report.iou.median)} p10=${formatRatio(report.iou.p10)} mean=${formatRatio(report.iou.mean)}`);
+
+const actions = report.pageActions;
+console.log("\npages | removed | review | none");
+console.log(`with logo | ${actions.logo.removed} | ${actions.logo.review} | ${actions.logo.none}`);
+console.log(`without logo | ${actions.noLogo.removed} | ${actions.noLogo.review} | ${actions.noLogo.none}`);
+
+console.log(`\nauto=${autoThreshold}: precision=${formatRatio(atAuto.precision)} recall=${formatRatio(atAuto.recall)}`);
+console.log(`review=${reviewThreshold}: precision=${formatRatio(atReview.precision)} recall=${formatRatio(atReview.recall)}`);
+console.log(`suggested review threshold (recall >= ${targetRecall}): ${suggestedReview ? suggestedReview.threshold.toFixed(2) : "none reaches it"}`);
+console.log(`suggested auto threshold (precision >= ${targetPrecision}): ${suggestedAuto ? suggestedAuto.threshold.toFixed(2) : "none reaches it"}`);
+
+if (values.report) {
+  await fs.writeFile(path.resolve(baseDir, values.report), `${JSON.stringify(report, null, 2)}\n`, "utf-8");
+  console.log(`\nreport written to ${values.report}`);
+}
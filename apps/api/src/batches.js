@@ -0,0 +1,181 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import AdmZip from "adm-zip";
+
+import { config } from "./config.js";
+import { getJob } from "./job-store.js";
+import { getBatchPath, getPaths } from "./storage.js";
+
+export const MAX_BATCH_FILES = 100;
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+// A ZIP upload carries the whole folder, so it may be larger than one PDF.
+export const MAX_BATCH_ZIP_BYTES = 250 * 1024 * 1024;
+// All PDFs of a batch together, once extracted; they are held in memory until the jobs are created.
+export const MAX_BATCH_TOTAL_BYTES = 500 * 1024 * 1024;
+
+const ACTIVE_STATUSES = ["queued", "processing"];
+const FINISHED_STATUSES = ["completed", "needs_review"];
+
+function isZip(fileName, mimetype, data) {
+  return /\.zip$/i.test(fileName) || /zip/.test(mimetype || "") || data.subarray(0, 4).toString("latin1") === "PK\u0003\u0004";
+}
+
+function assertUploadSize(fileName, bytes) {
+  if (bytes > MAX_UPLOAD_BYTES) {
+    throw new RangeError(`${fileName} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+  }
+}
+
+// Adds PDFs to the batch's running totals, rejecting them past the file count or total size.
+function takeFromBudget(budget, files, bytes) {
+  budget.files += files;
+  budget.bytes += bytes;
+  if (budget.files > MAX_BATCH_FILES) throw new RangeError(`A batch holds at most ${MAX_BATCH_FILES} PDFs`);
+  if (budget.bytes > MAX_BATCH_TOTAL_BYTES) {
+    throw new RangeError(`A batch holds at most ${MAX_BATCH_TOTAL_BYTES / 1024 / 1024} MB of PDFs`);
+  }
+}
+
+export function createBatchBudget() {
+  return { files: 0, bytes: 0 };
+}
+
+// PDFs of one uploaded part: the file itself, or every PDF inside a ZIP (folders flattened, macOS metadata
+// and hidden files skipped). Returns [{ fileName, data }]. `budget` carries the totals of the batch's earlier
+// parts; a ZIP's entries are counted by their declared sizes before any is inflated, and adm-zip stops an
+// entry that inflates past its declared size.
+export function readBatchUpload(fileName, mimetype, data, budget = createBatchBudget()) {
+  if (!isZip(fileName, mimetype, data)) {
+    if (!(mimetype || "").includes("pdf")) throw new RangeError(`${fileName}: only PDF or ZIP uploads are allowed`);
+    assertUploadSize(fileName, data.length);
+    takeFromBudget(budget, 1, data.length);
+    return [{ fileName: path.basename(fileName), data }];
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(data).getEntries();
+  } catch (error) {
+    throw new RangeError(`${fileName}: unreadable ZIP (${error.message})`);
+  }
+  const pdfEntries = entries.filter((entry) => {
+    const entryName = path.posix.basename(entry.entryName);
+    return !entry.isDirectory && !entry.entryName.startsWith("__MACOSX/") && !entryName.startsWith(".")
+      && /\.pdf$/i.test(entryName);
+  });
+  if (pdfEntries.length === 0) throw new RangeError(`${fileName} contains no PDF files`);
+
+  let declaredBytes = 0;
+  for (const entry of pdfEntries) {
+    assertUploadSize(path.posix.basename(entry.entryName), entry.header.size);
+    declaredBytes += entry.header.size;
+  }
+  takeFromBudget(budget, pdfEntries.length, declaredBytes);
+
+  return pdfEntries.map((entry) => ({ fileName: path.posix.basename(entry.entryName), data: entry.getData() }));
+}
+
+// Batch records: { batchId, format, mode, createdAt, jobs: [{ jobId, fileName }] }. The jobs themselves
+// stay in the job store; batch status is derived from them on every read.
+export async function saveBatch(batch) {
+  await fs.writeFile(getBatchPath(config.storageRoot, batch.batchId), JSON.stringify(batch, null, 2), "utf-8");
+}
+
+export async function getBatch(batchId) {
+  try {
+    return JSON.parse(await fs.readFile(getBatchPath(config.storageRoot, batchId), "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Aggregate status: "queued" until a job starts, "processing" while any job is queued or running, then
+// "failed" when every job failed, "needs_review" when any job waits for review, else "completed".
+function batchStatus(jobs) {
+  const statuses = jobs.map((job) => job.status);
+  if (statuses.every((status) => status === "queued")) return "queued";
+  if (statuses.some((status) => ACTIVE_STATUSES.includes(status))) return "processing";
+  if (statuses.every((status) => status === "failed")) return "failed";
+  return statuses.includes("needs_review") ? "needs_review" : "completed";
+}
+
+export function summarizeBatch(batch) {
+  const jobs = batch.jobs.map(({ jobId, fileName }) => {
+    const job = getJob(jobId) || { status: "failed", error: "Job not found" };
+    return {
+      jobId,
+      fileName,
+      status: job.status,
+      progress: Number(job.progress || 0),
+      pagesProcessed: Number(job.pagesProcessed || 0),
+      pagesTotal: Number(job.pagesTotal || 0),
+      removedCount: Number(job.removedCount || 0),
+      reviewCount: Number(job.reviewCount || 0),
+      error: job.error || ""
+    };
+  });
+  const count = (status) => jobs.filter((job) => job.status === status).length;
+  const sum = (field) => jobs.reduce((total, job) => total + job[field], 0);
+
+  return {
+    batchId: batch.batchId,
+    status: batchStatus(jobs),
+    format: batch.format,
+    mode: batch.mode,
+    createdAt: batch.createdAt,
+    progress: jobs.length > 0 ? Math.floor(sum("progress") / jobs.length) : 0,
+    filesTotal: jobs.length,
+    queued: count("queued"),
+    processing: count("processing"),
+    completed: count("completed"),
+    needsReview: count("needs_review"),
+    failed: count("failed"),
+    pagesProcessed: sum("pagesProcessed"),
+    pagesTotal: sum("pagesTotal"),
+    removedCount: sum("removedCount"),
+    reviewCount: sum("reviewCount"),
+    jobs
+  };
+}
+
+export function isBatchActive(summary) {
+  return summary.jobs.some((job) => ACTIVE_STATUSES.includes(job.status));
+}
+
+// Cleaned names must be unique inside the ZIP: repeated upload names get "-2", "-3"...
+function uniqueName(fileName, taken) {
+  const { name, ext } = path.parse(fileName);
+  let candidate = fileName;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n += 1) candidate = `${name}-${n}${ext}`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// ZIP of every cleaned PDF of the batch under its uploaded name, plus audit.json holding the batch summary
+// and each job's audit. Failed jobs appear in the audit only.
+export async function buildBatchZip(batch) {
+  const summary = summarizeBatch(batch);
+  const zip = new AdmZip();
+  const taken = new Set(["audit.json"]);
+  const files = [];
+
+  for (const job of summary.jobs) {
+    const entry = { jobId: job.jobId, fileName: job.fileName, status: job.status, error: job.error || null, cleanedFile: null, audit: null };
+    if (FINISHED_STATUSES.includes(job.status)) {
+      const { outputPath, auditPath } = getPaths(config.storageRoot, job.jobId);
+      const output = await fs.readFile(outputPath).catch(() => null);
+      if (output) {
+        entry.cleanedFile = uniqueName(job.fileName, taken);
+        zip.addFile(entry.cleanedFile, output);
+      }
+      entry.audit = JSON.parse(await fs.readFile(auditPath, "utf-8").catch(() => "null"));
+    }
+    files.push(entry);
+  }
+
+  const { jobs, ...totals } = summary;
+  zip.addFile("audit.json", Buffer.from(JSON.stringify({ ...totals, files }, null, 2), "utf-8"));
+  return zip.toBuffer();
+}
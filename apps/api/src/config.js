@@ -1,3 +1,4 @@
+import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import dotenv from "dotenv";
@@ -14,73 +15,97 @@ const storageRoot = process.env.STORAGE_ROOT
   ? path.resolve(repoRoot, process.env.STORAGE_ROOT)
   : path.resolve(repoRoot, ".storage");
 
+const jobStoreDriver = process.env.JOB_STORE_DRIVER || "file";
+const jobStorePath = process.env.JOB_STORE_PATH
+  ? path.resolve(repoRoot, process.env.JOB_STORE_PATH)
+  : path.join(storageRoot, jobStoreDriver === "sqlite" ? "jobs.sqlite" : "jobs.json");
+
 const logoRefsDir = process.env.LOGO_REFS_DIR
   ? path.resolve(repoRoot, process.env.LOGO_REFS_DIR)
   : path.resolve(repoRoot, "samples/logo-refs");
 
+const onnxModelPath = process.env.ONNX_MODEL_PATH
+  ? path.resolve(repoRoot, process.env.ONNX_MODEL_PATH)
+  : path.resolve(repoRoot, "samples/models/logo-detector.onnx");
+
 const replacementBannerPath = process.env.REPLACEMENT_BANNER_PATH
   ? path.resolve(repoRoot, process.env.REPLACEMENT_BANNER_PATH)
   : path.resolve(repoRoot, "samples/footer-banner.png");
 
-const formatABannerPath = process.env.FORMAT_A_BANNER_PATH
-  ? path.resolve(repoRoot, process.env.FORMAT_A_BANNER_PATH)
-  : replacementBannerPath;
-
-const formatBBannerPath = process.env.FORMAT_B_BANNER_PATH
-  ? path.resolve(repoRoot, process.env.FORMAT_B_BANNER_PATH)
-  : path.resolve(repoRoot, "samples/footer-banner-2.png");
+// Format profiles may only point their bannerPath at images inside this directory.
+const bannersDir = process.env.BANNERS_DIR
+  ? path.resolve(repoRoot, process.env.BANNERS_DIR)
+  : path.dirname(replacementBannerPath);
 
-const formatCBannerPath = process.env.FORMAT_C_BANNER_PATH
-  ? path.resolve(repoRoot, process.env.FORMAT_C_BANNER_PATH)
-  : path.resolve(repoRoot, "samples/footer-banner-3.png");
+const formatsDir = process.env.FORMATS_DIR
+  ? path.resolve(repoRoot, process.env.FORMATS_DIR)
+  : path.resolve(repoRoot, "samples/formats");
 
 export const config = {
   // API settings
+  repoRoot,
   apiPort: Number(process.env.PORT || process.env.API_PORT || 3001),
   storageRoot,
   corsOrigin: process.env.CORS_ORIGIN || "http://localhost:3000",
   autoThreshold: Number(process.env.AUTO_THRESHOLD || 0.75),
   reviewThreshold: Number(process.env.REVIEW_THRESHOLD || 0.45),
 
+  // Job store settings
+  jobStoreDriver,
+  jobStorePath,
+
+  // Queue settings (local in-process queue unless a Redis backend is configured)
+  redisUrl: process.env.REDIS_URL || "",
+  queueDriver: process.env.QUEUE_DRIVER || (process.env.REDIS_URL ? "bullmq" : "local"),
+  queueName: process.env.QUEUE_NAME || "pdf-logo-jobs",
+  workerConcurrency: Number(process.env.WORKER_CONCURRENCY || 1),
+  embeddedWorker: String(process.env.EMBEDDED_WORKER || "true").toLowerCase() !== "false",
+  jobMaxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 3),
+  jobBackoffMs: Number(process.env.JOB_BACKOFF_MS || 5000),
+
   // Processor settings (merged from worker config)
   logoRefsDir,
   maxPagesPerJob: Number(process.env.MAX_PAGES_PER_JOB || 200),
   renderScale: Number(process.env.RENDER_SCALE || 1.2),
+  // Worker threads rendering and detecting pages of a job (default: one per spare core, up to 4);
+  // 0 keeps everything on the main thread.
+  pageWorkers: Number(process.env.PAGE_WORKERS || Math.max(0, Math.min(4, os.availableParallelism() - 1))),
+  hardModeRenderScale: Number(process.env.HARD_MODE_RENDER_SCALE || 2.5),
+  redactMinOverlap: Number(process.env.REDACT_MIN_OVERLAP || 0.5),
   openaiApiKey: process.env.OPENAI_API_KEY || "",
   openaiModel: process.env.OPENAI_MODEL || "gpt-4.1-mini",
+  // Any server implementing the Responses API, e.g. a local model server or the stub in test/openai-stub.js.
+  openaiBaseUrl: (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, ""),
+  // A request (answer included) taking longer fails the page, so a stalled server cannot hold a job forever.
+  openaiTimeoutMs: Number(process.env.OPENAI_TIMEOUT_MS || 60000),
   aiMaxPagesPerJob: Number(process.env.AI_MAX_PAGES_PER_JOB || 100),
   aiMaxUsdPer100Pages: Number(process.env.AI_MAX_USD_PER_100_PAGES || 1.0),
   aiImageWidth: Number(process.env.AI_IMAGE_WIDTH || 1200),
   workerVerbose: String(process.env.WORKER_VERBOSE || "true").toLowerCase() !== "false",
   aiPageLimit: Number(process.env.AI_PAGE_LIMIT || 0),
   detectorMode: process.env.DETECTOR_MODE || "deterministic",
+  detector: process.env.DETECTOR || "",
+  detectionIouThreshold: Number(process.env.DETECTION_IOU_THRESHOLD || 0.1),
+  maxDetectionsPerPage: Number(process.env.MAX_DETECTIONS_PER_PAGE || 4),
+  cascadeSecondPass: process.env.CASCADE_SECOND_PASS || "",
+  cascadePolicy: process.env.CASCADE_POLICY || "agree",
+  cascadeMinIou: Number(process.env.CASCADE_MIN_IOU || 0.3),
+  onnxModelPath,
+  onnxInputSize: Number(process.env.ONNX_INPUT_SIZE || 640),
+  onnxScoreThreshold: Number(process.env.ONNX_SCORE_THRESHOLD || 0.25),
+  onnxIouThreshold: Number(process.env.ONNX_IOU_THRESHOLD || 0.45),
+  onnxLabels: (process.env.ONNX_LABELS || "").split(",").map((label) => label.trim()).filter(Boolean),
+  embeddedLogoPrepass: String(process.env.EMBEDDED_LOGO_PREPASS || "true").toLowerCase() !== "false",
+  embeddedLogoMaxDistance: Number(process.env.EMBEDDED_LOGO_MAX_DISTANCE || 10),
+  // Embedded matches farther than this (bits) go to review instead of being removed.
+  embeddedLogoAutoDistance: Number(process.env.EMBEDDED_LOGO_AUTO_DISTANCE || 5),
+  // Rotations (degrees) tried by the template detector for skewed scans, e.g. "-4,-2,0,2,4".
+  templateAngles: [...new Set((process.env.TEMPLATE_ANGLES || "0").split(",").map(Number).filter(Number.isFinite))],
   matchAutoThreshold: Number(process.env.MATCH_AUTO_THRESHOLD || 0.62),
   matchReviewThreshold: Number(process.env.MATCH_REVIEW_THRESHOLD || 0.48),
   debugDrawBoxes: String(process.env.DEBUG_DRAW_BOXES || "false").toLowerCase() === "true",
   replacementBannerPath,
-  forceFooterBanner: String(process.env.FORCE_FOOTER_BANNER || "false").toLowerCase() === "true",
-  formatProfiles: {
-    style_a: {
-      bannerPath: formatABannerPath,
-      footerRatio: Number(process.env.FORMAT_A_FOOTER_RATIO || 0.112),
-      bannerFit: process.env.FORMAT_A_BANNER_FIT || "contain",
-      fillBackground: String(process.env.FORMAT_A_FILL_BG || "true").toLowerCase() === "true",
-      bottomOffsetPx: Number(process.env.FORMAT_A_BOTTOM_OFFSET_PX || 0)
-    },
-    style_b: {
-      bannerPath: formatBBannerPath,
-      footerRatio: Number(process.env.FORMAT_B_FOOTER_RATIO || 0.112),
-      bannerFit: process.env.FORMAT_B_BANNER_FIT || "contain",
-      fillBackground: String(process.env.FORMAT_B_FILL_BG || "true").toLowerCase() === "true",
-      bottomOffsetPx: Number(process.env.FORMAT_B_BOTTOM_OFFSET_PX || 0)
-    },
-    style_c: {
-      bannerPath: formatCBannerPath,
-      footerRatio: Number(process.env.FORMAT_C_FOOTER_RATIO || 0.2402),
-      bannerFit: process.env.FORMAT_C_BANNER_FIT || "cover",
-      fillBackground: String(process.env.FORMAT_C_FILL_BG || "false").toLowerCase() === "true",
-      bottomOffsetPx: Number(process.env.FORMAT_C_BOTTOM_OFFSET_PX || 0),
-      rightOffsetPx: Number(process.env.FORMAT_C_RIGHT_OFFSET_PX || 0)
-    }
-  }
+  bannersDir,
+  formatsDir,
+  forceFooterBanner: String(process.env.FORCE_FOOTER_BANNER || "false").toLowerCase() === "true"
 };
@@ -0,0 +1,56 @@
+import { boxIou } from "./geometry.js";
+
+// How the cascade combines a borderline first pass with the second pass:
+// - agree (default): when both passes find plausible boxes overlapping by at least `minIou`, the page
+//   takes the higher score (the detectors confirm each other); otherwise it takes the lower one.
+// - max: the higher-scoring pass wins, box included.
+// - mean: the average of both scores, with the second pass box when it found one.
+// - second: the second pass replaces the first.
+// The box comes from the pass whose score was kept (the second pass on ties, and always for mean and
+// second), falling back to the first pass box when the second pass found none.
+export const CASCADE_POLICIES = ["agree", "max", "mean", "second"];
+
+function passSummary(detectorName, candidate) {
+  return {
+    detector: detectorName,
+    score: Number((candidate?.score ?? 0).toFixed(4)),
+    bboxPx: candidate?.bboxPx ?? null,
+    matchedReference: candidate?.matchedReference ?? null,
+    templateMatch: candidate?.templateMatch ?? null,
+    plausible: Boolean(candidate?.plausible)
+  };
+}
+
+// Returns { candidate, audit }: the candidate the page continues with and the audit entry for both passes.
+export function combineCascade({ first, second, firstDetector, secondDetector, policy, minIou }) {
+  const secondScore = second?.score ?? 0;
+  const iou = first?.bboxPx && second?.bboxPx ? boxIou(first.bboxPx, second.bboxPx) : 0;
+  const agreed = Boolean(second?.plausible) && Boolean(first?.plausible) && iou >= minIou;
+
+  let score;
+  if (policy === "second") {
+    score = secondScore;
+  } else if (policy === "max") {
+    score = Math.max(first.score, secondScore);
+  } else if (policy === "mean") {
+    score = (first.score + secondScore) / 2;
+  } else {
+    score = agreed ? Math.max(first.score, secondScore) : Math.min(first.score, secondScore);
+  }
+
+  const useSecond = Boolean(second?.bboxPx) && (policy === "second" || policy === "mean" || score === secondScore);
+  const base = useSecond ? second : first;
+  const candidate = { ...base, score, footerZone: base.footerZone ?? first.footerZone };
+
+  return {
+    candidate,
+    audit: {
+      policy,
+      firstPass: passSummary(firstDetector, first),
+      secondPass: passSummary(secondDetector, second),
+      iou: Number(iou.toFixed(3)),
+      agreed,
+      combinedScore: Number(score.toFixed(4))
+    }
+  };
+}
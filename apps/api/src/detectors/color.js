@@ -0,0 +1,88 @@
+// Footer colors are compared in CIELAB, where the euclidean distance (ΔE*ab, CIE76) follows perceived
+// difference: ~2 is barely visible, ~10 is the same hue lighter or darker, 30+ is another color. RGB
+// objects here use 0..1 channels like pdf-lib's rgb(); raw pixel buffers hold 0..255 bytes.
+export const DEFAULT_COLOR_TOLERANCE = 18;
+
+// Near-white pixels (paper) are never taken as the footer color when auto-sampling.
+const AUTO_WHITE_MIN_CHANNEL = 230;
+// Share of the non-white zone pixels the dominant color needs before it counts as a band color.
+const AUTO_MIN_SHARE = 0.2;
+
+export function hexToRgb(hex) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return { r: ((value >> 16) & 255) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 };
+}
+
+export function rgbToHex({ r, g, b }) {
+  return `#${[r, g, b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+}
+
+function toLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+}
+
+// sRGB (0..1) to CIELAB with a D65 white point.
+export function rgbToLab({ r, g, b }) {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  const fx = labF(((0.4124 * lr) + (0.3576 * lg) + (0.1805 * lb)) / 0.95047);
+  const fy = labF((0.2126 * lr) + (0.7152 * lg) + (0.0722 * lb));
+  const fz = labF(((0.0193 * lr) + (0.1192 * lg) + (0.9505 * lb)) / 1.08883);
+  return { l: (116 * fy) - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function deltaE(lab1, lab2) {
+  return Math.hypot(lab1.l - lab2.l, lab1.a - lab2.a, lab1.b - lab2.b);
+}
+
+// Per-pixel test against one color. Rendered pages hold few distinct colors, so Lab values are memoized
+// by packed RGB instead of being converted for every pixel.
+export function createColorMatcher(color, tolerance = DEFAULT_COLOR_TOLERANCE) {
+  const target = rgbToLab(color);
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let match = cache.get(key);
+    if (match === undefined) {
+      match = deltaE(rgbToLab({ r: r / 255, g: g / 255, b: b / 255 }), target) <= tolerance;
+      cache.set(key, match);
+    }
+    return match;
+  };
+}
+
+// Dominant non-white color inside `zone` ({ x0, y0, x1, y1 } in pixels of a raw buffer), or null when no
+// color covers enough of it. Pixels are bucketed at 4 bits per channel and the winning bucket is averaged.
+export function sampleDominantColor(raw, width, channels, zone) {
+  const buckets = new Map();
+  let total = 0;
+  for (let y = zone.y0; y < zone.y1; y += 2) {
+    for (let x = zone.x0; x < zone.x1; x += 2) {
+      const idx = (y * width + x) * channels;
+      const r = raw[idx];
+      const g = raw[idx + 1] ?? r;
+      const b = raw[idx + 2] ?? r;
+      if (Math.min(r, g, b) >= AUTO_WHITE_MIN_CHANNEL) continue;
+      total += 1;
+      const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+      const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bucket.count += 1;
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+      buckets.set(key, bucket);
+    }
+  }
+
+  let best = null;
+  for (const bucket of buckets.values()) {
+    if (!best || bucket.count > best.count) best = bucket;
+  }
+  if (!best || best.count < total * AUTO_MIN_SHARE) return null;
+  return { r: best.r / best.count / 255, g: best.g / best.count / 255, b: best.b / best.count / 255 };
+}
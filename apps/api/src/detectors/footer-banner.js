@@ -0,0 +1,37 @@
+import sharp from "sharp";
+
+import { config } from "../config.js";
+import { detectFooterBand, footerColorOptions } from "./template.js";
+
+function log(...args) {
+  if (config.workerVerbose) console.log("[detector:footer-banner]", ...args);
+}
+
+// FORCE_FOOTER_BANNER: the whole footer band is the area to replace on every page, so each page
+// gets one full-width candidate with score 1 (the bottom 11.5% when no footer band is found).
+export function createFooterBannerDetector() {
+  return {
+    name: "footer-banner",
+    id: "footer-banner-v1",
+    embeddedPrepass: false,
+
+    async detect(pageImage, context) {
+      const { png, width, height } = pageImage;
+      const rgbRaw = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+      const footerZone = detectFooterBand(
+        rgbRaw.data,
+        width,
+        height,
+        rgbRaw.info.channels || 3,
+        null,
+        footerColorOptions(context.formatProfile)
+      );
+      const y0 = footerZone ? footerZone.y0 : Math.floor(height * 0.885);
+      const y1 = footerZone ? footerZone.y1 : height - 1;
+
+      const bboxPx = { x: 0, y: y0, width, height: Math.max(1, y1 - y0) };
+      log(`page ${context.pageNumber}: force-banner zone=${bboxPx.x},${bboxPx.y},${bboxPx.width},${bboxPx.height}`);
+      return [{ score: 1, bboxPx, matchedReference: "footer-banner", plausible: true, wideFooterStrip: true, footerZone }];
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// Shared checks on detector boxes (render pixels).
+
+export function isBboxPlausible(bboxPx, pageWidth, pageHeight) {
+  if (!bboxPx) return false;
+  const wr = bboxPx.width / pageWidth;
+  const hr = bboxPx.height / pageHeight;
+  if (wr < 0.05 || wr > 0.42) return false;
+  if (hr < 0.015 || hr > 0.22) return false;
+  return true;
+}
+
+// Intersection over union of two { x, y, width, height } boxes.
+export function boxIou(a, b) {
+  const ix = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const iy = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (ix <= 0 || iy <= 0) return 0;
+  const intersection = ix * iy;
+  return intersection / ((a.width * a.height) + (b.width * b.height) - intersection);
+}
+
+// Greedy non-maximum suppression on { score, bboxPx } candidates, best score first. A candidate is
+// dropped when it overlaps a kept one by more than `iouThreshold`, or when most of the smaller box
+// (CONTAINED_RATIO) lies inside it: a small template window inside a bigger logo is the same logo.
+// `sameGroup(a, b)` limits suppression to candidates of one group (e.g. one ONNX class).
+const CONTAINED_RATIO = 0.7;
+
+export function suppressOverlaps(candidates, iouThreshold, { limit = Infinity, sameGroup = () => true } = {}) {
+  const kept = [];
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    const overlaps = kept.some((other) => sameGroup(other, candidate)
+      && (boxIou(other.bboxPx, candidate.bboxPx) > iouThreshold || containedRatio(other.bboxPx, candidate.bboxPx) > CONTAINED_RATIO));
+    if (!overlaps) kept.push(candidate);
+    if (kept.length >= limit) break;
+  }
+  return kept;
+}
+
+// Share of the smaller box covered by the intersection of both.
+function containedRatio(a, b) {
+  const ix = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const iy = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (ix <= 0 || iy <= 0) return 0;
+  return (ix * iy) / Math.min(a.width * a.height, b.width * b.height);
+}
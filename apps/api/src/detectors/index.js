@@ -0,0 +1,62 @@
+import { config } from "../config.js";
+import { createFooterBannerDetector } from "./footer-banner.js";
+import { createOnnxDetector } from "./onnx.js";
+import { createTemplateDetector } from "./template.js";
+import { createVisionDetector } from "./vision.js";
+
+// Detector plugins. A factory returns { name, id, embeddedPrepass, init?(), detect(pageImage, context) }:
+// - id: detector version written to the audit
+// - embeddedPrepass: whether embedded logo images matched by hash may stand in for this detector
+// - pageImage: { png, width, height }, the page rendered at config.renderScale
+// - context: { pageNumber, formatKey, formatProfile, rois, minScore, firstPass? } (rois: the search regions of
+//   this page, see roi.js; minScore: the review threshold; firstPass: the candidate a cascade second pass checks)
+// - detect() resolves to candidates [{ score, bboxPx, matchedReference, plausible, footerZone?, wideFooterStrip?, aiProbe? }]
+//   with score in 0..1 and bboxPx in render pixels (null when the detector looked but found nothing).
+//   A page may carry several logos, so every match at or above minScore is returned; the processor
+//   applies non-maximum suppression across them.
+const DETECTORS = {
+  template: createTemplateDetector,
+  "template-fine": (options) => createTemplateDetector({ ...options, fine: true }),
+  vision: createVisionDetector,
+  "footer-banner": createFooterBannerDetector,
+  onnx: createOnnxDetector
+};
+
+export const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+// DETECTOR picks a detector explicitly; otherwise FORCE_FOOTER_BANNER and DETECTOR_MODE decide.
+export function resolveDetectorName() {
+  if (config.detector) return config.detector;
+  if (config.forceFooterBanner) return "footer-banner";
+  if (config.detectorMode === "ai-probe" || config.detectorMode === "ai-cut") return "vision";
+  if (config.detectorMode === "onnx") return "onnx";
+  return "template";
+}
+
+function detectorFactory(name) {
+  const factory = DETECTORS[name];
+  if (!factory) throw new Error(`Unknown detector "${name}". Use ${DETECTOR_NAMES.join(", ")}.`);
+  return factory;
+}
+
+// `options.logoRefs` ({ names, sets }) limits reference-based detectors to the format profile's logo references.
+export async function createDetector(name = resolveDetectorName(), options = {}) {
+  const detector = detectorFactory(name)(options);
+  if (detector.init) await detector.init();
+  return detector;
+}
+
+// { name, id, embeddedPrepass } of a detector without initializing it, for a process that leaves detection
+// to page workers.
+export function describeDetector(name = resolveDetectorName(), options = {}) {
+  const { id, embeddedPrepass } = detectorFactory(name)(options);
+  return { name, id, embeddedPrepass };
+}
+
+export function pickBestCandidate(candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (!best || candidate.score > best.score) best = candidate;
+  }
+  return best;
+}
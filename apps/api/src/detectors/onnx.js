@@ -0,0 +1,145 @@
+import fs from "node:fs/promises";
+
+import sharp from "sharp";
+
+import { config } from "../config.js";
+import { isBboxPlausible, suppressOverlaps } from "./geometry.js";
+
+// Gray used by YOLO letterboxing for the padding around the resized page.
+const LETTERBOX_FILL = { r: 114, g: 114, b: 114 };
+const MAX_CANDIDATES = 20;
+
+function log(...args) {
+  if (config.workerVerbose) console.log("[detector:onnx]", ...args);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// onnxruntime-node is an optional dependency: only this detector needs its native binaries.
+async function loadRuntime() {
+  try {
+    return await import("onnxruntime-node");
+  } catch (error) {
+    throw new Error(`The onnx detector needs onnxruntime-node (npm install onnxruntime-node --workspace apps/api): ${error.message}`);
+  }
+}
+
+// Letterboxes the page into a size x size RGB tensor (NCHW, values 0..1) the way YOLO models are trained.
+async function toInputTensor(ort, pageImage, size) {
+  const { png, width, height } = pageImage;
+  const scale = Math.min(size / width, size / height);
+  const resizedWidth = Math.round(width * scale);
+  const resizedHeight = Math.round(height * scale);
+  const padX = Math.floor((size - resizedWidth) / 2);
+  const padY = Math.floor((size - resizedHeight) / 2);
+
+  const data = await sharp(png)
+    .removeAlpha()
+    .resize(resizedWidth, resizedHeight, { fit: "fill" })
+    .extend({
+      top: padY,
+      bottom: size - resizedHeight - padY,
+      left: padX,
+      right: size - resizedWidth - padX,
+      background: LETTERBOX_FILL
+    })
+    .raw()
+    .toBuffer();
+
+  const plane = size * size;
+  const input = new Float32Array(plane * 3);
+  for (let i = 0; i < plane; i += 1) {
+    input[i] = data[i * 3] / 255;
+    input[plane + i] = data[(i * 3) + 1] / 255;
+    input[(plane * 2) + i] = data[(i * 3) + 2] / 255;
+  }
+  return { tensor: new ort.Tensor("float32", input, [1, 3, size, size]), scale, padX, padY };
+}
+
+// Reads a YOLO output tensor into { score, classIndex, cx, cy, width, height } rows (input pixels).
+// YOLOv5 exports are [1, boxes, 5 + classes] with an objectness column; YOLOv8 exports are
+// [1, 4 + classes, boxes] without one. There are always far more boxes than attributes.
+export function decodeYoloOutput(data, dims, scoreThreshold) {
+  const [, first, second] = dims;
+  const transposed = first < second;
+  const boxes = transposed ? second : first;
+  const attributes = transposed ? first : second;
+  const classStart = transposed ? 4 : 5;
+  const at = (box, attribute) => (transposed ? data[(attribute * boxes) + box] : data[(box * attributes) + attribute]);
+
+  const rows = [];
+  for (let box = 0; box < boxes; box += 1) {
+    let classIndex = 0;
+    let classScore = 0;
+    for (let attribute = classStart; attribute < attributes; attribute += 1) {
+      const value = at(box, attribute);
+      if (value > classScore) {
+        classScore = value;
+        classIndex = attribute - classStart;
+      }
+    }
+    const score = transposed ? classScore : classScore * at(box, 4);
+    if (score < scoreThreshold) continue;
+    rows.push({ score, classIndex, cx: at(box, 0), cy: at(box, 1), width: at(box, 2), height: at(box, 3) });
+  }
+  return rows;
+}
+
+// Local YOLO-style object detector exported to ONNX (ONNX_MODEL_PATH), no network needed.
+// Class names come from ONNX_LABELS in class order and are reported as matchedReference.
+export function createOnnxDetector() {
+  let ort = null;
+  let session = null;
+
+  return {
+    name: "onnx",
+    id: "onnx-yolo-v1",
+    embeddedPrepass: true,
+
+    async init() {
+      await fs.access(config.onnxModelPath).catch(() => {
+        throw new Error(`ONNX model not found at ${config.onnxModelPath}`);
+      });
+      ort = await loadRuntime();
+      session = await ort.InferenceSession.create(config.onnxModelPath);
+      log(`loaded ${config.onnxModelPath} inputs=${session.inputNames.join(",")} outputs=${session.outputNames.join(",")}`);
+    },
+
+    async detect(pageImage, context) {
+      const size = config.onnxInputSize;
+      const { tensor, scale, padX, padY } = await toInputTensor(ort, pageImage, size);
+      const outputs = await session.run({ [session.inputNames[0]]: tensor });
+      const output = outputs[session.outputNames[0]];
+
+      const { width, height } = pageImage;
+      const candidates = decodeYoloOutput(output.data, output.dims, config.onnxScoreThreshold).map((row) => {
+        const x0 = clamp((row.cx - (row.width / 2) - padX) / scale, 0, width);
+        const y0 = clamp((row.cy - (row.height / 2) - padY) / scale, 0, height);
+        const x1 = clamp((row.cx + (row.width / 2) - padX) / scale, 0, width);
+        const y1 = clamp((row.cy + (row.height / 2) - padY) / scale, 0, height);
+        const bboxPx = {
+          x: Math.round(x0),
+          y: Math.round(y0),
+          width: Math.max(1, Math.round(x1 - x0)),
+          height: Math.max(1, Math.round(y1 - y0))
+        };
+        return {
+          score: row.score,
+          classIndex: row.classIndex,
+          bboxPx,
+          matchedReference: config.onnxLabels[row.classIndex] || `class_${row.classIndex}`,
+          plausible: isBboxPlausible(bboxPx, width, height)
+        };
+      });
+
+      const kept = suppressOverlaps(candidates, config.onnxIouThreshold, {
+        limit: MAX_CANDIDATES,
+        sameGroup: (a, b) => a.classIndex === b.classIndex
+      });
+      log(`page ${context.pageNumber}: ${kept.length} candidate(s), best=${kept[0] ? kept[0].score.toFixed(3) : "none"}`);
+      return kept;
+    }
+  };
+}
@@ -0,0 +1,95 @@
+// Search regions (ROIs) where logos are looked for, as rectangles normalized to the page (0..1, origin
+// top-left like render pixels). A format profile lists one or more; detectors search only inside them and
+// a candidate whose center falls outside every ROI of its page is not plausible.
+//
+// An ROI is a preset name or { name, x, y, width, height, pages }. `pages` limits it to some pages:
+// "all" (default), "first", "last", "not_first" or an array of page numbers. As a string (env variables,
+// the `roi` upload parameter) ROIs are comma-separated `name[:pages]`, pages being a keyword or page
+// numbers joined with "+": "footer_right,header:first", "top_left:1+3".
+export const ROI_PRESETS = {
+  footer_right: { x: 0.45, y: 0.6, width: 0.55, height: 0.4 },
+  footer_left: { x: 0, y: 0.6, width: 0.55, height: 0.4 },
+  footer: { x: 0, y: 0.6, width: 1, height: 0.4 },
+  header: { x: 0, y: 0, width: 1, height: 0.2 },
+  top_right: { x: 0.45, y: 0, width: 0.55, height: 0.2 },
+  top_left: { x: 0, y: 0, width: 0.55, height: 0.2 },
+  full_page: { x: 0, y: 0, width: 1, height: 1 }
+};
+
+export const DEFAULT_ROIS = ["footer_right"];
+
+const PAGE_KEYWORDS = ["all", "first", "last", "not_first"];
+
+function parsePages(value, label) {
+  if (value === undefined || value === null || value === "") return "all";
+  if (Array.isArray(value)) {
+    if (value.length === 0 || !value.every((page) => Number.isInteger(page) && page > 0)) {
+      throw new Error(`ROI "${label}": pages must be positive page numbers`);
+    }
+    return value;
+  }
+  const text = String(value).trim();
+  if (PAGE_KEYWORDS.includes(text)) return text;
+  if (/^\d+(\+\d+)*$/.test(text)) return parsePages(text.split("+").map(Number), label);
+  throw new Error(`ROI "${label}": pages must be ${PAGE_KEYWORDS.join(", ")} or page numbers`);
+}
+
+function normalizeRoi(item) {
+  if (typeof item === "string") {
+    const [name, pages] = item.trim().split(":");
+    const preset = ROI_PRESETS[name];
+    if (!preset) throw new Error(`Unknown ROI "${name}". Use ${Object.keys(ROI_PRESETS).join(", ")} or a rectangle.`);
+    return { name, ...preset, pages: parsePages(pages, name) };
+  }
+
+  if (!item || typeof item !== "object") throw new Error("An ROI must be a preset name or { x, y, width, height }");
+  const preset = item.name ? ROI_PRESETS[item.name] : null;
+  const roi = { ...preset, ...item };
+  const label = roi.name || "custom";
+  for (const key of ["x", "y", "width", "height"]) {
+    if (!Number.isFinite(roi[key]) || roi[key] < 0 || roi[key] > 1) {
+      throw new Error(`ROI "${label}": ${key} must be a number between 0 and 1`);
+    }
+  }
+  if (roi.width === 0 || roi.height === 0 || roi.x + roi.width > 1.0001 || roi.y + roi.height > 1.0001) {
+    throw new Error(`ROI "${label}" must be a non-empty rectangle inside the page`);
+  }
+  return { name: label, x: roi.x, y: roi.y, width: roi.width, height: roi.height, pages: parsePages(roi.pages, label) };
+}
+
+// Accepts a spec string, a single ROI or an array of them; throws on anything invalid.
+export function parseRoiSpec(spec) {
+  const items = typeof spec === "string"
+    ? spec.split(",").map((part) => part.trim()).filter(Boolean)
+    : [spec].flat();
+  if (items.length === 0) throw new Error("At least one ROI is required");
+  return items.map(normalizeRoi);
+}
+
+export function roisForPage(rois, pageNumber, pageCount) {
+  return rois.filter(({ pages }) => {
+    if (Array.isArray(pages)) return pages.includes(pageNumber);
+    if (pages === "first") return pageNumber === 1;
+    if (pages === "last") return pageNumber === pageCount;
+    if (pages === "not_first") return pageNumber > 1;
+    return true;
+  });
+}
+
+// ROI in render pixels as a { x0, y0, x1, y1 } search zone.
+export function roiToZone(roi, width, height) {
+  return {
+    x0: Math.max(0, Math.floor(roi.x * width)),
+    y0: Math.max(0, Math.floor(roi.y * height)),
+    x1: Math.min(width, Math.ceil((roi.x + roi.width) * width)),
+    y1: Math.min(height, Math.ceil((roi.y + roi.height) * height))
+  };
+}
+
+// Whether the center of `bboxPx` lies inside one of the ROIs.
+export function isBboxInRois(bboxPx, rois, width, height) {
+  if (!bboxPx) return false;
+  const cx = (bboxPx.x + (bboxPx.width / 2)) / width;
+  const cy = (bboxPx.y + (bboxPx.height / 2)) / height;
+  return rois.some((roi) => cx >= roi.x && cx <= roi.x + roi.width && cy >= roi.y && cy <= roi.y + roi.height);
+}
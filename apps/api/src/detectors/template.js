@@ -0,0 +1,455 @@
+import path from "node:path";
+
+import sharp from "sharp";
+
+import { config } from "../config.js";
+import { cachedLogoVariant, listLogoReferenceFiles } from "../logo-refs.js";
+import { createColorMatcher, DEFAULT_COLOR_TOLERANCE, sampleDominantColor } from "./color.js";
+import { isBboxPlausible, suppressOverlaps } from "./geometry.js";
+import { DEFAULT_ROIS, parseRoiSpec, roiToZone } from "./roi.js";
+
+function log(...args) {
+  if (config.workerVerbose) console.log("[detector:template]", ...args);
+}
+
+function widthSeries(min, max, ratio) {
+  const widths = [];
+  for (let width = min; width <= max; width *= ratio) widths.push(Math.round(width * 10) / 10);
+  return widths;
+}
+
+// Logo widths searched, in PDF points, about 7% apart (the blur and edge tolerance below keep a logo up to
+// ~3.5% off its nearest width lined up). Templates are these times config.renderScale pixels wide, so they
+// track the render scale.
+const TEMPLATE_WIDTHS_PT = widthSeries(70, 230, 1.07);
+// Second pass: sizes about 3.5% apart, searched only around the first-pass box.
+const FINE_TEMPLATE_WIDTHS_PT = widthSeries(65, 250, 1.035);
+const FINE_SEARCH_MARGIN = 0.5;
+// Pages and templates are blurred before edge detection, so edges do not depend on how the renderer and
+// the template resize placed the logo on the pixel grid, and a page edge counts as matched within
+// EDGE_TOLERANCE_PX of a template edge.
+const EDGE_BLUR_SIGMA = 1.2;
+const EDGE_TOLERANCE_PX = 1;
+// Image pyramid: pages and templates are first scanned downsampled by COARSE_FACTOR. Per template variant,
+// the best coarse window and up to SEEDS_PER_VARIANT windows scoring SEED_SCORE_RATIO of minScore are then
+// refined at full resolution, REFINE_RADIUS pixels around them (a coarse window can be off by the edge
+// tolerance plus one coarse pixel).
+const COARSE_FACTOR = 2;
+const SEED_SCORE_RATIO = 0.75;
+const SEEDS_PER_VARIANT = 3;
+const REFINE_RADIUS = (COARSE_FACTOR * (EDGE_TOLERANCE_PX + 1)) + 1;
+
+export function computeEdgeMap(gray, width, height, threshold = 22) {
+  const edges = new Uint8Array(width * height);
+  for (let y = 0; y < height - 1; y += 1) {
+    const row = y * width;
+    const nextRow = (y + 1) * width;
+    for (let x = 0; x < width - 1; x += 1) {
+      const idx = row + x;
+      const gx = Math.abs(gray[idx] - gray[idx + 1]);
+      const gy = Math.abs(gray[idx] - gray[nextRow + x]);
+      edges[idx] = (gx + gy) >= threshold ? 1 : 0;
+    }
+  }
+  return edges;
+}
+
+// Footer band color options for a format profile: its backgroundColor, or auto-sampling when it is "auto".
+export function footerColorOptions(formatProfile) {
+  return {
+    color: formatProfile?.backgroundRgb || null,
+    tolerance: formatProfile?.colorTolerance ?? DEFAULT_COLOR_TOLERANCE
+  };
+}
+
+// Rows of the footer color inside `zone` (render pixels, by default the lower 55% of the page), returned
+// as a zone of the same width plus the band `color`; null when the zone has no band. Without a `color`
+// the zone's dominant non-white color is used.
+export function detectFooterBand(raw, width, height, channels, zone = null, { color = null, tolerance = DEFAULT_COLOR_TOLERANCE } = {}) {
+  const { x0, y0: startY, x1, y1: endY } = zone || { x0: 0, y0: Math.floor(height * 0.45), x1: width, y1: height };
+  const bandColor = color || sampleDominantColor(raw, width, channels, { x0, y0: startY, x1, y1: endY });
+  if (!bandColor) return null;
+  const isBandPixel = createColorMatcher(bandColor, tolerance);
+  const minBandHeight = Math.max(24, Math.floor(height * 0.05));
+  const rowBandRatio = new Array(height).fill(0);
+
+  for (let y = startY; y < endY; y += 1) {
+    let bandCount = 0;
+    for (let x = x0; x < x1; x += 1) {
+      const idx = (y * width + x) * channels;
+      const r = raw[idx];
+      const g = raw[idx + 1] ?? raw[idx];
+      const b = raw[idx + 2] ?? raw[idx];
+      if (isBandPixel(r, g, b)) bandCount += 1;
+    }
+    rowBandRatio[y] = bandCount / (x1 - x0);
+  }
+
+  let best = null;
+  let y = startY;
+  while (y < endY) {
+    if (rowBandRatio[y] < 0.28) {
+      y += 1;
+      continue;
+    }
+
+    const bandStart = y;
+    let ratioSum = 0;
+    let bandRows = 0;
+    while (y < endY && rowBandRatio[y] >= 0.2) {
+      ratioSum += rowBandRatio[y];
+      bandRows += 1;
+      y += 1;
+    }
+    const bandEnd = y - 1;
+    const bandHeight = bandEnd - bandStart + 1;
+    const avgRatio = bandRows > 0 ? ratioSum / bandRows : 0;
+
+    if (bandHeight >= minBandHeight) {
+      const score = (bandHeight * 0.7) + (avgRatio * height * 0.3);
+      if (!best || score > best.score) {
+        best = { y0: bandStart, y1: bandEnd, score };
+      }
+    }
+  }
+
+  if (!best) return null;
+  return { x0, y0: best.y0, x1, y1: best.y1 + 1, color: bandColor };
+}
+
+async function edgeVariant(image, minWidth, minHeight) {
+  const variantRaw = await sharp(image).blur(EDGE_BLUR_SIGMA).toColourspace("b-w").raw().toBuffer({ resolveWithObject: true });
+  const w = variantRaw.info.width;
+  const h = variantRaw.info.height;
+  if (!w || !h || w < minWidth || h < minHeight) return null;
+
+  const edges = computeEdgeMap(new Uint8Array(variantRaw.data), w, h);
+  let edgeCount = 0;
+  for (let i = 0; i < edges.length; i += 1) edgeCount += edges[i];
+  if (edgeCount < minWidth) return null;
+  return { width: w, height: h, edges, edgeCount, near: dilateEdges(edges, w, h, EDGE_TOLERANCE_PX) };
+}
+
+// Pixels within `radius` (Chebyshev distance) of an edge.
+function dilateEdges(edges, width, height, radius) {
+  const near = new Uint8Array(edges.length);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!edges[(y * width) + x]) continue;
+      for (let ny = Math.max(0, y - radius); ny <= Math.min(height - 1, y + radius); ny += 1) {
+        near.fill(1, (ny * width) + Math.max(0, x - radius), (ny * width) + Math.min(width - 1, x + radius) + 1);
+      }
+    }
+  }
+  return near;
+}
+
+// Edge templates of one reference for every width (PDF points) and angle (degrees), at full resolution
+// (factor 1) and for the coarse pyramid level. Rotated variants are padded with white to their bounding box.
+async function buildTemplateVariants(file, widthsPt, angles) {
+  // Flattened first: the alpha channel would otherwise survive grayscale() and be read as pixels.
+  const base = await sharp(file).rotate().flatten({ background: "#ffffff" }).trim().grayscale().png().toBuffer();
+  const baseMeta = await sharp(base).metadata();
+  if (!baseMeta.width || !baseMeta.height) return [];
+
+  const variants = [];
+  for (const widthPt of widthsPt) {
+    for (const factor of [1, COARSE_FACTOR]) {
+      const targetWidth = Math.round((widthPt * config.renderScale) / factor);
+      const resized = await sharp(base).resize({ width: targetWidth, fit: "inside", withoutEnlargement: false }).png().toBuffer();
+      for (const angle of angles) {
+        const image = angle ? await sharp(resized).rotate(angle, { background: "#ffffff" }).png().toBuffer() : resized;
+        const variant = await edgeVariant(image, 40 / factor, 12 / factor);
+        if (variant) variants.push({ refName: path.basename(file), widthPt, angle, factor, ...variant });
+      }
+    }
+  }
+  return variants;
+}
+
+// `selection` is { names, sets } as in listLogoReferenceFiles. Variants are cached per reference file.
+export async function loadLogoTemplates(widthsPt = TEMPLATE_WIDTHS_PT, selection = {}, angles = config.templateAngles) {
+  log(`loading logo refs from ${config.logoRefsDir}`);
+  const files = await listLogoReferenceFiles(selection);
+
+  const kind = `template:${config.renderScale}:${widthsPt.join(",")}:${angles.join(",")}`;
+  const templates = [];
+  for (const file of files) {
+    templates.push(...await cachedLogoVariant(kind, file, () => buildTemplateVariants(file, widthsPt, angles)));
+  }
+
+  if (!templates.some((template) => template.factor === 1)) {
+    throw new Error("No usable template variants could be built");
+  }
+
+  log(`${templates.length} template variants ready (angles ${angles.join(", ")})`);
+  return templates;
+}
+
+// Reference scorer: walks every window pixel. Only used by the `exhaustive` search (the benchmark).
+function scoreTemplateAt(pageEdges, pageWidth, x, y, template) {
+  let near = 0;
+  let pageCount = 0;
+  const tW = template.width;
+  const tH = template.height;
+
+  for (let ty = 0; ty < tH; ty += 1) {
+    const pageRow = (y + ty) * pageWidth;
+    const tRow = ty * tW;
+    for (let tx = 0; tx < tW; tx += 1) {
+      if (!pageEdges[pageRow + x + tx]) continue;
+      pageCount += 1;
+      if (template.near[tRow + tx]) near += 1;
+    }
+  }
+  return edgeScore(near, pageCount, template.edgeCount);
+}
+
+// Edge overlap score of a window with P page edges, `near` of them within EDGE_TOLERANCE_PX of one of the
+// template's T edges: tp = min(near, T), fp = P - tp and fn = T - tp, weighted tp / (tp + 0.65 fp + 1.25 fn).
+// It grows with `near`, so min(T, P) bounds it from above.
+function edgeScore(near, pageCount, templateCount) {
+  const tp = Math.min(near, templateCount);
+  const denom = (0.65 * pageCount) + (1.25 * templateCount) - (0.9 * tp);
+  return denom > 0 ? tp / denom : 0;
+}
+
+// Summed-area table of an edge map, (width + 1) x (height + 1), for page edge counts of any window in O(1).
+function edgeIntegral(edges, width, height) {
+  const stride = width + 1;
+  const integral = new Int32Array(stride * (height + 1));
+  for (let y = 0; y < height; y += 1) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x += 1) {
+      rowSum += edges[(y * width) + x];
+      integral[((y + 1) * stride) + x + 1] = integral[(y * stride) + x + 1] + rowSum;
+    }
+  }
+  return integral;
+}
+
+// Window scorer for one pyramid level: (template, x, y, floor) => score, or -1 when the window provably
+// scores below `floor`. Only the pixels near the template's edges are visited (as offsets into the page),
+// windows with too few page edges are skipped through the integral image, and the walk stops as soon as
+// the remaining pixels could no longer lift the score to `floor`. Scores equal scoreTemplateAt's.
+function createWindowScorer(level, { dense = false } = {}) {
+  if (dense) return (template, x, y) => scoreTemplateAt(level.edges, level.width, x, y, template);
+
+  const { edges, width } = level;
+  const stride = width + 1;
+  const integral = edgeIntegral(edges, width, level.height);
+  const offsetCache = new Map();
+  const offsetsOf = (template) => {
+    let offsets = offsetCache.get(template);
+    if (!offsets) {
+      const list = [];
+      for (let ty = 0; ty < template.height; ty += 1) {
+        for (let tx = 0; tx < template.width; tx += 1) {
+          if (template.near[(ty * template.width) + tx]) list.push((ty * width) + tx);
+        }
+      }
+      offsets = Int32Array.from(list);
+      offsetCache.set(template, offsets);
+    }
+    return offsets;
+  };
+
+  return (template, x, y, floor = 0) => {
+    const offsets = offsetsOf(template);
+    const { edgeCount: templateCount } = template;
+    const top = y * stride;
+    const bottom = (y + template.height) * stride;
+    const pageCount = integral[bottom + x + template.width] - integral[top + x + template.width]
+      - integral[bottom + x] + integral[top + x];
+    if (floor > 0 && edgeScore(Math.min(templateCount, pageCount), pageCount, templateCount) < floor) return -1;
+
+    const base = (y * width) + x;
+    let near = 0;
+    for (let i = 0; i < offsets.length; i += 1) {
+      near += edges[base + offsets[i]];
+      if ((i & 63) === 63 && floor > 0) {
+        const reachable = Math.min(near + offsets.length - i - 1, pageCount);
+        if (edgeScore(reachable, pageCount, templateCount) < floor) return -1;
+      }
+    }
+    return edgeScore(near, pageCount, templateCount);
+  };
+}
+
+function toMatch(template, x, y, score) {
+  return {
+    score,
+    bboxPx: { x, y, width: template.width, height: template.height },
+    matchedReference: template.refName,
+    templateMatch: { widthPt: template.widthPt, angle: template.angle }
+  };
+}
+
+// Calls visit(x, y, score) for the windows of `zone` that can reach floor() (read before every window).
+function scanZone(scorer, template, zone, step, floor, visit) {
+  const maxX = zone.x1 - template.width;
+  const maxY = zone.y1 - template.height;
+  for (let y = zone.y0; y <= maxY; y += step) {
+    for (let x = zone.x0; x <= maxX; x += step) {
+      const score = scorer(template, x, y, floor());
+      if (score >= 0) visit(x, y, score);
+    }
+  }
+}
+
+function scaleZone(zone, factor) {
+  return {
+    x0: Math.ceil(zone.x0 / factor),
+    y0: Math.ceil(zone.y0 / factor),
+    x1: Math.floor(zone.x1 / factor),
+    y1: Math.floor(zone.y1 / factor)
+  };
+}
+
+// Best full-resolution window of the seed's variant within REFINE_RADIUS pixels of the coarse position.
+function refineSeed(full, scorer, template, seed) {
+  let best = null;
+  for (let y = Math.max(0, seed.y - REFINE_RADIUS); y <= Math.min(full.height - template.height, seed.y + REFINE_RADIUS); y += 1) {
+    for (let x = Math.max(0, seed.x - REFINE_RADIUS); x <= Math.min(full.width - template.width, seed.x + REFINE_RADIUS); x += 1) {
+      const score = scorer(template, x, y, best ? best.score : 0);
+      if (score >= 0 && (!best || score > best.score)) best = toMatch(template, x, y, score);
+    }
+  }
+  return best;
+}
+
+// Template matching inside `zones` ({ x0, y0, x1, y1 } full-resolution pixels) over an edge pyramid
+// [{ factor: 1, edges, width, height }, { factor: COARSE_FACTOR, ... }]. Variants with a coarse version
+// are scanned on the coarse level and refined around their seeds; the rest (too small to downsample, or no
+// coarse level) are scanned at full resolution every `step` pixels. Matches scoring at least `minScore` are
+// reduced with non-maximum suppression so each logo yields one; when none does, the single best window is
+// still returned so the audit shows how close the page came. Each match reports its templateMatch
+// { widthPt, angle }. `exhaustive` is the benchmark's reference: every full-resolution variant at every
+// `step` window, scored pixel by pixel, without the coarse level or pruning.
+export function findTemplateMatches(pyramid, templates, zones, { step = 3, minScore = 0, iouThreshold = 0.3, exhaustive = false } = {}) {
+  const [full] = pyramid;
+  const coarse = exhaustive ? null : pyramid[1];
+  const fullScorer = createWindowScorer(full, { dense: exhaustive });
+  const coarseScorer = coarse ? createWindowScorer(coarse) : null;
+  let best = { score: 0, bboxPx: null, matchedReference: null };
+  const hits = [];
+  const consider = (match) => {
+    if (match.score > best.score) best = match;
+    if (minScore > 0 && match.score >= minScore) hits.push(match);
+  };
+  // A window matters when it beats the best so far or is a hit.
+  const matchFloor = () => (minScore > 0 ? Math.min(minScore, best.score) : best.score);
+
+  const variantKey = (template) => `${template.refName}|${template.widthPt}|${template.angle}`;
+  const fullTemplates = templates.filter((template) => template.factor === 1);
+  const coarseTemplates = coarse ? templates.filter((template) => template.factor === coarse.factor) : [];
+  const seeded = new Set(coarseTemplates.map(variantKey));
+
+  for (const template of fullTemplates) {
+    if (seeded.has(variantKey(template))) continue;
+    for (const zone of zones) {
+      scanZone(fullScorer, template, zone, step, matchFloor, (x, y, score) => {
+        if (score > best.score || (minScore > 0 && score >= minScore)) consider(toMatch(template, x, y, score));
+      });
+    }
+  }
+
+  const seedScore = minScore * SEED_SCORE_RATIO;
+  const fullVariants = new Map(fullTemplates.map((template) => [variantKey(template), template]));
+  for (const template of coarseTemplates) {
+    const fullTemplate = fullVariants.get(variantKey(template));
+    if (!fullTemplate) continue;
+    let bestSeed = null;
+    const seeds = [];
+    const seedFloor = () => (bestSeed ? (minScore > 0 ? Math.min(seedScore, bestSeed.score) : bestSeed.score) : 0);
+    for (const zone of zones) {
+      scanZone(coarseScorer, template, scaleZone(zone, coarse.factor), 1, seedFloor, (x, y, score) => {
+        const seed = { score, bboxPx: { x: x * coarse.factor, y: y * coarse.factor, width: fullTemplate.width, height: fullTemplate.height } };
+        if (!bestSeed || score > bestSeed.score) bestSeed = seed;
+        if (minScore > 0 && score >= seedScore) seeds.push(seed);
+      });
+    }
+    const refineFrom = seeds.length > 0 ? suppressOverlaps(seeds, 0.5, { limit: SEEDS_PER_VARIANT }) : [bestSeed].filter(Boolean);
+    for (const seed of refineFrom) {
+      const match = refineSeed(full, fullScorer, fullTemplate, seed.bboxPx);
+      if (match) consider(match);
+    }
+  }
+
+  if (hits.length === 0) return [best];
+  return suppressOverlaps(hits, iouThreshold);
+}
+
+// Search zone for the fine pass: the first-pass box grown by FINE_SEARCH_MARGIN of its size on every side.
+function zoneAround(bboxPx, width, height) {
+  const marginX = Math.round(bboxPx.width * FINE_SEARCH_MARGIN);
+  const marginY = Math.round(bboxPx.height * FINE_SEARCH_MARGIN);
+  return {
+    x0: Math.max(0, bboxPx.x - marginX),
+    y0: Math.max(0, bboxPx.y - marginY),
+    x1: Math.min(width, bboxPx.x + bboxPx.width + marginX),
+    y1: Math.min(height, bboxPx.y + bboxPx.height + marginY)
+  };
+}
+
+// Search zones for a rendered page: each ROI of context.rois whole, or only along its footer band when it
+// contains one. footerZone is the first band found.
+export async function templateSearchZones(png, width, height, context = {}) {
+  const rgbRaw = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const channels = rgbRaw.info.channels || 3;
+  const colorOptions = footerColorOptions(context.formatProfile);
+  let footerZone = null;
+  const zones = (context.rois || parseRoiSpec(DEFAULT_ROIS)).map((roi) => {
+    const zone = roiToZone(roi, width, height);
+    const band = detectFooterBand(rgbRaw.data, width, height, channels, zone, colorOptions);
+    if (band && !footerZone) footerZone = band;
+    return band || zone;
+  });
+  return { zones, footerZone };
+}
+
+// Edge maps of the page at full resolution and at the coarse pyramid level.
+export async function buildEdgePyramid(png, width) {
+  const pyramid = [];
+  for (const factor of [1, COARSE_FACTOR]) {
+    const image = factor === 1 ? sharp(png) : sharp(png).resize({ width: Math.round(width / factor) });
+    const levelRaw = await image.blur(EDGE_BLUR_SIGMA).grayscale().toColourspace("b-w").raw().toBuffer({ resolveWithObject: true });
+    const { width: w, height: h } = levelRaw.info;
+    pyramid.push({ factor, width: w, height: h, edges: computeEdgeMap(new Uint8Array(levelRaw.data), w, h) });
+  }
+  return pyramid;
+}
+
+// Edge-based template matching against the logo references, searched inside the page's ROIs.
+// `fine` is the cascade's second pass: more sizes and a 1px step around context.firstPass when given.
+export function createTemplateDetector({ fine = false, logoRefs = {} } = {}) {
+  let templates = null;
+
+  return {
+    name: fine ? "template-fine" : "template",
+    id: fine ? "template-match-fine-v3" : "template-match-v4",
+    embeddedPrepass: true,
+
+    async init() {
+      templates = await loadLogoTemplates(fine ? FINE_TEMPLATE_WIDTHS_PT : TEMPLATE_WIDTHS_PT, logoRefs);
+    },
+
+    async detect(pageImage, context) {
+      const { png, width, height } = pageImage;
+      const { zones: roiZones, footerZone } = await templateSearchZones(png, width, height, context);
+      const pyramid = await buildEdgePyramid(png, width);
+
+      const firstBox = fine ? context.firstPass?.bboxPx : null;
+      const zones = firstBox ? [zoneAround(firstBox, width, height)] : roiZones;
+      log(
+        `page ${context.pageNumber}: match ${fine ? "fine " : ""}zones=${zones.map((zone) => `${zone.x0},${zone.y0}-${zone.x1},${zone.y1}`).join(" ") || "none"}`
+      );
+      const matches = findTemplateMatches(pyramid, templates, zones, {
+        step: fine ? 1 : 3,
+        minScore: context.minScore,
+        iouThreshold: config.detectionIouThreshold
+      });
+      return matches.map((match) => ({ ...match, plausible: isBboxPlausible(match.bboxPx, width, height), footerZone }));
+    }
+  };
+}
@@ -0,0 +1,307 @@
+import path from "node:path";
+
+import sharp from "sharp";
+
+import { config } from "../config.js";
+import { cachedLogoVariant, listLogoReferenceFiles } from "../logo-refs.js";
+import { isBboxPlausible } from "./geometry.js";
+import { DEFAULT_ROIS, parseRoiSpec } from "./roi.js";
+
+function log(...args) {
+  if (config.workerVerbose) console.log("[detector:vision]", ...args);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function extractJsonObject(text) {
+  if (!text) return null;
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function cleanModelJsonText(text) {
+  if (!text) return "";
+  return text
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+}
+
+function responseToText(json) {
+  if (typeof json.output_text === "string" && json.output_text.trim()) return json.output_text;
+  const chunks = [];
+  const output = Array.isArray(json.output) ? json.output : [];
+  for (const item of output) {
+    const content = Array.isArray(item?.content) ? item.content : [];
+    for (const part of content) {
+      if (typeof part?.text === "string" && part.text.trim()) chunks.push(part.text);
+      else if (typeof part?.output_text === "string" && part.output_text.trim()) chunks.push(part.output_text);
+    }
+  }
+  return chunks.join("\n");
+}
+
+export function parseVisionDetections(text) {
+  const cleaned = cleanModelJsonText(text);
+  if (!cleaned) return [];
+
+  try {
+    const data = JSON.parse(cleaned);
+    if (Array.isArray(data)) return data;
+    if (data && typeof data === "object") return [data];
+  } catch {
+    const one = extractJsonObject(cleaned);
+    if (one && typeof one === "object") return [one];
+  }
+
+  // Fallback for truncated array responses: salvage complete object chunks.
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < cleaned.length; i += 1) {
+    const ch = cleaned[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+    if (ch === "\"") {
+      inString = true;
+      continue;
+    }
+    if (ch === "{") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if (ch === "}") {
+      depth -= 1;
+      if (depth === 0 && start >= 0) {
+        const chunk = cleaned.slice(start, i + 1);
+        try {
+          const obj = JSON.parse(chunk);
+          if (obj && typeof obj === "object") objects.push(obj);
+        } catch {
+          // ignore malformed chunk
+        }
+        start = -1;
+      }
+    }
+  }
+  if (objects.length > 0) return objects;
+
+  return [];
+}
+
+async function loadLogoReferenceImages(selection = {}) {
+  const files = await listLogoReferenceFiles(selection);
+
+  const refs = [];
+  for (const file of files) {
+    refs.push(await cachedLogoVariant("vision", file, async () => {
+      const resized = await sharp(file)
+        .rotate()
+        .resize({ width: 512, withoutEnlargement: true, fit: "inside" })
+        .png()
+        .toBuffer();
+      return { name: path.basename(file), mimeType: "image/png", base64: resized.toString("base64") };
+    }));
+  }
+  return refs;
+}
+
+function describeRois(rois) {
+  return rois
+    .map((roi) => `${roi.name} (x=${roi.x}, y=${roi.y}, width=${roi.width}, height=${roi.height})`)
+    .join("; ");
+}
+
+export async function detectLogoWithVision(pagePng, logoRefs, rois = parseRoiSpec(DEFAULT_ROIS)) {
+  const pageForModel = await sharp(pagePng)
+    .resize({ width: config.aiImageWidth, withoutEnlargement: true, fit: "inside" })
+    .png()
+    .toBuffer();
+
+  const content = [
+    {
+      type: "input_text",
+      text:
+        `Find EVERY branding logo (IDECF or Fernando Sanchez) inside these page regions, normalized 0..1 from the top-left corner: ${describeRois(rois)}. There may be several, e.g. two partner logos side by side or one in the header and one in the footer. Return ONLY a JSON array (no markdown) with one object per logo: {found:boolean,confidence:number,bbox:{x:number,y:number,width:number,height:number},matchedReference:string|null}. Return [] when there is none. Ignore title text. Coordinates normalized 0..1.`
+    },
+    { type: "input_text", text: "Page image:" },
+    { type: "input_image", image_url: `data:image/png;base64,${pageForModel.toString("base64")}` }
+  ];
+
+  for (const ref of logoRefs) {
+    content.push({ type: "input_text", text: `Reference logo: ${ref.name}` });
+    content.push({ type: "input_image", image_url: `data:${ref.mimeType};base64,${ref.base64}` });
+  }
+
+  // Local model servers usually take no key; the header is only sent when one is configured.
+  const url = `${config.openaiBaseUrl}/responses`;
+  const headers = { "Content-Type": "application/json" };
+  if (config.openaiApiKey) headers.Authorization = `Bearer ${config.openaiApiKey}`;
+
+  // The timeout covers reading the answer too, so every step below can end in a TimeoutError.
+  const signal = AbortSignal.timeout(config.openaiTimeoutMs);
+  const timedOut = (error) => error?.name === "TimeoutError"
+    ? new Error(`OpenAI request to ${url} timed out after ${config.openaiTimeoutMs} ms (OPENAI_TIMEOUT_MS)`)
+    : null;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      signal,
+      headers,
+      body: JSON.stringify({
+        model: config.openaiModel,
+        temperature: 0,
+        max_output_tokens: 500,
+        input: [{ role: "user", content }]
+      })
+    });
+  } catch (error) {
+    throw timedOut(error) || new Error(`OpenAI request to ${url} failed: ${error.cause?.message || error.message}`);
+  }
+
+  if (!response.ok) {
+    let body;
+    try {
+      body = await response.text();
+    } catch (error) {
+      throw timedOut(error) || error;
+    }
+    throw new Error(`OpenAI request failed (${response.status}): ${body.slice(0, 200)}`);
+  }
+
+  let json;
+  try {
+    json = await response.json();
+  } catch (error) {
+    throw timedOut(error) || new Error(`OpenAI response from ${url} is not JSON`);
+  }
+  const text = responseToText(json);
+  const candidates = parseVisionDetections(text)
+    .map((item) => {
+      const found = Boolean(item?.found);
+      const confidence = clamp(Number(item?.confidence ?? 0), 0, 1);
+      const bbox = item?.bbox
+        ? {
+            x: clamp(Number(item.bbox.x ?? 0), 0, 1),
+            y: clamp(Number(item.bbox.y ?? 0), 0, 1),
+            width: clamp(Number(item.bbox.width ?? 0), 0, 1),
+            height: clamp(Number(item.bbox.height ?? 0), 0, 1)
+          }
+        : null;
+      return {
+        found,
+        confidence,
+        bbox,
+        matchedReference: item?.matchedReference || null
+      };
+    })
+    .filter((c) => c.found && c.bbox && c.bbox.width > 0 && c.bbox.height > 0);
+
+  if (candidates.length === 0) {
+    return { found: false, confidence: 0, bbox: null, matchedReference: null, rawText: text, detections: [] };
+  }
+
+  // Prefer higher confidence and farther-right detections (where your footer logos live).
+  candidates.sort((a, b) => {
+    const qa = a.confidence + (a.bbox.x * 0.1);
+    const qb = b.confidence + (b.bbox.x * 0.1);
+    return qb - qa;
+  });
+
+  const best = candidates[0];
+  return {
+    found: true,
+    confidence: best.confidence,
+    bbox: best.bbox,
+    matchedReference: best.matchedReference,
+    rawText: text,
+    detections: candidates
+  };
+}
+
+// Size gates against full-width title or text detections; where the box may be is up to the ROIs.
+function isLogoBboxSizeValid(bbox) {
+  if (!bbox) return false;
+  const w = Number(bbox.width ?? 0);
+  const h = Number(bbox.height ?? 0);
+  if (w < 0.06 || w > 0.35) return false;
+  if (h < 0.02 || h > 0.15) return false;
+  return true;
+}
+
+function isFooterStripCandidate(bbox) {
+  if (!bbox) return false;
+  const y = Number(bbox.y ?? 0);
+  const w = Number(bbox.width ?? 0);
+  const h = Number(bbox.height ?? 0);
+  return y >= 0.72 && w >= 0.55 && h >= 0.06 && h <= 0.2;
+}
+
+// OpenAI vision model asked for the logos inside the page's ROIs, with the logo references attached to the prompt.
+// Every logo the model reports becomes a candidate; a page where nothing was found still yields one
+// zero-score candidate so the raw answer reaches the audit.
+export function createVisionDetector({ logoRefs = {} } = {}) {
+  let refImages = [];
+
+  return {
+    name: "vision",
+    id: config.detectorMode === "ai-probe" ? "ai-probe-v2" : "ai-cut-v2",
+    embeddedPrepass: false,
+
+    async init() {
+      refImages = await loadLogoReferenceImages(logoRefs);
+    },
+
+    async detect(pageImage, context) {
+      const { png, width, height } = pageImage;
+      if (context.rois?.length === 0) {
+        log(`page ${context.pageNumber}: no ROI on this page, skipping the model call`);
+        return [];
+      }
+      const aiProbe = await detectLogoWithVision(png, refImages, context.rois);
+      if (aiProbe.rawText) log(`page ${context.pageNumber}: ai-raw=${aiProbe.rawText.slice(0, 220)}`);
+      if (aiProbe.detections.length === 0) {
+        log(`page ${context.pageNumber}: ai-probe found=false`);
+        return [{ score: 0, bboxPx: null, matchedReference: null, plausible: false, wideFooterStrip: false, aiProbe }];
+      }
+
+      return aiProbe.detections.map((detection) => {
+        const validLogoBox = isLogoBboxSizeValid(detection.bbox);
+        const wideFooterStrip = isFooterStripCandidate(detection.bbox);
+        const bboxPx = {
+          x: Math.round(detection.bbox.x * width),
+          y: Math.round(detection.bbox.y * height),
+          width: Math.max(1, Math.round(detection.bbox.width * width)),
+          height: Math.max(1, Math.round(detection.bbox.height * height))
+        };
+        const plausible = wideFooterStrip || (validLogoBox && isBboxPlausible(bboxPx, width, height));
+        log(
+          `page ${context.pageNumber}: ai-probe confidence=${detection.confidence.toFixed(3)} validSize=${validLogoBox} wideFooterStrip=${wideFooterStrip} bbox=${JSON.stringify(detection.bbox)} ref=${detection.matchedReference || "n/a"}`
+        );
+        return {
+          score: plausible ? detection.confidence : 0,
+          bboxPx,
+          matchedReference: detection.matchedReference,
+          plausible,
+          wideFooterStrip,
+          aiProbe
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,310 @@
+import path from "node:path";
+
+import {
+  PDFArray,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFString,
+  decodePDFRawStream
+} from "pdf-lib";
+import sharp from "sharp";
+
+import { config } from "./config.js";
+import { cachedLogoVariant, listLogoReferenceFiles } from "./logo-refs.js";
+import { findImagePlacements } from "./redact.js";
+
+// Pre-pass for PDFs that embed the logo bitmap itself: image XObjects drawn on the page are
+// perceptually hashed and compared with the logo references, so matching pages get an exact
+// box without rendering or template matching.
+
+const HASH_BITS = 64;
+// Hashes of images without structure (flat fills) would match each other, never a logo.
+const MIN_HASH_CONTRAST = 8;
+// Placements smaller than this (PDF points) are bullets, icons or masks.
+const MIN_PLACEMENT_SIZE = 8;
+
+function log(...args) {
+  if (config.workerVerbose) console.log("[embedded-logos]", ...args);
+}
+
+// 64-bit difference hash of an image flattened on white, as 16 hex characters.
+// Returns null for images without enough contrast to hash meaningfully.
+async function differenceHash(input, options) {
+  const { data } = await sharp(input, options)
+    .flatten({ background: "#ffffff" })
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (Math.max(...data) - Math.min(...data) < MIN_HASH_CONTRAST) return null;
+
+  let bits = "";
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) bits += data[y * 9 + x] < data[y * 9 + x + 1] ? "1" : "0";
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(HASH_BITS / 4, "0");
+}
+
+export function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+async function hashReference(file) {
+  const variants = [
+    await sharp(file).rotate().toBuffer(),
+    await sharp(file).rotate().trim().toBuffer().catch(() => null)
+  ];
+  const hashes = [];
+  for (const variant of variants) {
+    const hash = variant ? await differenceHash(variant) : null;
+    if (hash && !hashes.includes(hash)) hashes.push(hash);
+  }
+  return hashes;
+}
+
+// Hashes the references in config.logoRefsDir (all, or the { names, sets } selection), as stored and
+// trimmed of their margins.
+export async function loadLogoHashes(selection = {}) {
+  const hashes = [];
+  for (const file of await listLogoReferenceFiles(selection)) {
+    const refName = path.basename(file);
+    for (const hash of await cachedLogoVariant("hash", file, hashReference)) hashes.push({ refName, hash });
+  }
+  log(`hashed ${hashes.length} logo reference variant(s)`);
+  return hashes;
+}
+
+function filterNames(dict) {
+  const filter = dict.lookup(PDFName.of("Filter"));
+  if (filter instanceof PDFName) return [filter.decodeText()];
+  if (filter instanceof PDFArray) return filter.asArray().map((item) => item.decodeText());
+  return [];
+}
+
+function numberOf(dict, key, fallback) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+// Undoes PNG row predictors (Predictor >= 10 in DecodeParms).
+function unpredictPng(data, dict) {
+  const params = dict.lookup(PDFName.of("DecodeParms"));
+  const predictor = params ? numberOf(params, "Predictor", 1) : 1;
+  if (predictor < 10) return predictor === 1 ? data : null;
+
+  const colors = numberOf(params, "Colors", 1);
+  const bpc = numberOf(params, "BitsPerComponent", 8);
+  const columns = numberOf(params, "Columns", 1);
+  const pixelBytes = Math.max(1, Math.ceil((colors * bpc) / 8));
+  const rowBytes = Math.ceil((columns * colors * bpc) / 8);
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = new Uint8Array(rows * rowBytes);
+
+  for (let row = 0; row < rows; row += 1) {
+    const filter = data[row * (rowBytes + 1)];
+    const src = row * (rowBytes + 1) + 1;
+    const dst = row * rowBytes;
+    for (let i = 0; i < rowBytes; i += 1) {
+      const left = i >= pixelBytes ? out[dst + i - pixelBytes] : 0;
+      const up = row > 0 ? out[dst + i - rowBytes] : 0;
+      const upLeft = row > 0 && i >= pixelBytes ? out[dst + i - rowBytes - pixelBytes] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = (data[src + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+function lookupBytes(context, value) {
+  if (value instanceof PDFHexString || value instanceof PDFString) return value.asBytes();
+  const stream = context.lookup(value);
+  return stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : null;
+}
+
+// { kind: "gray" | "rgb" | "cmyk" | "indexed", components, base?, palette? } or null when unsupported.
+function colorSpaceOf(context, value) {
+  const colorSpace = context.lookup(value);
+  const name = colorSpace instanceof PDFName
+    ? colorSpace.decodeText()
+    : colorSpace instanceof PDFArray ? context.lookup(colorSpace.get(0)).decodeText() : null;
+
+  if (name === "DeviceGray" || name === "CalGray" || name === "G") return { kind: "gray", components: 1 };
+  if (name === "DeviceRGB" || name === "CalRGB" || name === "RGB") return { kind: "rgb", components: 3 };
+  if (name === "DeviceCMYK" || name === "CMYK") return { kind: "cmyk", components: 4 };
+  if (name === "ICCBased") {
+    const profile = context.lookup(colorSpace.get(1));
+    const n = numberOf(profile.dict, "N", 3);
+    return n === 1 ? { kind: "gray", components: 1 } : n === 4 ? { kind: "cmyk", components: 4 } : { kind: "rgb", components: 3 };
+  }
+  if (name === "Indexed" || name === "I") {
+    const base = colorSpaceOf(context, colorSpace.get(1));
+    const palette = lookupBytes(context, colorSpace.get(3));
+    if (!base || base.kind === "indexed" || !palette) return null;
+    return { kind: "indexed", components: 1, base, palette };
+  }
+  return null;
+}
+
+function toRgb(color, kind) {
+  if (kind === "gray") return [color[0], color[0], color[0]];
+  if (kind === "cmyk") {
+    const [c, m, y, k] = color.map((value) => value / 255);
+    return [255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k)];
+  }
+  return color;
+}
+
+// Decodes an image XObject to 8-bit interleaved pixels for sharp, or null when the encoding
+// is not supported (JPX, stencil masks, 16-bit...).
+async function decodeImageXObject(context, stream, { asMask = false } = {}) {
+  const { dict } = stream;
+  const filters = filterNames(dict);
+
+  if (filters.length === 1 && filters[0] === "DCTDecode") {
+    return { input: Buffer.from(stream.contents), options: undefined };
+  }
+  if (filters.some((filter) => filter === "DCTDecode" || filter === "JPXDecode" || filter === "JBIG2Decode" || filter === "CCITTFaxDecode")) {
+    return null;
+  }
+  if (dict.lookup(PDFName.of("ImageMask"))?.asBoolean?.()) return null;
+
+  const width = numberOf(dict, "Width", 0);
+  const height = numberOf(dict, "Height", 0);
+  const bpc = numberOf(dict, "BitsPerComponent", 8);
+  const colorSpace = asMask ? { kind: "gray", components: 1 } : colorSpaceOf(context, dict.get(PDFName.of("ColorSpace")));
+  if (!width || !height || !colorSpace || ![1, 2, 4, 8].includes(bpc)) return null;
+
+  const data = unpredictPng(decodePDFRawStream(stream).decode(), dict);
+  if (!data) return null;
+
+  const rowBytes = Math.ceil((width * colorSpace.components * bpc) / 8);
+  if (data.length < rowBytes * height) return null;
+
+  const max = (1 << bpc) - 1;
+  const outChannels = colorSpace.kind === "gray" ? 1 : 3;
+  const pixels = Buffer.alloc(width * height * outChannels);
+  const color = new Array(colorSpace.components);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let c = 0; c < colorSpace.components; c += 1) {
+        const bit = (x * colorSpace.components + c) * bpc;
+        const byte = data[y * rowBytes + (bit >> 3)];
+        const sample = bpc === 8 ? byte : (byte >> (8 - bpc - (bit & 7))) & max;
+        color[c] = colorSpace.kind === "indexed" ? sample : Math.round((sample * 255) / max);
+      }
+
+      let rgb;
+      if (colorSpace.kind === "indexed") {
+        const { base, palette } = colorSpace;
+        const offset = color[0] * base.components;
+        rgb = toRgb(Array.from(palette.subarray(offset, offset + base.components)), base.kind);
+      } else {
+        rgb = colorSpace.kind === "gray" ? color : toRgb(color, colorSpace.kind);
+      }
+      const out = (y * width + x) * outChannels;
+      for (let c = 0; c < outChannels; c += 1) pixels[out + c] = rgb[c];
+    }
+  }
+
+  return { input: pixels, options: { raw: { width, height, channels: outChannels } } };
+}
+
+// Adds the image's soft mask as alpha so transparent areas flatten to white like the references.
+async function withSoftMask(context, stream, decoded) {
+  const mask = context.lookup(stream.dict.get(PDFName.of("SMask")));
+  if (!(mask instanceof PDFRawStream)) return decoded;
+  const decodedMask = await decodeImageXObject(context, mask, { asMask: true });
+  if (!decodedMask) return decoded;
+
+  const { data, info } = await sharp(decoded.input, decoded.options).toColourspace("srgb").raw().toBuffer({ resolveWithObject: true });
+  const alpha = await sharp(decodedMask.input, decodedMask.options)
+    .resize(info.width, info.height, { fit: "fill" })
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const input = await sharp(data, { raw }).removeAlpha().joinChannel(alpha, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+  return { input, options: undefined };
+}
+
+async function hashImageXObject(context, stream) {
+  try {
+    const decoded = await decodeImageXObject(context, stream);
+    if (!decoded) return null;
+    const flattened = await withSoftMask(context, stream, decoded);
+    return await differenceHash(flattened.input, flattened.options);
+  } catch (error) {
+    log(`could not hash image: ${error.message}`);
+    return null;
+  }
+}
+
+// Detection score of an embedded match `distance` bits away. Up to config.embeddedLogoAutoDistance it is
+// the hash similarity; farther matches (up to config.embeddedLogoMaxDistance) get scores strictly between
+// the review and auto thresholds, lower the farther they are, so they are reviewed, not removed.
+export function embeddedMatchScore(distance, { autoThreshold, reviewThreshold }) {
+  const autoDistance = config.embeddedLogoAutoDistance;
+  if (distance <= autoDistance) return 1 - distance / HASH_BITS;
+  const farness = (distance - autoDistance) / (config.embeddedLogoMaxDistance - autoDistance + 1);
+  return autoThreshold - (autoThreshold - reviewThreshold) * farness;
+}
+
+// Image placements on the page that match a logo reference, closest first:
+// [{ pdfRect, distance, matchedReference, xObject, ref, hash }], scored with embeddedMatchScore. Each placement
+// reports its closest reference. `hashCache` (Map) keeps image hashes across pages, since the same XObject is
+// usually shared.
+export async function findEmbeddedLogos(page, logoHashes, hashCache = new Map()) {
+  if (logoHashes.length === 0) return [];
+  const { context } = page.doc;
+
+  const matches = [];
+  for (const placement of findImagePlacements(page)) {
+    const { bounds } = placement;
+    if (bounds.width < MIN_PLACEMENT_SIZE || bounds.height < MIN_PLACEMENT_SIZE) continue;
+
+    const key = placement.ref || placement.stream;
+    if (!hashCache.has(key)) hashCache.set(key, await hashImageXObject(context, placement.stream));
+    const hash = hashCache.get(key);
+    if (!hash) continue;
+
+    let best = null;
+    for (const reference of logoHashes) {
+      const distance = hashDistance(hash, reference.hash);
+      if (distance > config.embeddedLogoMaxDistance) continue;
+      if (best && distance >= best.distance) continue;
+      best = {
+        pdfRect: bounds,
+        distance,
+        matchedReference: reference.refName,
+        xObject: placement.name,
+        ref: placement.ref,
+        hash
+      };
+    }
+    if (best) matches.push(best);
+  }
+
+  // Closest first; between equal distances the larger placement first.
+  const area = (match) => match.pdfRect.width * match.pdfRect.height;
+  return matches.sort((a, b) => a.distance - b.distance || area(b) - area(a));
+}
@@ -0,0 +1,190 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import Ajv from "ajv";
+
+import { config } from "./config.js";
+import { DEFAULT_COLOR_TOLERANCE, hexToRgb } from "./detectors/color.js";
+import { parseRoiSpec } from "./detectors/roi.js";
+import { LOGO_SET_PATTERN } from "./logo-refs.js";
+
+// Format profiles (client styles) are JSON files in config.formatsDir, one per profile, named <key>.json.
+// They are read on every use, so profiles changed through /v1/formats apply to the next job without a
+// restart, also in separate worker processes sharing the directory.
+
+export const FORMAT_KEY_PATTERN = "^[a-z0-9][a-z0-9_-]{0,63}$";
+const BANNER_FILE_PATTERN = /\.(png|jpg|jpeg)$/i;
+
+const ROI_SCHEMA = {
+  anyOf: [
+    { type: "string", minLength: 1 },
+    {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", minLength: 1 },
+        x: { type: "number", minimum: 0, maximum: 1 },
+        y: { type: "number", minimum: 0, maximum: 1 },
+        width: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        height: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+        pages: {
+          anyOf: [
+            { enum: ["all", "first", "last", "not_first"] },
+            { type: "array", minItems: 1, items: { type: "integer", minimum: 1 } }
+          ]
+        }
+      }
+    }
+  ]
+};
+
+export const FORMAT_PROFILE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["label"],
+  properties: {
+    label: { type: "string", minLength: 1, maxLength: 120 },
+    // Relative to the repository root and inside config.bannersDir; the replacement banner drawn by ai-cut
+    // over wide footer strips.
+    bannerPath: { type: "string", minLength: 1, default: path.relative(config.repoRoot, config.replacementBannerPath) },
+    footerRatio: { type: "number", exclusiveMinimum: 0, maximum: 0.5, default: 0.112 },
+    bannerFit: { enum: ["contain", "cover"], default: "contain" },
+    fillBackground: { type: "boolean", default: true },
+    bottomOffsetPx: { type: "number", default: 0 },
+    rightOffsetPx: { type: "number", default: 0 },
+    // Footer band color, used to find the band and to fill behind the banner; "auto" samples it per page.
+    backgroundColor: { type: "string", pattern: "^(#[0-9a-fA-F]{6}|auto)$", default: "#6E1F5D" },
+    // Largest ΔE (CIELAB distance) at which a pixel still counts as the footer color.
+    colorTolerance: { type: "number", exclusiveMinimum: 0, maximum: 100, default: DEFAULT_COLOR_TOLERANCE },
+    rois: { type: "array", minItems: 1, items: ROI_SCHEMA, default: ["footer_right"] },
+    logoRefs: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true, default: [] },
+    // Reference sets (tags given through /v1/logo-refs); combined with logoRefs.
+    logoSets: { type: "array", items: { type: "string", pattern: LOGO_SET_PATTERN }, uniqueItems: true, default: [] }
+  }
+};
+
+const validateSchema = new Ajv({ allErrors: true, useDefaults: true }).compile(FORMAT_PROFILE_SCHEMA);
+
+function assertFormatKey(key) {
+  if (!new RegExp(FORMAT_KEY_PATTERN).test(String(key))) {
+    throw new RangeError("Invalid format key. Use lowercase letters, digits, _ and - (up to 64 characters).");
+  }
+}
+
+function profilePath(key) {
+  return path.join(config.formatsDir, `${key}.json`);
+}
+
+// Returns the stored form of a profile (schema defaults filled in) or throws a RangeError listing the problems.
+export function validateFormatProfile(data) {
+  const profile = structuredClone(data);
+  if (!validateSchema(profile)) {
+    const problems = validateSchema.errors.map((error) => `${error.instancePath || "profile"} ${error.message}`);
+    throw new RangeError(`Invalid format profile: ${problems.join("; ")}`);
+  }
+  try {
+    parseRoiSpec(profile.rois);
+  } catch (error) {
+    throw new RangeError(`Invalid format profile: ${error.message}`);
+  }
+  assertBannerPath(profile.bannerPath);
+  return profile;
+}
+
+// Profiles come from API clients, so the banner must stay among the banner images (the default one aside)
+// instead of reading any file the process can.
+function assertBannerPath(bannerPath) {
+  const resolved = path.resolve(config.repoRoot, bannerPath);
+  if (resolved === config.replacementBannerPath) return;
+  if (!resolved.startsWith(config.bannersDir + path.sep) || !BANNER_FILE_PATTERN.test(resolved)) {
+    const bannersDir = path.relative(config.repoRoot, config.bannersDir) || ".";
+    throw new RangeError(`Invalid format profile: /bannerPath must be a PNG or JPEG file inside ${bannersDir}`);
+  }
+}
+
+// What the processor works with: paths resolved, ROIs parsed and the background color as pdf-lib rgb values
+// (null for "auto").
+function toRuntimeProfile(key, stored) {
+  return {
+    ...stored,
+    key,
+    bannerPath: path.resolve(config.repoRoot, stored.bannerPath),
+    backgroundRgb: stored.backgroundColor === "auto" ? null : hexToRgb(stored.backgroundColor),
+    rois: parseRoiSpec(stored.rois)
+  };
+}
+
+async function readStoredProfile(key) {
+  let text;
+  try {
+    text = await fs.readFile(profilePath(key), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new RangeError(`Invalid format profile: ${key}.json is not valid JSON (${error.message})`);
+  }
+  return validateFormatProfile(data);
+}
+
+// Every valid profile as stored, sorted by key. Unreadable files are logged and left out.
+export async function listFormatProfiles() {
+  const names = await fs.readdir(config.formatsDir).catch(() => []);
+  const profiles = [];
+  for (const name of names.filter((file) => file.endsWith(".json")).sort()) {
+    const key = name.slice(0, -".json".length);
+    try {
+      assertFormatKey(key);
+      profiles.push({ key, ...(await readStoredProfile(key)) });
+    } catch (error) {
+      console.error(`[formats] skipping ${name}:`, error instanceof Error ? error.message : String(error));
+    }
+  }
+  return profiles;
+}
+
+export async function getStoredFormatProfile(key) {
+  assertFormatKey(key);
+  const stored = await readStoredProfile(key);
+  return stored ? { key, ...stored } : null;
+}
+
+// Runtime profile for processing, or null when there is no such format.
+export async function getFormatProfile(key) {
+  assertFormatKey(key);
+  const stored = await readStoredProfile(key);
+  return stored ? toRuntimeProfile(key, stored) : null;
+}
+
+// Writes a profile and returns it as stored. Returns null when `create` finds the key taken, or when an
+// update (the default) finds no profile to replace.
+export async function saveFormatProfile(key, data, { create = false } = {}) {
+  assertFormatKey(key);
+  const { key: bodyKey, ...fields } = data || {};
+  if (bodyKey !== undefined && bodyKey !== key) throw new RangeError("The key in the body does not match the format key");
+  const stored = validateFormatProfile(fields);
+
+  const exists = await fs.access(profilePath(key)).then(() => true, () => false);
+  if (exists === create) return null;
+
+  await fs.mkdir(config.formatsDir, { recursive: true });
+  const tmpPath = `${profilePath(key)}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(stored, null, 2)}\n`, "utf-8");
+  await fs.rename(tmpPath, profilePath(key));
+  return { key, ...stored };
+}
+
+export async function deleteFormatProfile(key) {
+  assertFormatKey(key);
+  try {
+    await fs.unlink(profilePath(key));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
@@ -1,88 +1,141 @@
 import fs from "node:fs/promises";
+import path from "node:path";
 import Fastify from "fastify";
 import cors from "@fastify/cors";
 import multipart from "@fastify/multipart";
-import { v4 as uuidv4 } from "uuid";
+import { v4 as uuidv4, validate as uuidValidate } from "uuid";
 
 import { config } from "./config.js";
+import {
+  MAX_BATCH_FILES,
+  MAX_BATCH_ZIP_BYTES,
+  MAX_UPLOAD_BYTES,
+  buildBatchZip,
+  createBatchBudget,
+  getBatch,
+  isBatchActive,
+  readBatchUpload,
+  saveBatch,
+  summarizeBatch
+} from "./batches.js";
 import { ensureStorageDirs, getPaths, saveUploadedFile } from "./storage.js";
-import { getJob, setJob, updateJob } from "./job-store.js";
-import { processPdf } from "./processor.js";
+import {
+  closeJobStore,
+  getJob,
+  getJobPages,
+  initJobStore,
+  listJobs,
+  setJob,
+  setJobPages,
+  updateJob
+} from "./job-store.js";
+import { recoverInterruptedJobs, startJobQueue } from "./worker.js";
+import { streamJobEvents } from "./job-stream.js";
+import { REMOVAL_MODES, buildJobSettings } from "./processor.js";
+import { closePagePool } from "./page-pool.js";
+import { parseRoiSpec } from "./detectors/roi.js";
+import {
+  deleteFormatProfile,
+  getFormatProfile,
+  getStoredFormatProfile,
+  listFormatProfiles,
+  saveFormatProfile
+} from "./formats.js";
+import {
+  deleteLogoReference,
+  getLogoReference,
+  listLogoReferences,
+  listLogoSets,
+  saveLogoReference,
+  setLogoReferenceTags,
+  toLogoRefName
+} from "./logo-refs.js";
+import {
+  MAX_PREVIEW_SCALE,
+  MIN_PREVIEW_SCALE,
+  PREVIEW_VARIANTS,
+  getPagePreview,
+  normalizePreviewScale
+} from "./preview.js";
+import { applyReviewDecisions, isReviewPending, listReviewPages, validateReviewDecisions } from "./review.js";
 
 const app = Fastify({ logger: true });
 
 await app.register(cors, { origin: config.corsOrigin });
-await app.register(multipart, { limits: { fileSize: 25 * 1024 * 1024, files: 1 } });
+await app.register(multipart, { limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
 await ensureStorageDirs(config.storageRoot);
+// The local driver always processes in this process; with BullMQ, EMBEDDED_WORKER=false
+// leaves processing to `npm run worker` instances, which must share the job store.
+app.log.info(`job store driver=${await initJobStore({
+  sharedByProcesses: config.queueDriver === "bullmq" && !config.embeddedWorker
+})}`);
+
+const queue = await startJobQueue({ runWorker: config.embeddedWorker, logger: app.log });
+app.addHook("onClose", async () => {
+  await queue.close();
+  await closePagePool();
+  await closeJobStore();
+});
+await recoverInterruptedJobs(queue, app.log);
 
 app.get("/health", async () => ({ ok: true }));
 
-app.post("/v1/jobs", async (request, reply) => {
-  const format = String(request.query?.format || "style_a");
-  const allowedFormats = new Set(["style_a", "style_b", "style_c"]);
-  if (!allowedFormats.has(format)) {
-    return reply.code(400).send({ error: "Invalid format. Use style_a, style_b, or style_c." });
+// Query parameters shared by single and batch uploads. Resolves to { format, mode, rois } or { error }.
+async function parseJobOptions(query) {
+  const format = String(query?.format || "style_a");
+  const formatProfile = await getFormatProfile(format).catch(() => null);
+  if (!formatProfile) {
+    const keys = (await listFormatProfiles()).map((profile) => profile.key);
+    return { error: `Invalid format. Use ${keys.join(", ")}.` };
   }
 
-  const file = await request.file();
-  if (!file) {
-    return reply.code(400).send({ error: "Missing file" });
+  const mode = String(query?.mode || "overlay");
+  if (!REMOVAL_MODES.includes(mode)) {
+    return { error: `Invalid mode. Use ${REMOVAL_MODES.join(", ")}.` };
   }
 
-  const contentType = file.mimetype || "";
-  if (!contentType.includes("pdf")) {
-    return reply.code(400).send({ error: "Only PDF uploads are allowed" });
+  // Optional search regions replacing the format profile's, e.g. roi=footer_right,header:first
+  let rois = null;
+  if (query?.roi) {
+    try {
+      rois = parseRoiSpec(String(query.roi));
+    } catch (error) {
+      return { error: `Invalid roi. ${error.message}` };
+    }
   }
+  return { format, mode, rois };
+}
 
+// Stores the input through writeInput(inputPath), records the job and queues it. `fields` are extra job
+// record fields (batchId, fileName). Resolves to { jobId, status }, status "failed" when it could not be queued.
+async function createJob({ format, mode, rois }, writeInput, fields = {}) {
   const jobId = uuidv4();
   const paths = getPaths(config.storageRoot, jobId);
 
-  await saveUploadedFile(file, paths.inputPath);
+  await writeInput(paths.inputPath);
+
+  const settings = buildJobSettings({ format, mode, rois });
 
   const now = new Date().toISOString();
   setJob(jobId, {
     jobId,
-    status: "processing",
-    progress: "10",
+    status: "queued",
+    format,
+    mode: settings.mode,
+    inputKey: path.relative(config.storageRoot, paths.inputPath),
+    settings,
+    ...fields,
+    progress: "0",
     pagesProcessed: "0",
     pagesTotal: "0",
+    attempts: "0",
     createdAt: now,
     updatedAt: now,
-    startedAt: now,
     error: ""
   });
 
-  // Process synchronously (no Redis queue needed)
   try {
-    const result = await processPdf({
-      jobId,
-      inputPath: paths.inputPath,
-      outputPath: paths.outputPath,
-      auditPath: paths.auditPath,
-      settings: {
-        autoThreshold: Number(process.env.MATCH_AUTO_THRESHOLD || config.autoThreshold),
-        reviewThreshold: Number(process.env.MATCH_REVIEW_THRESHOLD || config.reviewThreshold),
-        formatKey: format,
-        mode: "overlay",
-        roi: "top_right",
-        aggressiveHeaderStrip: false
-      }
-    });
-
-    const shouldReview = result.hasReview || Number(result.removedCount || 0) === 0;
-
-    updateJob(jobId, {
-      status: shouldReview ? "needs_review" : "completed",
-      progress: String(result.progress),
-      pagesProcessed: String(result.pagesProcessed),
-      pagesTotal: String(result.pagesTotal),
-      finishedAt: new Date().toISOString()
-    });
-
-    return reply.code(200).send({
-      jobId,
-      status: shouldReview ? "needs_review" : "completed"
-    });
+    await queue.enqueue({ jobId, settings });
   } catch (error) {
     updateJob(jobId, {
       status: "failed",
@@ -92,11 +145,230 @@ app.post("/v1/jobs", async (request, reply) => {
     });
 
     app.log.error(error);
-    return reply.code(500).send({
-      jobId,
-      status: "failed",
-      error: error instanceof Error ? error.message : "Processing failed"
+    return { jobId, status: "failed" };
+  }
+
+  return { jobId, status: "queued" };
+}
+
+app.post("/v1/jobs", async (request, reply) => {
+  const options = await parseJobOptions(request.query);
+  if (options.error) {
+    return reply.code(400).send({ error: options.error });
+  }
+
+  const file = await request.file();
+  if (!file) {
+    return reply.code(400).send({ error: "Missing file" });
+  }
+
+  const contentType = file.mimetype || "";
+  if (!contentType.includes("pdf")) {
+    return reply.code(400).send({ error: "Only PDF uploads are allowed" });
+  }
+
+  const job = await createJob(options, (inputPath) => saveUploadedFile(file, inputPath));
+  if (job.status === "failed") {
+    return reply.code(503).send({ ...job, error: "Could not enqueue job" });
+  }
+
+  return reply.code(202).send(job);
+});
+
+// Multipart with any number of `files` parts, each a PDF or a ZIP of PDFs; same query parameters as
+// POST /v1/jobs. Every PDF becomes a job of the new batch.
+app.post("/v1/batches", async (request, reply) => {
+  const options = await parseJobOptions(request.query);
+  if (options.error) {
+    return reply.code(400).send({ error: options.error });
+  }
+
+  const uploads = [];
+  const budget = createBatchBudget();
+  try {
+    for await (const part of request.files({ limits: { files: MAX_BATCH_FILES, fileSize: MAX_BATCH_ZIP_BYTES } })) {
+      uploads.push(...readBatchUpload(part.filename, part.mimetype, await part.toBuffer(), budget));
+    }
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+
+  if (uploads.length === 0) {
+    return reply.code(400).send({ error: "Missing files" });
+  }
+
+  const batch = {
+    batchId: uuidv4(),
+    format: options.format,
+    mode: options.mode,
+    createdAt: new Date().toISOString(),
+    jobs: []
+  };
+  for (const upload of uploads) {
+    const { jobId } = await createJob(options, (inputPath) => fs.writeFile(inputPath, upload.data), {
+      batchId: batch.batchId,
+      fileName: upload.fileName
     });
+    batch.jobs.push({ jobId, fileName: upload.fileName });
+  }
+  await saveBatch(batch);
+
+  return reply.code(202).send(summarizeBatch(batch));
+});
+
+async function findBatch(batchId) {
+  return uuidValidate(batchId) ? getBatch(batchId) : null;
+}
+
+app.get("/v1/batches/:batchId", async (request, reply) => {
+  const batch = await findBatch(request.params.batchId);
+  if (!batch) {
+    return reply.code(404).send({ error: "Batch not found" });
+  }
+
+  return reply.send(summarizeBatch(batch));
+});
+
+app.get("/v1/batches/:batchId/download", async (request, reply) => {
+  const batch = await findBatch(request.params.batchId);
+  if (!batch) {
+    return reply.code(404).send({ error: "Batch not found" });
+  }
+
+  const summary = summarizeBatch(batch);
+  if (isBatchActive(summary)) {
+    return reply.code(409).send({ error: `Batch status is ${summary.status}` });
+  }
+
+  reply.header("Content-Type", "application/zip");
+  reply.header("Content-Disposition", `attachment; filename=cleaned-${batch.batchId}.zip`);
+  return reply.send(await buildBatchZip(batch));
+});
+
+app.get("/v1/formats", async () => ({ formats: await listFormatProfiles() }));
+
+app.get("/v1/formats/:key", async (request, reply) => {
+  try {
+    const profile = await getStoredFormatProfile(request.params.key);
+    if (!profile) return reply.code(404).send({ error: "Format not found" });
+    return reply.send(profile);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.post("/v1/formats", async (request, reply) => {
+  const key = String(request.body?.key || "");
+  try {
+    const profile = await saveFormatProfile(key, request.body, { create: true });
+    if (!profile) return reply.code(409).send({ error: `Format ${key} already exists` });
+    return reply.code(201).send(profile);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.put("/v1/formats/:key", async (request, reply) => {
+  try {
+    const profile = await saveFormatProfile(request.params.key, request.body);
+    if (!profile) return reply.code(404).send({ error: "Format not found" });
+    return reply.send(profile);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.delete("/v1/formats/:key", async (request, reply) => {
+  try {
+    if (!(await deleteFormatProfile(request.params.key))) return reply.code(404).send({ error: "Format not found" });
+    return reply.code(204).send();
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.get("/v1/logo-refs", async () => ({ refs: await listLogoReferences(), sets: await listLogoSets() }));
+
+// Multipart: the image as `file`, optional `name` (defaults to the upload's file name) and `tags`
+// (comma-separated set names). Text fields must come before the file.
+app.post("/v1/logo-refs", async (request, reply) => {
+  const file = await request.file();
+  if (!file) {
+    return reply.code(400).send({ error: "Missing file" });
+  }
+
+  const name = toLogoRefName(file.fields.name?.value || file.filename);
+  try {
+    const ref = await saveLogoReference(name, await file.toBuffer(), file.fields.tags?.value || []);
+    if (!ref) return reply.code(409).send({ error: `Logo reference ${name} already exists` });
+    return reply.code(201).send(ref);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.get("/v1/logo-refs/:name", async (request, reply) => {
+  try {
+    const ref = await getLogoReference(request.params.name);
+    if (!ref) return reply.code(404).send({ error: "Logo reference not found" });
+    return reply.send(ref);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.get("/v1/logo-refs/:name/image", async (request, reply) => {
+  try {
+    const ref = await getLogoReference(request.params.name);
+    if (!ref) return reply.code(404).send({ error: "Logo reference not found" });
+    reply.header("Content-Type", /\.png$/i.test(ref.name) ? "image/png" : "image/jpeg");
+    reply.header("Cache-Control", "no-cache");
+    return reply.send(await fs.readFile(path.join(config.logoRefsDir, ref.name)));
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+// Body: { tags: ["set_name", ...] }, replacing the current tags.
+app.put("/v1/logo-refs/:name/tags", async (request, reply) => {
+  try {
+    const ref = await setLogoReferenceTags(request.params.name, request.body?.tags);
+    if (!ref) return reply.code(404).send({ error: "Logo reference not found" });
+    return reply.send(ref);
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.delete("/v1/logo-refs/:name", async (request, reply) => {
+  try {
+    if (!(await deleteLogoReference(request.params.name))) return reply.code(404).send({ error: "Logo reference not found" });
+    return reply.code(204).send();
+  } catch (error) {
+    if (error instanceof RangeError) return reply.code(400).send({ error: error.message });
+    throw error;
+  }
+});
+
+app.get("/v1/jobs", async (request, reply) => {
+  const { status, format, mode, from, to, limit, offset } = request.query || {};
+  try {
+    const { items, total, limit: pageLimit, offset: pageOffset } = listJobs({ status, format, mode, from, to, limit, offset });
+    return reply.send({ jobs: items, total, limit: pageLimit, offset: pageOffset });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return reply.code(400).send({ error: error.message });
+    }
+    throw error;
   }
 });
 
@@ -111,6 +383,71 @@ app.get("/v1/jobs/:jobId", async (request, reply) => {
   return reply.send(job);
 });
 
+app.get("/v1/jobs/:jobId/events", async (request, reply) => {
+  const { jobId } = request.params;
+  if (!getJob(jobId)) {
+    return reply.code(404).send({ error: "Job not found" });
+  }
+
+  streamJobEvents(request, reply, jobId);
+});
+
+app.get("/v1/jobs/:jobId/pages", async (request, reply) => {
+  const { jobId } = request.params;
+  if (!getJob(jobId)) {
+    return reply.code(404).send({ error: "Job not found" });
+  }
+
+  return reply.send({ jobId, pages: getJobPages(jobId) });
+});
+
+// ?variant=original|cleaned&scale=<0.1..4>. The default scale is the detection render scale,
+// so audit bboxPx values map 1:1 onto the image.
+app.get("/v1/jobs/:jobId/pages/:pageNumber/preview", async (request, reply) => {
+  const { jobId } = request.params;
+  const job = getJob(jobId);
+  if (!job) {
+    return reply.code(404).send({ error: "Job not found" });
+  }
+
+  const pageNumber = Number(request.params.pageNumber);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return reply.code(400).send({ error: "Invalid page number" });
+  }
+
+  const variant = String(request.query?.variant || "original");
+  if (!PREVIEW_VARIANTS.includes(variant)) {
+    return reply.code(400).send({ error: `Invalid variant. Use ${PREVIEW_VARIANTS.join(" or ")}.` });
+  }
+
+  const scale = normalizePreviewScale(request.query?.scale, config.renderScale);
+  if (scale === null) {
+    return reply.code(400).send({ error: `Invalid scale. Use a number between ${MIN_PREVIEW_SCALE} and ${MAX_PREVIEW_SCALE}.` });
+  }
+
+  const paths = getPaths(config.storageRoot, jobId);
+  if (variant === "cleaned" && !["completed", "needs_review"].includes(job.status)) {
+    return reply.code(409).send({ error: `Job status is ${job.status}` });
+  }
+
+  const pdfPath = variant === "cleaned" ? paths.outputPath : paths.inputPath;
+  try {
+    await fs.access(pdfPath);
+  } catch {
+    return reply.code(404).send({ error: variant === "cleaned" ? "Output file not found" : "Input file not found" });
+  }
+
+  const preview = await getPagePreview({ pdfPath, cacheDir: paths.previewDir, variant, pageNumber, scale });
+  if (!preview) {
+    return reply.code(404).send({ error: "Page not found" });
+  }
+
+  reply.header("Content-Type", "image/png");
+  reply.header("Cache-Control", "no-cache");
+  reply.header("X-Preview-Cache", preview.cached ? "hit" : "miss");
+  return reply.send(preview.png);
+});
+
 app.get("/v1/jobs/:jobId/download", async (request, reply) => {
   const { jobId } = request.params;
   const job = getJob(jobId);
@@ -148,7 +485,111 @@ app.get("/v1/jobs/:jobId/audit", async (request, reply) => {
   }
 });
 
+const REVIEWABLE_STATUSES = ["needs_review", "completed"];
+const reviewsInFlight = new Set();
+
+async function readAudit(auditPath) {
+  try {
+    return JSON.parse(await fs.readFile(auditPath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+app.get("/v1/jobs/:jobId/review", async (request, reply) => {
+  const { jobId } = request.params;
+  const job = getJob(jobId);
+
+  if (!job) {
+    return reply.code(404).send({ error: "Job not found" });
+  }
+
+  if (!REVIEWABLE_STATUSES.includes(job.status)) {
+    return reply.code(409).send({ error: `Job status is ${job.status}` });
+  }
+
+  const audit = await readAudit(getPaths(config.storageRoot, jobId).auditPath);
+  if (!audit) {
+    return reply.code(404).send({ error: "Audit not found" });
+  }
+
+  return reply.send({
+    jobId,
+    status: job.status,
+    pending: isReviewPending(audit),
+    thresholds: audit.thresholds,
+    pages: listReviewPages(audit)
+  });
+});
+
+// Body: { decisions: [{ pageNumber, decision: "approve" | "adjust" | "reject", bboxPx? }] }, or per detection
+// { pageNumber, detections: [{ index, decision, bboxPx? }] } for pages with several detections to review.
+app.post("/v1/jobs/:jobId/review", async (request, reply) => {
+  const { jobId } = request.params;
+  const job = getJob(jobId);
+
+  if (!job) {
+    return reply.code(404).send({ error: "Job not found" });
+  }
+
+  if (!REVIEWABLE_STATUSES.includes(job.status)) {
+    return reply.code(409).send({ error: `Job status is ${job.status}` });
+  }
+
+  if (reviewsInFlight.has(jobId)) {
+    return reply.code(409).send({ error: "A review for this job is already being applied" });
+  }
+
+  const paths = getPaths(config.storageRoot, jobId);
+  const audit = await readAudit(paths.auditPath);
+  if (!audit) {
+    return reply.code(404).send({ error: "Audit not found" });
+  }
+
+  const decisions = request.body?.decisions;
+  const validationError = validateReviewDecisions(audit, decisions);
+  if (validationError) {
+    return reply.code(400).send({ error: validationError });
+  }
+
+  reviewsInFlight.add(jobId);
+  try {
+    const updated = await applyReviewDecisions({ ...paths, decisions });
+    const reviewedNumbers = new Set(decisions.map((item) => Number(item.pageNumber)));
+    setJobPages(jobId, updated.pages
+      .filter((page) => reviewedNumbers.has(page.pageNumber))
+      .map((page) => ({ pageNumber: page.pageNumber, action: page.action, pdfRect: page.pdfRect, review: page.review })));
+
+    const pending = isReviewPending(updated);
+    updateJob(jobId, {
+      status: pending ? "needs_review" : "completed",
+      removedCount: String(updated.summary.removed),
+      reviewCount: String(updated.summary.review),
+      reviewedAt: updated.reviewedAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    return reply.send({
+      jobId,
+      status: pending ? "needs_review" : "completed",
+      pending,
+      pages: listReviewPages(updated)
+    });
+  } catch (error) {
+    app.log.error(error);
+    return reply.code(500).send({ error: error instanceof Error ? error.message : "Review failed" });
+  } finally {
+    reviewsInFlight.delete(jobId);
+  }
+});
+
 app.listen({ port: config.apiPort, host: "0.0.0.0" }).catch((error) => {
   app.log.error(error);
   process.exit(1);
 });
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    app.close().finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,15 @@
+import { EventEmitter } from "node:events";
+
+// In-process pub/sub for job updates, consumed by the SSE endpoint.
+// Events: { type: "job", job } on every job store write, { type: "page", page } per processed page.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export function publishJobEvent(jobId, event) {
+  emitter.emit(jobId, event);
+}
+
+export function subscribeJobEvents(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
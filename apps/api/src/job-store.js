@@ -1,15 +1,63 @@
-// In-memory job storage (no Redis needed)
-const jobs = new Map();
+import { config } from "./config.js";
+import { createMemoryJobStore } from "./job-stores/memory.js";
+import { createFileJobStore } from "./job-stores/file.js";
+import { createSqliteJobStore } from "./job-stores/sqlite.js";
+import { publishJobEvent } from "./job-events.js";
+
+// Pluggable job storage. Drivers: "file" (default), "sqlite" (Node 22.13+), "memory".
+// Until initJobStore() runs, jobs live in memory.
+let store = createMemoryJobStore();
+
+// `sharedByProcesses`: other processes (standalone BullMQ workers) write the same jobs. Only sqlite reads
+// them back; the file and memory drivers keep jobs in this process and would never see those writes.
+export async function initJobStore(options = {}) {
+  const driver = options.driver || config.jobStoreDriver;
+  const filePath = options.filePath || config.jobStorePath;
+
+  if (options.sharedByProcesses && driver !== "sqlite") {
+    throw new Error(
+      `JOB_STORE_DRIVER=${driver} keeps jobs inside one process; standalone workers (npm run worker, EMBEDDED_WORKER=false) need JOB_STORE_DRIVER=sqlite`
+    );
+  }
+
+  if (driver === "sqlite") {
+    store = await createSqliteJobStore({ filePath });
+  } else if (driver === "file") {
+    store = createFileJobStore({ filePath });
+  } else if (driver === "memory") {
+    store = createMemoryJobStore();
+  } else {
+    throw new Error(`Unknown JOB_STORE_DRIVER: ${driver}`);
+  }
+  return store.driver;
+}
+
+export async function closeJobStore() {
+  await store.close();
+}
 
 export function getJob(jobId) {
-  return jobs.get(jobId) || null;
+  return store.getJob(jobId);
 }
 
 export function setJob(jobId, data) {
-  const existing = jobs.get(jobId) || {};
-  jobs.set(jobId, { ...existing, ...data });
+  store.setJob(jobId, data);
+  publishJobEvent(jobId, { type: "job", job: store.getJob(jobId) });
 }
 
 export function updateJob(jobId, data) {
   setJob(jobId, data);
 }
+
+// Filters: status (comma-separated), format, mode, from/to (createdAt), limit, offset.
+export function listJobs(filter) {
+  return store.listJobs(filter);
+}
+
+export function getJobPages(jobId) {
+  return store.getJobPages(jobId);
+}
+
+export function setJobPages(jobId, pages) {
+  store.setJobPages(jobId, pages);
+}
@@ -0,0 +1,61 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { createMemoryJobStore } from "./memory.js";
+
+// JSON-file store: the memory driver plus a write-behind snapshot of the
+// `jobs` and `job_pages` tables. Writes are coalesced and replace the file atomically.
+export function createFileJobStore({ filePath, flushDelayMs = 50 }) {
+  const memory = createMemoryJobStore();
+
+  if (fs.existsSync(filePath)) {
+    memory.restore(JSON.parse(fs.readFileSync(filePath, "utf-8")));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  let timer = null;
+  let writing = Promise.resolve();
+
+  function write() {
+    timer = null;
+    const body = JSON.stringify(memory.snapshot());
+    const tmpPath = `${filePath}.tmp`;
+    writing = writing
+      .then(async () => {
+        await fs.promises.writeFile(tmpPath, body, "utf-8");
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        console.error("[job-store] failed to persist jobs:", error instanceof Error ? error.message : String(error));
+      });
+    return writing;
+  }
+
+  function scheduleWrite() {
+    if (!timer) timer = setTimeout(write, flushDelayMs);
+  }
+
+  return {
+    ...memory,
+    driver: "file",
+
+    setJob(jobId, data) {
+      memory.setJob(jobId, data);
+      scheduleWrite();
+    },
+
+    setJobPages(jobId, jobPages) {
+      memory.setJobPages(jobId, jobPages);
+      scheduleWrite();
+    },
+
+    async close() {
+      if (timer) {
+        clearTimeout(timer);
+        await write();
+      }
+      await writing;
+    }
+  };
+}
@@ -0,0 +1,50 @@
+export const DEFAULT_LIST_LIMIT = 50;
+export const MAX_LIST_LIMIT = 500;
+
+function parseDateFilter(value, name) {
+  if (!value) return "";
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new RangeError(`Invalid ${name} date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+export function normalizeListFilter(filter = {}) {
+  const statuses = String(filter.status || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const limit = Number(filter.limit || DEFAULT_LIST_LIMIT);
+  const offset = Number(filter.offset || 0);
+
+  return {
+    statuses,
+    format: filter.format ? String(filter.format) : "",
+    mode: filter.mode ? String(filter.mode) : "",
+    // Inclusive ISO timestamps (or dates) compared against createdAt.
+    from: parseDateFilter(filter.from, "from"),
+    to: parseDateFilter(filter.to, "to"),
+    limit: Number.isFinite(limit) ? Math.max(1, Math.min(MAX_LIST_LIMIT, Math.floor(limit))) : DEFAULT_LIST_LIMIT,
+    offset: Number.isFinite(offset) ? Math.max(0, Math.floor(offset)) : 0
+  };
+}
+
+// Shared by the memory and file drivers; the sqlite driver runs the same filter in SQL.
+export function filterJobs(jobs, filter) {
+  const f = normalizeListFilter(filter);
+  const matching = jobs
+    .filter((job) => f.statuses.length === 0 || f.statuses.includes(job.status))
+    .filter((job) => !f.format || job.format === f.format)
+    .filter((job) => !f.mode || job.mode === f.mode)
+    .filter((job) => !f.from || String(job.createdAt || "") >= f.from)
+    .filter((job) => !f.to || String(job.createdAt || "") <= f.to)
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+
+  return {
+    items: matching.slice(f.offset, f.offset + f.limit),
+    total: matching.length,
+    limit: f.limit,
+    offset: f.offset
+  };
+}
@@ -0,0 +1,58 @@
+import { filterJobs } from "./filter.js";
+
+// Process-local store. Also the in-memory core of the file driver.
+export function createMemoryJobStore() {
+  const jobs = new Map();
+  const pages = new Map();
+
+  return {
+    driver: "memory",
+
+    getJob(jobId) {
+      return jobs.get(jobId) || null;
+    },
+
+    setJob(jobId, data) {
+      const existing = jobs.get(jobId) || {};
+      jobs.set(jobId, { ...existing, ...data });
+    },
+
+    listJobs(filter) {
+      return filterJobs([...jobs.values()], filter);
+    },
+
+    getJobPages(jobId) {
+      const byNumber = pages.get(jobId);
+      if (!byNumber) return [];
+      return [...byNumber.values()].sort((a, b) => a.pageNumber - b.pageNumber);
+    },
+
+    setJobPages(jobId, jobPages) {
+      const byNumber = pages.get(jobId) || new Map();
+      for (const page of jobPages) {
+        byNumber.set(page.pageNumber, { ...(byNumber.get(page.pageNumber) || {}), ...page });
+      }
+      pages.set(jobId, byNumber);
+    },
+
+    snapshot() {
+      return {
+        jobs: [...jobs.values()],
+        job_pages: [...pages.entries()].flatMap(([jobId, byNumber]) => (
+          [...byNumber.values()].map((page) => ({ jobId, ...page }))
+        ))
+      };
+    },
+
+    restore(data) {
+      for (const job of data?.jobs || []) {
+        if (job?.jobId) jobs.set(job.jobId, job);
+      }
+      for (const { jobId, ...page } of data?.job_pages || []) {
+        if (jobId) this.setJobPages(jobId, [page]);
+      }
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+import { v4 as uuidv4 } from "uuid";
+
+import { normalizeListFilter } from "./filter.js";
+
+// SQLite store on the built-in `node:sqlite` module (Node 22.13+), following the
+// `jobs` / `job_pages` tables of DEVELPMENT_GUIDES section 8. Queryable fields get
+// their own columns; the full job record is kept in `data` so routes see the same shape.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  format TEXT,
+  mode TEXT,
+  input_key TEXT,
+  output_key TEXT,
+  created_at TEXT,
+  updated_at TEXT,
+  started_at TEXT,
+  finished_at TEXT,
+  error_message TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status);
+CREATE INDEX IF NOT EXISTS jobs_created_at_idx ON jobs (created_at);
+
+CREATE TABLE IF NOT EXISTS job_pages (
+  id TEXT PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL,
+  detection_score REAL,
+  bbox TEXT,
+  action TEXT,
+  data TEXT NOT NULL,
+  UNIQUE (job_id, page_number)
+);
+`;
+
+export async function createSqliteJobStore({ filePath }) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw new Error(`JOB_STORE_DRIVER=sqlite requires node:sqlite: Node 22.13+, or Node 22.5+ started with --experimental-sqlite (running ${process.version})`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec("PRAGMA journal_mode = WAL;");
+  db.exec("PRAGMA foreign_keys = ON;");
+  db.exec(SCHEMA);
+
+  const selectJob = db.prepare("SELECT data FROM jobs WHERE id = ?");
+  const upsertJob = db.prepare(`
+    INSERT INTO jobs (id, status, format, mode, input_key, output_key, created_at, updated_at, started_at, finished_at, error_message, data)
+    VALUES (:id, :status, :format, :mode, :input_key, :output_key, :created_at, :updated_at, :started_at, :finished_at, :error_message, :data)
+    ON CONFLICT (id) DO UPDATE SET
+      status = excluded.status,
+      format = excluded.format,
+      mode = excluded.mode,
+      input_key = excluded.input_key,
+      output_key = excluded.output_key,
+      created_at = excluded.created_at,
+      updated_at = excluded.updated_at,
+      started_at = excluded.started_at,
+      finished_at = excluded.finished_at,
+      error_message = excluded.error_message,
+      data = excluded.data
+  `);
+  const selectPages = db.prepare("SELECT data FROM job_pages WHERE job_id = ? ORDER BY page_number");
+  const selectPage = db.prepare("SELECT data FROM job_pages WHERE job_id = ? AND page_number = ?");
+  const upsertPage = db.prepare(`
+    INSERT INTO job_pages (id, job_id, page_number, detection_score, bbox, action, data)
+    VALUES (:id, :job_id, :page_number, :detection_score, :bbox, :action, :data)
+    ON CONFLICT (job_id, page_number) DO UPDATE SET
+      detection_score = excluded.detection_score,
+      bbox = excluded.bbox,
+      action = excluded.action,
+      data = excluded.data
+  `);
+
+  function getJob(jobId) {
+    const row = selectJob.get(jobId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  return {
+    driver: "sqlite",
+
+    getJob,
+
+    setJob(jobId, data) {
+      const job = { ...(getJob(jobId) || {}), ...data };
+      upsertJob.run({
+        id: jobId,
+        status: String(job.status || "queued"),
+        format: job.format ?? null,
+        mode: job.mode ?? null,
+        input_key: job.inputKey ?? null,
+        output_key: job.outputKey ?? null,
+        created_at: job.createdAt ?? null,
+        updated_at: job.updatedAt ?? null,
+        started_at: job.startedAt ?? null,
+        finished_at: job.finishedAt ?? null,
+        error_message: job.error || null,
+        data: JSON.stringify(job)
+      });
+    },
+
+    listJobs(filter) {
+      const f = normalizeListFilter(filter);
+      const where = [];
+      const params = {};
+      if (f.statuses.length > 0) {
+        where.push(`status IN (${f.statuses.map((_, i) => `:status${i}`).join(", ")})`);
+        f.statuses.forEach((status, i) => { params[`status${i}`] = status; });
+      }
+      if (f.format) { where.push("format = :format"); params.format = f.format; }
+      if (f.mode) { where.push("mode = :mode"); params.mode = f.mode; }
+      if (f.from) { where.push("created_at >= :from"); params.from = f.from; }
+      if (f.to) { where.push("created_at <= :to"); params.to = f.to; }
+      const whereSql = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs ${whereSql}`).get(params);
+      const rows = db
+        .prepare(`SELECT data FROM jobs ${whereSql} ORDER BY created_at DESC LIMIT :limit OFFSET :offset`)
+        .all({ ...params, limit: f.limit, offset: f.offset });
+
+      return {
+        items: rows.map((row) => JSON.parse(row.data)),
+        total: Number(total),
+        limit: f.limit,
+        offset: f.offset
+      };
+    },
+
+    getJobPages(jobId) {
+      return selectPages.all(jobId).map((row) => JSON.parse(row.data));
+    },
+
+    setJobPages(jobId, jobPages) {
+      db.exec("BEGIN");
+      try {
+        for (const page of jobPages) {
+          const existing = selectPage.get(jobId, page.pageNumber);
+          const merged = { ...(existing ? JSON.parse(existing.data) : {}), ...page };
+          upsertPage.run({
+            id: uuidv4(),
+            job_id: jobId,
+            page_number: merged.pageNumber,
+            detection_score: Number.isFinite(merged.detectionScore) ? merged.detectionScore : null,
+            bbox: merged.bboxPx ? JSON.stringify(merged.bboxPx) : null,
+            action: merged.action ?? null,
+            data: JSON.stringify(merged)
+          });
+        }
+        db.exec("COMMIT");
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,114 @@
+import { getJob, getJobPages } from "./job-store.js";
+import { subscribeJobEvents } from "./job-events.js";
+
+const TERMINAL_STATUSES = new Set(["completed", "failed", "needs_review"]);
+const HEARTBEAT_MS = 15000;
+// Workers in another process (BullMQ) do not publish here; re-read the job and its pages from the store to
+// catch their updates.
+const STORE_POLL_MS = 2000;
+
+function jobSnapshot(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    pagesProcessed: job.pagesProcessed,
+    pagesTotal: job.pagesTotal,
+    currentPage: job.currentPage || "",
+    currentAction: job.currentAction || "",
+    removedCount: job.removedCount || "0",
+    reviewCount: job.reviewCount || "0",
+    updatedAt: job.updatedAt,
+    error: job.error || ""
+  };
+}
+
+function pageResult(page) {
+  return {
+    pageNumber: page.pageNumber,
+    score: page.detectionScore,
+    action: page.action,
+    matchedReference: page.matchedReference || null,
+    bboxPx: page.bboxPx || null
+  };
+}
+
+// Server-Sent Events stream for one job:
+// - `status`: job status changed (also sent once on connect)
+// - `progress`: progress fields changed without a status change
+// - `page`: one page finished (pages already processed are replayed on connect; pages of a worker in another
+//   process arrive with the next store poll)
+// - `end`: job reached completed/failed/needs_review; the stream closes after it
+export function streamJobEvents(request, reply, jobId) {
+  const initial = getJob(jobId);
+  const raw = reply.raw;
+
+  reply.hijack();
+  raw.writeHead(200, {
+    ...reply.getHeaders(),
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+
+  let lastStatus = null;
+  let lastUpdatedAt = null;
+  let closed = false;
+  const sentPages = new Set();
+
+  function send(event, data) {
+    if (closed) return;
+    raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function sendPage(page) {
+    if (sentPages.has(page.pageNumber)) return;
+    sentPages.add(page.pageNumber);
+    send("page", pageResult(page));
+  }
+
+  function sendJob(job) {
+    if (!job || closed) return;
+    if (job.status !== lastStatus) {
+      lastStatus = job.status;
+      send("status", jobSnapshot(job));
+    } else if (job.updatedAt !== lastUpdatedAt) {
+      send("progress", jobSnapshot(job));
+    }
+    lastUpdatedAt = job.updatedAt;
+
+    if (TERMINAL_STATUSES.has(job.status)) {
+      for (const page of getJobPages(jobId)) sendPage(page);
+      send("end", jobSnapshot(job));
+      close();
+    }
+  }
+
+  const unsubscribe = subscribeJobEvents(jobId, (event) => {
+    if (event.type === "page") sendPage(event.page);
+    else if (event.type === "job") sendJob(event.job);
+  });
+  const heartbeat = setInterval(() => {
+    if (!closed) raw.write(": keep-alive\n\n");
+  }, HEARTBEAT_MS);
+  // Pages a worker in another process finished are only in the store: sendPage skips those already sent.
+  const poll = setInterval(() => {
+    for (const page of getJobPages(jobId)) sendPage(page);
+    sendJob(getJob(jobId));
+  }, STORE_POLL_MS);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(poll);
+    raw.end();
+  }
+
+  request.raw.on("close", close);
+
+  for (const page of getJobPages(jobId)) sendPage(page);
+  sendJob(initial);
+}
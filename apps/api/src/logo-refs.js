@@ -0,0 +1,213 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import sharp from "sharp";
+
+import { config } from "./config.js";
+
+const LOGO_REF_PATTERN = /\.(png|jpg|jpeg)$/i;
+const LOGO_REF_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}\.(png|jpg|jpeg)$/i;
+export const LOGO_SET_PATTERN = "^[a-z0-9][a-z0-9_-]{0,63}$";
+export const MAX_LOGO_REF_BYTES = 5 * 1024 * 1024;
+
+// Tags live in manifest.json next to the images: { "<file name>": { "tags": [...], "uploadedAt": "..." } }.
+// A tag names a set; format profiles pick references by file name (logoRefs) or by set (logoSets).
+const MANIFEST_FILE = "manifest.json";
+
+function manifestPath() {
+  return path.join(config.logoRefsDir, MANIFEST_FILE);
+}
+
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath(), "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+// Read-modify-write of the manifest, one at a time within this process.
+let manifestQueue = Promise.resolve();
+function updateManifest(change) {
+  const run = manifestQueue.then(async () => {
+    const manifest = await readManifest();
+    const result = await change(manifest);
+    const tmpPath = `${manifestPath()}.tmp`;
+    await fs.writeFile(tmpPath, `${JSON.stringify(manifest, null, 2)}\n`, "utf-8");
+    await fs.rename(tmpPath, manifestPath());
+    return result;
+  });
+  manifestQueue = run.catch(() => {});
+  return run;
+}
+
+async function listFileNames() {
+  const names = await fs.readdir(config.logoRefsDir).catch((error) => {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  });
+  return names.filter((name) => LOGO_REF_PATTERN.test(name)).sort();
+}
+
+function assertLogoRefName(name) {
+  if (!LOGO_REF_NAME_PATTERN.test(String(name))) {
+    throw new RangeError("Invalid logo reference name. Use letters, digits, ., _ and - ending in .png, .jpg or .jpeg.");
+  }
+}
+
+// Upload file names become reference names: path dropped, other characters replaced by "-".
+export function toLogoRefName(fileName) {
+  return path.basename(String(fileName || "")).replace(/[^A-Za-z0-9._-]/g, "-").replace(/^[^A-Za-z0-9]+/, "");
+}
+
+export function normalizeLogoTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : tags;
+  if (!Array.isArray(list)) throw new RangeError("tags must be an array of set names");
+  const normalized = [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+  const invalid = normalized.filter((tag) => !new RegExp(LOGO_SET_PATTERN).test(tag));
+  if (invalid.length > 0) {
+    throw new RangeError(`Invalid tag ${invalid.join(", ")}. Use lowercase letters, digits, _ and - (up to 64 characters).`);
+  }
+  return normalized.sort();
+}
+
+async function describeReference(name, manifest) {
+  const file = path.join(config.logoRefsDir, name);
+  const [stat, meta] = await Promise.all([fs.stat(file), sharp(file).metadata().catch(() => ({}))]);
+  return {
+    name,
+    tags: manifest[name]?.tags || [],
+    width: meta.width ?? null,
+    height: meta.height ?? null,
+    bytes: stat.size,
+    uploadedAt: manifest[name]?.uploadedAt || stat.mtime.toISOString()
+  };
+}
+
+export async function listLogoReferences() {
+  const manifest = await readManifest();
+  return Promise.all((await listFileNames()).map((name) => describeReference(name, manifest)));
+}
+
+export async function getLogoReference(name) {
+  assertLogoRefName(name);
+  if (!(await listFileNames()).includes(name)) return null;
+  return describeReference(name, await readManifest());
+}
+
+// Sets with the references tagged with them, sorted by name.
+export async function listLogoSets() {
+  const manifest = await readManifest();
+  const sets = new Map();
+  for (const name of await listFileNames()) {
+    for (const tag of manifest[name]?.tags || []) sets.set(tag, [...(sets.get(tag) || []), name]);
+  }
+  return [...sets.keys()].sort().map((name) => ({ name, refs: sets.get(name) }));
+}
+
+// Stores an uploaded PNG/JPEG. Returns null when a reference with that name exists.
+export async function saveLogoReference(name, data, tags = []) {
+  assertLogoRefName(name);
+  const normalizedTags = normalizeLogoTags(tags);
+  if (data.length > MAX_LOGO_REF_BYTES) throw new RangeError(`Logo references are limited to ${MAX_LOGO_REF_BYTES / 1024 / 1024} MB`);
+  const meta = await sharp(data).metadata().catch(() => null);
+  if (!meta || !["png", "jpeg"].includes(meta.format)) throw new RangeError("Logo references must be PNG or JPEG images");
+
+  await fs.mkdir(config.logoRefsDir, { recursive: true });
+  const file = path.join(config.logoRefsDir, name);
+  try {
+    await fs.writeFile(file, data, { flag: "wx" });
+  } catch (error) {
+    if (error.code === "EEXIST") return null;
+    throw error;
+  }
+  await updateManifest((manifest) => {
+    manifest[name] = { tags: normalizedTags, uploadedAt: new Date().toISOString() };
+  });
+  return getLogoReference(name);
+}
+
+// Replaces the tags of a reference; null when it does not exist.
+export async function setLogoReferenceTags(name, tags) {
+  assertLogoRefName(name);
+  const normalizedTags = normalizeLogoTags(tags);
+  if (!(await listFileNames()).includes(name)) return null;
+  await updateManifest((manifest) => {
+    manifest[name] = { ...manifest[name], tags: normalizedTags };
+  });
+  return getLogoReference(name);
+}
+
+export async function deleteLogoReference(name) {
+  assertLogoRefName(name);
+  const file = path.join(config.logoRefsDir, name);
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+  forgetCachedVariants(file);
+  await updateManifest((manifest) => {
+    delete manifest[name];
+  });
+  return true;
+}
+
+// Logo reference images in config.logoRefsDir as absolute paths, sorted by name. `names` (file names) and
+// `sets` (tags) narrow them to a format profile's logoRefs and logoSets; with neither, every reference is used.
+export async function listLogoReferenceFiles({ names = [], sets = [] } = {}) {
+  const files = await listFileNames();
+  pruneCachedVariants(files.map((name) => path.join(config.logoRefsDir, name)));
+  let selected = files;
+  if (names.length > 0 || sets.length > 0) {
+    const manifest = sets.length > 0 ? await readManifest() : {};
+    selected = files.filter((name) => names.includes(name) || (manifest[name]?.tags || []).some((tag) => sets.includes(tag)));
+  }
+  if (selected.length === 0) {
+    const wanted = [...names, ...sets.map((set) => `set ${set}`)];
+    throw new Error(`No logo references found in ${config.logoRefsDir}${wanted.length > 0 ? ` for ${wanted.join(", ")}` : ""}`);
+  }
+  return selected.map((name) => path.join(config.logoRefsDir, name));
+}
+
+// Changes whenever a reference file of the selection is added, removed or modified, so detectors kept
+// across jobs (page workers) know when to rebuild. Empty when no reference can be listed.
+export async function logoReferencesStamp(selection) {
+  try {
+    const files = await listLogoReferenceFiles(selection);
+    const stats = await Promise.all(files.map((file) => fs.stat(file)));
+    return files.map((file, index) => `${file}:${stats[index].size}:${stats[index].mtimeMs}`).join("\n");
+  } catch {
+    return "";
+  }
+}
+
+// Processed variants (edge templates, hashes, resized images) per reference file and kind. An entry is
+// reused while the file keeps its size and mtime, so uploads, deletions and files changed on disk
+// invalidate it, also in worker processes that never see the API calls.
+const variantCache = new Map();
+
+export async function cachedLogoVariant(kind, file, build) {
+  const stat = await fs.stat(file);
+  const stamp = `${stat.size}:${stat.mtimeMs}`;
+  const key = `${kind}\n${file}`;
+  const cached = variantCache.get(key);
+  if (cached?.stamp === stamp) return cached.value;
+  const value = await build(file);
+  variantCache.set(key, { stamp, value });
+  return value;
+}
+
+function forgetCachedVariants(file) {
+  for (const key of variantCache.keys()) {
+    if (key.endsWith(`\n${file}`)) variantCache.delete(key);
+  }
+}
+
+function pruneCachedVariants(existingFiles) {
+  for (const key of variantCache.keys()) {
+    if (!existingFiles.includes(key.slice(key.indexOf("\n") + 1))) variantCache.delete(key);
+  }
+}
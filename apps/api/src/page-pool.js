@@ -0,0 +1,139 @@
+import { Worker } from "node:worker_threads";
+
+const WORKER_URL = new URL("./page-worker.js", import.meta.url);
+
+function startWorker() {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL);
+    const onError = (error) => {
+      worker.off("exit", onExit);
+      reject(error);
+    };
+    const onExit = (code) => {
+      worker.off("error", onError);
+      reject(new Error(`page worker exited with code ${code} while starting`));
+    };
+    worker.once("error", onError);
+    worker.once("exit", onExit);
+    worker.once("message", () => {
+      worker.off("error", onError);
+      worker.off("exit", onExit);
+      // Idle workers must not keep a CLI run or a test process alive; a worker is referenced while it has a page.
+      worker.unref();
+      resolve(worker);
+    });
+  });
+}
+
+// Pool of page workers shared by every job of the process (see page-worker.js for the task format).
+// run(task) resolves with that page's detectPage() result, waiting for a free worker; release(inputPath)
+// drops the queued pages of a finished job and tells the workers to close its document. A worker that
+// crashes fails its page and leaves the pool; when none are left, queued pages fail too.
+async function createPagePool(size) {
+  const workers = await Promise.allSettled(Array.from({ length: size }, () => startWorker()));
+  const failed = workers.find((result) => result.status === "rejected");
+  if (failed) {
+    await Promise.all(workers.filter((result) => result.status === "fulfilled").map((result) => result.value.terminate()));
+    throw failed.reason;
+  }
+
+  const live = new Set(workers.map((result) => result.value));
+  const idle = [...live];
+  const waiting = [];
+  const crashes = new Map();
+  let nextId = 0;
+
+  // Busy or idle, a worker that dies leaves the pool; its page (if any) fails with the crash error.
+  for (const worker of live) {
+    worker.on("error", (error) => crashes.set(worker, error));
+    worker.once("exit", () => {
+      live.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      if (live.size === 0) {
+        for (const queued of waiting.splice(0)) queued.reject(new Error("All page workers failed"));
+      }
+    });
+  }
+
+  function dispatch() {
+    while (idle.length > 0 && waiting.length > 0) {
+      const worker = idle.pop();
+      const { task, resolve, reject } = waiting.shift();
+      const id = nextId;
+      nextId += 1;
+
+      const onMessage = (message) => {
+        if (message.id !== id) return;
+        worker.off("message", onMessage);
+        worker.off("exit", onExit);
+        worker.unref();
+        idle.push(worker);
+        if (message.error) reject(new Error(message.error));
+        else resolve(message.result);
+        dispatch();
+      };
+      const onExit = (code) => {
+        worker.off("message", onMessage);
+        reject(crashes.get(worker) || new Error(`page worker exited with code ${code}`));
+      };
+      worker.on("message", onMessage);
+      worker.once("exit", onExit);
+      worker.ref();
+      worker.postMessage({ id, ...task });
+    }
+  }
+
+  return {
+    size,
+    get alive() {
+      return live.size;
+    },
+    run(task) {
+      return new Promise((resolve, reject) => {
+        if (live.size === 0) {
+          reject(new Error("All page workers failed"));
+          return;
+        }
+        waiting.push({ task, resolve, reject });
+        dispatch();
+      });
+    },
+    release(inputPath) {
+      for (let i = waiting.length - 1; i >= 0; i -= 1) {
+        if (waiting[i].task.job.inputPath !== inputPath) continue;
+        waiting.splice(i, 1)[0].reject(new Error("Job finished before the page was analysed"));
+      }
+      for (const worker of live) worker.postMessage({ release: inputPath });
+    },
+    async close() {
+      await Promise.all([...live].map((worker) => worker.terminate()));
+      live.clear();
+    }
+  };
+}
+
+let shared = null;
+
+// The process-wide pool, started on first use with `size` workers (config.pageWorkers). Workers keep their
+// detectors between jobs; a pool whose workers all crashed is replaced by the next job.
+export async function getPagePool(size) {
+  if (!shared) {
+    shared = createPagePool(size);
+    const starting = shared;
+    starting.catch(() => {
+      if (shared === starting) shared = null;
+    });
+  }
+  const current = shared;
+  const pool = await current;
+  if (pool.alive > 0) return pool;
+  if (shared === current) shared = null;
+  return getPagePool(size);
+}
+
+export async function closePagePool() {
+  const current = shared;
+  shared = null;
+  const pool = await current?.catch(() => null);
+  await pool?.close();
+}
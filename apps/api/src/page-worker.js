@@ -0,0 +1,92 @@
+import fs from "node:fs/promises";
+import { parentPort } from "node:worker_threads";
+
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+
+import { createDetector } from "./detectors/index.js";
+import { logoReferencesStamp } from "./logo-refs.js";
+import { detectPage } from "./processor.js";
+
+// Worker thread of the page pool (page-pool.js), kept for the life of the process. Messages:
+// - { id, job, pageNumber, pageRois } with job { inputPath, detectorName, secondPassName, logoRefs, formatKey,
+//   formatProfile, autoThreshold, reviewThreshold }: answered with { id, result } (see detectPage) or { id, error }
+// - { release: inputPath }: the job is done, its document is closed
+// Detectors are built once per detector and logo-reference selection and reused by later jobs until a
+// reference file changes; a job's document is opened on its first page.
+const MAX_CACHED_DETECTORS = 8;
+const MAX_OPEN_JOBS = 8;
+
+const detectors = new Map();
+const jobs = new Map();
+
+async function cachedDetector(name, logoRefs) {
+  const key = `${name}\n${JSON.stringify(logoRefs)}`;
+  const stamp = await logoReferencesStamp(logoRefs);
+  const cached = detectors.get(key);
+  if (cached?.stamp === stamp) return cached.detector;
+
+  const detector = createDetector(name, { logoRefs });
+  detectors.delete(key);
+  detectors.set(key, { stamp, detector });
+  detector.catch(() => {
+    if (detectors.get(key)?.detector === detector) detectors.delete(key);
+  });
+  if (detectors.size > MAX_CACHED_DETECTORS) detectors.delete(detectors.keys().next().value);
+  return detector;
+}
+
+async function openJob({ inputPath, detectorName, secondPassName, logoRefs }) {
+  const [renderDoc, detector, secondPass] = await Promise.all([
+    fs.readFile(inputPath).then((data) => pdfjsLib.getDocument({ data: new Uint8Array(data) }).promise),
+    cachedDetector(detectorName, logoRefs),
+    secondPassName ? cachedDetector(secondPassName, logoRefs) : null
+  ]);
+  return { renderDoc, detector, secondPass };
+}
+
+function releaseJob(inputPath) {
+  const opened = jobs.get(inputPath);
+  if (!opened) return;
+  jobs.delete(inputPath);
+  opened.then(({ renderDoc }) => renderDoc.destroy()).catch(() => {});
+}
+
+function jobFor(job) {
+  if (!jobs.has(job.inputPath)) {
+    // A job that failed before releasing its pages is closed once enough newer ones are open.
+    if (jobs.size >= MAX_OPEN_JOBS) releaseJob(jobs.keys().next().value);
+    const opened = openJob(job);
+    opened.catch(() => jobs.delete(job.inputPath));
+    jobs.set(job.inputPath, opened);
+  }
+  return jobs.get(job.inputPath);
+}
+
+parentPort.on("message", async (message) => {
+  if (message.release) {
+    releaseJob(message.release);
+    return;
+  }
+
+  const { id, job, pageNumber, pageRois } = message;
+  try {
+    const { renderDoc, detector, secondPass } = await jobFor(job);
+    const { formatKey, formatProfile, autoThreshold, reviewThreshold } = job;
+    const renderPage = await renderDoc.getPage(pageNumber);
+    const result = await detectPage(renderPage, {
+      pageNumber,
+      pageRois,
+      formatKey,
+      formatProfile,
+      detector,
+      secondPass,
+      autoThreshold,
+      reviewThreshold
+    });
+    renderPage.cleanup();
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+  }
+});
+parentPort.postMessage({ ready: true });
@@ -0,0 +1,58 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+
+import { renderPageToPngBuffer } from "./processor.js";
+
+export const PREVIEW_VARIANTS = ["original", "cleaned"];
+export const MIN_PREVIEW_SCALE = 0.1;
+export const MAX_PREVIEW_SCALE = 4;
+
+// Concurrent requests for the same preview share one render.
+const inFlight = new Map();
+
+// Renders one page of a stored PDF to PNG. Returns null when the page does not exist.
+export async function renderPagePreview({ pdfPath, pageNumber, scale }) {
+  const data = new Uint8Array(await fs.readFile(pdfPath));
+  const renderDoc = await pdfjsLib.getDocument({ data }).promise;
+  try {
+    if (pageNumber < 1 || pageNumber > renderDoc.numPages) return null;
+    const page = await renderDoc.getPage(pageNumber);
+    return await renderPageToPngBuffer(page, scale);
+  } finally {
+    await renderDoc.destroy();
+  }
+}
+
+export function normalizePreviewScale(value, fallback) {
+  const scale = value === undefined || value === "" ? fallback : Number(value);
+  if (!Number.isFinite(scale) || scale < MIN_PREVIEW_SCALE || scale > MAX_PREVIEW_SCALE) return null;
+  return Math.round(scale * 100) / 100;
+}
+
+// Cached per job on disk as `<variant>-p<page>-s<scale>.png`. A cached file is reused while it is
+// newer than its source PDF, so re-processing or a review re-renders the cleaned variant on next request.
+export async function getPagePreview({ pdfPath, cacheDir, variant, pageNumber, scale }) {
+  const cachePath = path.join(cacheDir, `${variant}-p${pageNumber}-s${scale.toFixed(2)}.png`);
+
+  const [source, cached] = await Promise.all([
+    fs.stat(pdfPath),
+    fs.stat(cachePath).catch(() => null)
+  ]);
+  if (cached && cached.mtimeMs >= source.mtimeMs) {
+    return { png: await fs.readFile(cachePath), cached: true };
+  }
+
+  if (!inFlight.has(cachePath)) {
+    const render = (async () => {
+      const preview = await renderPagePreview({ pdfPath, pageNumber, scale });
+      if (!preview) return null;
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(cachePath, preview.png);
+      return { png: preview.png, cached: false };
+    })().finally(() => inFlight.delete(cachePath));
+    inFlight.set(cachePath, render);
+  }
+  return inFlight.get(cachePath);
+}
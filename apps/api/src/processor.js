@@ -1,5 +1,4 @@
 import fs from "node:fs/promises";
-import path from "node:path";
 
 import { PDFDocument, rgb } from "pdf-lib";
 import { createCanvas } from "@napi-rs/canvas";
@@ -7,6 +6,21 @@ import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
 import sharp from "sharp";
 
 import { config } from "./config.js";
+import { CASCADE_POLICIES, combineCascade } from "./detectors/cascade.js";
+import { sampleDominantColor } from "./detectors/color.js";
+import { createDetector, describeDetector, pickBestCandidate, resolveDetectorName } from "./detectors/index.js";
+import { isBboxPlausible, suppressOverlaps } from "./detectors/geometry.js";
+import { isBboxInRois, parseRoiSpec, roisForPage } from "./detectors/roi.js";
+import { embeddedMatchScore, findEmbeddedLogos, loadLogoHashes } from "./embedded-logos.js";
+import { getFormatProfile } from "./formats.js";
+import { getPagePool } from "./page-pool.js";
+import {
+  imageFractionToPdfPoint,
+  pageGeometry,
+  pdfRectToImageRect,
+  pruneUnreachableObjects,
+  removeLogoContent
+} from "./removal.js";
 
 function log(...args) {
   if (config.workerVerbose) console.log("[processor]", ...args);
@@ -16,236 +30,30 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
-const SOLID_FOOTER_COLOR = { r: 110 / 255, g: 31 / 255, b: 93 / 255 }; // #6E1F5D
+// overlay: draw a filled rectangle over the logo (text stays selectable, logo stays in the PDF objects).
+// hard: replace the page with a rendered image where the logo area is inpainted.
+// redact: drop the operators painting the logo from the content stream (text stays selectable).
+export const REMOVAL_MODES = ["overlay", "hard", "redact"];
+export const REMOVED_ACTIONS = new Set(["removed", "removed_footer_strip", "replaced_footer_banner"]);
 
-function extractJsonObject(text) {
-  if (!text) return null;
-  const start = text.indexOf("{");
-  const end = text.lastIndexOf("}");
-  if (start === -1 || end === -1 || end <= start) return null;
-  try {
-    return JSON.parse(text.slice(start, end + 1));
-  } catch {
-    return null;
-  }
-}
-
-function cleanModelJsonText(text) {
-  if (!text) return "";
-  return text
-    .replace(/```json/gi, "")
-    .replace(/```/g, "")
-    .trim();
-}
-
-function responseToText(json) {
-  if (typeof json.output_text === "string" && json.output_text.trim()) return json.output_text;
-  const chunks = [];
-  const output = Array.isArray(json.output) ? json.output : [];
-  for (const item of output) {
-    const content = Array.isArray(item?.content) ? item.content : [];
-    for (const part of content) {
-      if (typeof part?.text === "string" && part.text.trim()) chunks.push(part.text);
-      else if (typeof part?.output_text === "string" && part.output_text.trim()) chunks.push(part.output_text);
-    }
-  }
-  return chunks.join("\n");
-}
-
-function parseVisionDetections(text) {
-  const cleaned = cleanModelJsonText(text);
-  if (!cleaned) return [];
-
-  try {
-    const data = JSON.parse(cleaned);
-    if (Array.isArray(data)) return data;
-    if (data && typeof data === "object") return [data];
-  } catch {
-    const one = extractJsonObject(cleaned);
-    if (one && typeof one === "object") return [one];
-  }
-
-  // Fallback for truncated array responses: salvage complete object chunks.
-  const objects = [];
-  let depth = 0;
-  let start = -1;
-  let inString = false;
-  let escaped = false;
-  for (let i = 0; i < cleaned.length; i += 1) {
-    const ch = cleaned[i];
-    if (inString) {
-      if (escaped) escaped = false;
-      else if (ch === "\\\\") escaped = true;
-      else if (ch === "\"") inString = false;
-      continue;
-    }
-    if (ch === "\"") {
-      inString = true;
-      continue;
-    }
-    if (ch === "{") {
-      if (depth === 0) start = i;
-      depth += 1;
-    } else if (ch === "}") {
-      depth -= 1;
-      if (depth === 0 && start >= 0) {
-        const chunk = cleaned.slice(start, i + 1);
-        try {
-          const obj = JSON.parse(chunk);
-          if (obj && typeof obj === "object") objects.push(obj);
-        } catch {
-          // ignore malformed chunk
-        }
-        start = -1;
-      }
-    }
-  }
-  if (objects.length > 0) return objects;
-
-  return [];
-}
-
-function computeEdgeMap(gray, width, height, threshold = 22) {
-  const edges = new Uint8Array(width * height);
-  for (let y = 0; y < height - 1; y += 1) {
-    const row = y * width;
-    const nextRow = (y + 1) * width;
-    for (let x = 0; x < width - 1; x += 1) {
-      const idx = row + x;
-      const gx = Math.abs(gray[idx] - gray[idx + 1]);
-      const gy = Math.abs(gray[idx] - gray[nextRow + x]);
-      edges[idx] = (gx + gy) >= threshold ? 1 : 0;
-    }
-  }
-  return edges;
+// A processed PDF goes to review when a page waits for a decision or no logo was removed at all.
+export function needsReview(result) {
+  return result.hasReview || Number(result.removedCount || 0) === 0;
 }
 
-function isPurplePixel(r, g, b) {
-  return r > 55 && b > 55 && g < 120 && r > (g + 18) && b > (g + 18);
-}
-
-function detectFooterBand(raw, width, height, channels) {
-  const startY = Math.floor(height * 0.45);
-  const minBandHeight = Math.max(24, Math.floor(height * 0.05));
-  const rowPurpleRatio = new Array(height).fill(0);
-
-  for (let y = startY; y < height; y += 1) {
-    let purpleCount = 0;
-    for (let x = 0; x < width; x += 1) {
-      const idx = (y * width + x) * channels;
-      const r = raw[idx];
-      const g = raw[idx + 1] ?? raw[idx];
-      const b = raw[idx + 2] ?? raw[idx];
-      if (isPurplePixel(r, g, b)) purpleCount += 1;
-    }
-    rowPurpleRatio[y] = purpleCount / width;
-  }
-
-  let best = null;
-  let y = startY;
-  while (y < height) {
-    if (rowPurpleRatio[y] < 0.28) {
-      y += 1;
-      continue;
-    }
-
-    const bandStart = y;
-    let ratioSum = 0;
-    let bandRows = 0;
-    while (y < height && rowPurpleRatio[y] >= 0.2) {
-      ratioSum += rowPurpleRatio[y];
-      bandRows += 1;
-      y += 1;
-    }
-    const bandEnd = y - 1;
-    const bandHeight = bandEnd - bandStart + 1;
-    const avgRatio = bandRows > 0 ? ratioSum / bandRows : 0;
-
-    if (bandHeight >= minBandHeight) {
-      const score = (bandHeight * 0.7) + (avgRatio * height * 0.3);
-      if (!best || score > best.score) {
-        best = { y0: bandStart, y1: bandEnd, score };
-      }
-    }
-  }
-
-  if (!best) return null;
+// Settings jobs are processed with, whether queued by the API or run by the CLI.
+export function buildJobSettings({ format, mode, rois = null }) {
   return {
-    x0: Math.floor(width * 0.45),
-    y0: best.y0,
-    x1: width,
-    y1: best.y1 + 1
+    autoThreshold: Number(process.env.MATCH_AUTO_THRESHOLD || config.autoThreshold),
+    reviewThreshold: Number(process.env.MATCH_REVIEW_THRESHOLD || config.reviewThreshold),
+    formatKey: format,
+    mode,
+    rois,
+    aggressiveHeaderStrip: false
   };
 }
 
-async function loadLogoTemplates() {
-  log(`loading logo refs from ${config.logoRefsDir}`);
-  const names = await fs.readdir(config.logoRefsDir);
-  const files = names
-    .filter((name) => /\.(png|jpg|jpeg)$/i.test(name))
-    .map((name) => path.join(config.logoRefsDir, name));
-
-  if (files.length === 0) {
-    throw new Error(`No logo references found in ${config.logoRefsDir}`);
-  }
-
-  const templates = [];
-  for (const file of files) {
-    const trimmed = await sharp(file).rotate().trim().grayscale().toBuffer();
-    const baseMeta = await sharp(trimmed).metadata();
-    if (!baseMeta.width || !baseMeta.height) continue;
-
-    for (const targetWidth of [90, 120, 150, 190, 230]) {
-      const variantRaw = await sharp(trimmed)
-        .resize({ width: targetWidth, fit: "inside", withoutEnlargement: false })
-        .raw()
-        .toBuffer({ resolveWithObject: true });
-
-      const w = variantRaw.info.width;
-      const h = variantRaw.info.height;
-      if (!w || !h || w < 40 || h < 12) continue;
-
-      const gray = new Uint8Array(variantRaw.data);
-      const edges = computeEdgeMap(gray, w, h);
-      let edgeCount = 0;
-      for (let i = 0; i < edges.length; i += 1) edgeCount += edges[i];
-      if (edgeCount < 40) continue;
-
-      templates.push({ refName: path.basename(file), width: w, height: h, edges });
-    }
-  }
-
-  if (templates.length === 0) {
-    throw new Error("No usable template variants could be built");
-  }
-
-  log(`built ${templates.length} template variants`);
-  return templates;
-}
-
-async function loadLogoReferenceImages() {
-  const names = await fs.readdir(config.logoRefsDir);
-  const files = names
-    .filter((name) => /\.(png|jpg|jpeg)$/i.test(name))
-    .map((name) => path.join(config.logoRefsDir, name));
-
-  if (files.length === 0) {
-    throw new Error(`No logo references found in ${config.logoRefsDir}`);
-  }
-
-  const refs = [];
-  for (const file of files) {
-    const resized = await sharp(file)
-      .rotate()
-      .resize({ width: 512, withoutEnlargement: true, fit: "inside" })
-      .png()
-      .toBuffer();
-    refs.push({ name: path.basename(file), mimeType: "image/png", base64: resized.toString("base64") });
-  }
-  return refs;
-}
-
-function renderPageToPngBuffer(page, scale) {
+export function renderPageToPngBuffer(page, scale) {
   const viewport = page.getViewport({ scale });
   const width = Math.floor(viewport.width);
   const height = Math.floor(viewport.height);
@@ -257,84 +65,28 @@ function renderPageToPngBuffer(page, scale) {
     .promise.then(() => ({ png: canvas.toBuffer("image/png"), width, height }));
 }
 
-function scoreTemplateAt(pageEdges, pageWidth, x, y, template) {
-  let tp = 0;
-  let fp = 0;
-  let fn = 0;
-  const tW = template.width;
-  const tH = template.height;
-
-  for (let ty = 0; ty < tH; ty += 1) {
-    const pageRow = (y + ty) * pageWidth;
-    const tRow = ty * tW;
-    for (let tx = 0; tx < tW; tx += 1) {
-      const p = pageEdges[pageRow + x + tx];
-      const t = template.edges[tRow + tx];
-      if (p && t) tp += 1;
-      else if (p && !t) fp += 1;
-      else if (!p && t) fn += 1;
-    }
-  }
-
-  const denom = tp + (0.65 * fp) + (1.25 * fn);
-  return denom > 0 ? tp / denom : 0;
-}
-
-function detectLogoByTemplateMatch(pageEdges, pageWidth, pageHeight, templates, searchZone) {
-  let best = { score: 0, bboxPx: null, matchedReference: null };
-
-  const zones = searchZone
-    ? [searchZone]
-    : [{ x0: Math.floor(pageWidth * 0.45), y0: Math.floor(pageHeight * 0.60), x1: pageWidth, y1: pageHeight }];
-
-  for (const template of templates) {
-    const tW = template.width;
-    const tH = template.height;
-
-    for (const zone of zones) {
-      const maxX = zone.x1 - tW;
-      const maxY = zone.y1 - tH;
-      if (maxX <= zone.x0 || maxY <= zone.y0) continue;
-
-      for (let y = zone.y0; y <= maxY; y += 3) {
-        for (let x = zone.x0; x <= maxX; x += 3) {
-          const score = scoreTemplateAt(pageEdges, pageWidth, x, y, template);
-          if (score > best.score) {
-            best = { score, bboxPx: { x, y, width: tW, height: tH }, matchedReference: template.refName };
-          }
-        }
-      }
-    }
-  }
-
-  return best;
-}
-
-function isBboxPlausible(bboxPx, pageWidth, pageHeight) {
-  if (!bboxPx) return false;
-  const wr = bboxPx.width / pageWidth;
-  const hr = bboxPx.height / pageHeight;
-  if (wr < 0.05 || wr > 0.42) return false;
-  if (hr < 0.015 || hr > 0.22) return false;
-  return true;
-}
-
-function imageBboxToPdfRect(bboxPx, renderSize, pageSize) {
-  const x = (bboxPx.x / renderSize.width) * pageSize.width;
-  const yTop = (bboxPx.y / renderSize.height) * pageSize.height;
-  const width = (bboxPx.width / renderSize.width) * pageSize.width;
-  const height = (bboxPx.height / renderSize.height) * pageSize.height;
-  const y = pageSize.height - yTop - height;
+export function imageBboxToPdfRect(bboxPx, renderSize, geometry) {
+  const { x: boxX = 0, y: boxY = 0, width: boxWidth, height: boxHeight, rotate = 0 } = geometry;
+  const a = imageFractionToPdfPoint(bboxPx.x / renderSize.width, bboxPx.y / renderSize.height, geometry);
+  const b = imageFractionToPdfPoint(
+    (bboxPx.x + bboxPx.width) / renderSize.width,
+    (bboxPx.y + bboxPx.height) / renderSize.height,
+    geometry
+  );
+  // On a quarter-turned page the image's horizontal axis runs along the box's height.
+  const turned = rotate % 180 !== 0;
+  const width = (turned ? bboxPx.height / renderSize.height : bboxPx.width / renderSize.width) * boxWidth;
+  const height = (turned ? bboxPx.width / renderSize.width : bboxPx.height / renderSize.height) * boxHeight;
 
   return {
-    x: clamp(x, 0, pageSize.width),
-    y: clamp(y, 0, pageSize.height),
-    width: clamp(width, 1, pageSize.width),
-    height: clamp(height, 1, pageSize.height)
+    x: clamp(Math.min(a.x, b.x), boxX, boxX + boxWidth),
+    y: clamp(Math.min(a.y, b.y), boxY, boxY + boxHeight),
+    width: clamp(width, 1, boxWidth),
+    height: clamp(height, 1, boxHeight)
   };
 }
 
-function getStableFooterPdfRect(pageSize, footerRatio) {
+export function getStableFooterPdfRect(pageSize, footerRatio) {
   const height = pageSize.height * footerRatio;
   return {
     x: 0,
@@ -344,14 +96,14 @@ function getStableFooterPdfRect(pageSize, footerRatio) {
   };
 }
 
-function drawBannerFitted(page, bannerImage, targetRect, options) {
+export function drawBannerFitted(page, bannerImage, targetRect, options) {
   const fit = options?.fit === "cover" ? "cover" : "contain";
   const fillBackground = Boolean(options?.fillBackground);
-  const bgColor = options?.bgColor || SOLID_FOOTER_COLOR;
+  const bgColor = options?.bgColor;
   const bottomOffsetPx = Number(options?.bottomOffsetPx || 0);
   const rightOffsetPx = Number(options?.rightOffsetPx || 0);
 
-  if (fillBackground) {
+  if (fillBackground && bgColor) {
     page.drawRectangle({
       x: targetRect.x,
       y: targetRect.y,
@@ -395,15 +147,49 @@ function drawBannerFitted(page, bannerImage, targetRect, options) {
   });
 }
 
-async function sampleFillColor(pagePng, bboxPx) {
-  const image = sharp(pagePng).removeAlpha();
-  const meta = await image.metadata();
-  if (!meta.width || !meta.height || !meta.channels) return { r: 1, g: 1, b: 1 };
+// Color behind a replacement banner: the profile's footer color; with "auto", the band color the detector
+// sampled or else the dominant color of the strip itself.
+async function footerFillColor(formatProfile, detection, pagePng) {
+  if (formatProfile.backgroundRgb) return formatProfile.backgroundRgb;
+  if (detection.footerZone?.color) return detection.footerZone.color;
+
+  const { data: raw, info } = await sharp(pagePng).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { x, y, width, height } = detection.bboxPx;
+  const zone = {
+    x0: Math.floor(clamp(x, 0, info.width - 1)),
+    y0: Math.floor(clamp(y, 0, info.height - 1)),
+    x1: Math.ceil(clamp(x + width, 1, info.width)),
+    y1: Math.ceil(clamp(y + height, 1, info.height))
+  };
+  return sampleDominantColor(raw, info.width, info.channels, zone) || sampleFillColor(pagePng, detection.bboxPx);
+}
 
-  const channels = meta.channels;
-  const raw = await image.raw().toBuffer();
-  const width = meta.width;
-  const height = meta.height;
+// Draws the replacement banner into the footer rect (`detection.pdfRect`) of a banner detection, or only the
+// footer color when the banner image could not be loaded.
+export async function drawReplacementBanner(page, banner, formatProfile, detection, pagePng) {
+  if (banner?.image) {
+    drawBannerFitted(page, banner.image, detection.pdfRect, {
+      fit: formatProfile.bannerFit,
+      fillBackground: formatProfile.fillBackground,
+      bgColor: formatProfile.fillBackground ? await footerFillColor(formatProfile, detection, pagePng) : null,
+      bottomOffsetPx: formatProfile.bottomOffsetPx,
+      rightOffsetPx: formatProfile.rightOffsetPx
+    });
+    return;
+  }
+  const color = await footerFillColor(formatProfile, detection, pagePng);
+  const { x, y, width, height } = detection.pdfRect;
+  page.drawRectangle({ x, y, width, height, color: rgb(color.r, color.g, color.b) });
+}
+
+export async function sampleFillColor(pagePng, bboxPx) {
+  // Channel count must come from the raw output: removeAlpha() drops the PNG's 4th channel.
+  const { data: raw, info } = await sharp(pagePng).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  if (!info.width || !info.height || !info.channels) return { r: 1, g: 1, b: 1 };
+
+  const channels = info.channels;
+  const width = info.width;
+  const height = info.height;
 
   const margin = 10;
   const left = Math.floor(clamp(bboxPx.x - margin, 0, width - 1));
@@ -440,7 +226,7 @@ async function sampleFillColor(pagePng, bboxPx) {
   };
 }
 
-async function loadReplacementBannerForPdf(pdfDoc, bannerPath) {
+export async function loadReplacementBannerForPdf(pdfDoc, bannerPath) {
   try {
     const bytes = await fs.readFile(bannerPath);
     if (/\.png$/i.test(bannerPath)) {
@@ -466,129 +252,113 @@ async function loadReplacementBannerForPdf(pdfDoc, bannerPath) {
   }
 }
 
-async function detectLogoWithVision(pagePng, logoRefs) {
-  const pageForModel = await sharp(pagePng)
-    .resize({ width: config.aiImageWidth, withoutEnlargement: true, fit: "inside" })
-    .png()
-    .toBuffer();
-
-  const content = [
-    {
-      type: "input_text",
-      text:
-        "Find ONLY ONE branding logo in the BOTTOM PURPLE FOOTER BAR: IDECF or Fernando Sanchez. Return ONLY a single JSON object (not an array, no markdown) with {found:boolean,confidence:number,bbox:{x:number,y:number,width:number,height:number},matchedReference:string|null}. Ignore top header/title text. Coordinates normalized 0..1."
-    },
-    { type: "input_text", text: "Page image:" },
-    { type: "input_image", image_url: `data:image/png;base64,${pageForModel.toString("base64")}` }
-  ];
-
-  for (const ref of logoRefs) {
-    content.push({ type: "input_text", text: `Reference logo: ${ref.name}` });
-    content.push({ type: "input_image", image_url: `data:${ref.mimeType};base64,${ref.base64}` });
-  }
-
-  const response = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${config.openaiApiKey}`
-    },
-    body: JSON.stringify({
-      model: config.openaiModel,
-      temperature: 0,
-      max_output_tokens: 500,
-      input: [{ role: "user", content }]
-    })
-  });
+export function summarizeAuditPages(pages, totalPagesInPdf) {
+  const removed = pages.filter((p) => REMOVED_ACTIONS.has(p.action)).length;
+  const review = pages.filter((p) => p.action === "review").length;
+  return {
+    totalPages: pages.length,
+    totalPagesInPdf,
+    removed,
+    review,
+    none: pages.length - removed - review,
+    statusHint: review > 0 || removed === 0 ? "needs_review" : "completed"
+  };
+}
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`OpenAI request failed (${response.status}): ${body.slice(0, 200)}`);
-  }
+function summarizeEmbeddedMatch(embeddedMatch) {
+  if (!embeddedMatch) return null;
+  return { xObject: embeddedMatch.xObject, ref: embeddedMatch.ref, hash: embeddedMatch.hash, distance: embeddedMatch.distance };
+}
 
-  const json = await response.json();
-  const text = responseToText(json);
-  const candidates = parseVisionDetections(text)
-    .map((item) => {
-      const found = Boolean(item?.found);
-      const confidence = clamp(Number(item?.confidence ?? 0), 0, 1);
-      const bbox = item?.bbox
-        ? {
-            x: clamp(Number(item.bbox.x ?? 0), 0, 1),
-            y: clamp(Number(item.bbox.y ?? 0), 0, 1),
-            width: clamp(Number(item.bbox.width ?? 0), 0, 1),
-            height: clamp(Number(item.bbox.height ?? 0), 0, 1)
-          }
-        : null;
-      return {
-        found,
-        confidence,
-        bbox,
-        matchedReference: item?.matchedReference || null
-      };
-    })
-    .filter((c) => c.found && c.bbox && c.bbox.width > 0 && c.bbox.height > 0);
-
-  if (candidates.length === 0) {
-    return { found: false, confidence: 0, bbox: null, matchedReference: null, rawText: text };
+async function reportProgress(onProgress, event) {
+  if (typeof onProgress !== "function") return;
+  try {
+    await onProgress(event);
+  } catch (error) {
+    log("progress callback failed:", error instanceof Error ? error.message : String(error));
   }
-
-  // Prefer higher confidence and farther-right detections (where your footer logos live).
-  candidates.sort((a, b) => {
-    const qa = a.confidence + (a.bbox.x * 0.1);
-    const qb = b.confidence + (b.bbox.x * 0.1);
-    return qb - qa;
-  });
-
-  const best = candidates[0];
-  return {
-    found: true,
-    confidence: best.confidence,
-    bbox: best.bbox,
-    matchedReference: best.matchedReference,
-    rawText: text
-  };
 }
 
-function isFooterLogoBboxValid(bbox) {
-  if (!bbox) return false;
-  const x = Number(bbox.x ?? 0);
-  const y = Number(bbox.y ?? 0);
-  const w = Number(bbox.width ?? 0);
-  const h = Number(bbox.height ?? 0);
-
-  // Footer-only hard gates to block top-title false detections.
-  if (y < 0.72) return false;
-  // Do not require a strict x floor here; some valid footer logos can be left-shifted.
-  if (w < 0.06 || w > 0.35) return false;
-  if (h < 0.02 || h > 0.15) return false;
-  return true;
+// Every plausible candidate above the review threshold is a detection; overlapping ones are the same logo.
+function selectDetections(candidates, reviewThreshold) {
+  return suppressOverlaps(
+    candidates.filter((candidate) => candidate.plausible && candidate.score >= reviewThreshold),
+    config.detectionIouThreshold,
+    { limit: config.maxDetectionsPerPage }
+  );
 }
 
-function isFooterStripCandidate(bbox) {
-  if (!bbox) return false;
-  const y = Number(bbox.y ?? 0);
-  const w = Number(bbox.width ?? 0);
-  const h = Number(bbox.height ?? 0);
-  return y >= 0.72 && w >= 0.55 && h >= 0.06 && h <= 0.2;
+// Renders one page at config.renderScale and runs the detector (and the cascade second pass) on it.
+// Touches neither the pdf-lib document nor the job, so page workers (page-worker.js) run it as well.
+// Resolves to { png, width, height, candidates, detections }.
+export async function detectPage(renderPage, options) {
+  const { pageNumber, pageRois, formatKey, formatProfile, detector, secondPass, autoThreshold, reviewThreshold } = options;
+  const { png, width, height } = await renderPageToPngBuffer(renderPage, config.renderScale);
+  const detected = await detector.detect({ png, width, height }, { pageNumber, formatKey, formatProfile, rois: pageRois, minScore: reviewThreshold });
+  // A logo box must sit in one of the page's ROIs; footer strips follow the footer ratio instead.
+  const candidates = detected.map((candidate) => (candidate.plausible && !candidate.wideFooterStrip && !isBboxInRois(candidate.bboxPx, pageRois, width, height)
+    ? { ...candidate, plausible: false }
+    : candidate));
+  const detections = selectDetections(candidates, reviewThreshold);
+
+  // Cascade: only borderline detections (would be marked review) get the second, slower pass.
+  if (secondPass) {
+    for (let d = 0; d < detections.length; d += 1) {
+      const first = detections[d];
+      if (first.score >= autoThreshold) continue;
+      const secondContext = { pageNumber, formatKey, formatProfile, rois: pageRois, minScore: reviewThreshold, firstPass: first };
+      const second = pickBestCandidate(await secondPass.detect({ png, width, height }, secondContext));
+      const combined = combineCascade({
+        first,
+        second,
+        firstDetector: detector.name,
+        secondDetector: secondPass.name,
+        policy: config.cascadePolicy,
+        minIou: config.cascadeMinIou
+      });
+      const cascade = combined.audit;
+      detections[d] = { ...combined.candidate, cascade };
+      log(`page ${pageNumber}: cascade ${detector.name}=${cascade.firstPass.score} ${secondPass.name}=${cascade.secondPass.score} iou=${cascade.iou} -> ${cascade.combinedScore}`);
+    }
+  }
+  return { png, width, height, candidates, detections };
 }
 
+// jobData.onProgress(event) is called once before the first page and after every page with
+// { stage, pagesProcessed, pagesTotal, progress, pageNumber, action, removedCount, reviewCount, page }.
+// progress stays below 100 until the output PDF and audit are written.
 export async function processPdf(jobData) {
-  const { inputPath, outputPath, auditPath, settings } = jobData;
+  const { inputPath, outputPath, auditPath, settings, onProgress } = jobData;
   const formatKey = String(settings?.formatKey || "style_a");
-  const formatProfile = config.formatProfiles[formatKey] || config.formatProfiles.style_a;
+  const formatProfile = await getFormatProfile(formatKey);
+  if (!formatProfile) throw new Error(`Unknown format "${formatKey}"`);
+  const removalMode = REMOVAL_MODES.includes(settings?.mode) ? settings.mode : "overlay";
+  // settings.rois (the upload's `roi` parameter) overrides the format profile's search regions.
+  const rois = settings?.rois ? parseRoiSpec(settings.rois) : formatProfile.rois;
 
   const autoThreshold = Number(settings?.autoThreshold ?? config.matchAutoThreshold);
   const reviewThreshold = Number(settings?.reviewThreshold ?? config.matchReviewThreshold);
 
   log(`starting job input=${inputPath}`);
+  log(`removal mode=${removalMode}`);
+  log(`rois=${rois.map((roi) => roi.name).join(",")}`);
   log(`mode=${config.detectorMode} auto=${autoThreshold} review=${reviewThreshold} renderScale=${config.renderScale}`);
   if (config.debugDrawBoxes) log("debug draw mode enabled: red/orange boxes will be visible");
   if (config.forceFooterBanner) log("force footer banner mode enabled: applying banner to every page");
 
-  const useAiDetector = config.detectorMode === "ai-probe" || config.detectorMode === "ai-cut";
-  const templates = useAiDetector ? [] : await loadLogoTemplates();
-  const logoRefs = useAiDetector ? await loadLogoReferenceImages() : [];
+  const logoRefs = { names: formatProfile.logoRefs, sets: formatProfile.logoSets };
+  const detectorName = resolveDetectorName();
+  if (config.cascadeSecondPass && !CASCADE_POLICIES.includes(config.cascadePolicy)) {
+    throw new Error(`Unknown CASCADE_POLICY "${config.cascadePolicy}". Use ${CASCADE_POLICIES.join(", ")}.`);
+  }
+  // ai-probe only reports: its detections go to review instead of being removed.
+  const detectionAction = (detection) => {
+    if (!detection.plausible) return "none";
+    if (config.detectorMode !== "ai-probe" && detection.score >= autoThreshold) {
+      return detection.wideFooterStrip ? "replaced_footer_banner" : "removed";
+    }
+    return detection.score >= reviewThreshold ? "review" : "none";
+  };
 
   const inputBuffer = await fs.readFile(inputPath);
   const pdfDoc = await PDFDocument.load(inputBuffer);
@@ -602,191 +372,260 @@ export async function processPdf(jobData) {
   const totalPages = Math.min(totalPagesInPdf, config.maxPagesPerJob, config.aiMaxPagesPerJob);
   const pagesToProcess = config.aiPageLimit > 0 ? Math.min(totalPages, config.aiPageLimit) : totalPages;
 
+  // Page render and detection run on the process's page workers (PAGE_WORKERS) unless the job has a single
+  // page. The workers build and keep the detectors, so this thread only describes them.
+  const usePool = config.pageWorkers > 0 && pagesToProcess > 1;
+  const loadDetector = (name) => (usePool ? describeDetector(name, { logoRefs }) : createDetector(name, { logoRefs }));
+  const detector = await loadDetector(detectorName);
+  const secondPass = config.cascadeSecondPass ? await loadDetector(config.cascadeSecondPass) : null;
+  log(`detector=${detector.name}${secondPass ? ` secondPass=${secondPass.name} policy=${config.cascadePolicy}` : ""}`);
+  const usePrepass = config.embeddedLogoPrepass && detector.embeddedPrepass;
+  const logoHashes = usePrepass ? await loadLogoHashes(logoRefs) : [];
+  const imageHashes = new Map();
+
   const auditPages = [];
+  let removedCount = 0;
+  let reviewCount = 0;
   log(`processing ${pagesToProcess}/${totalPagesInPdf} page(s)`);
+  await reportProgress(onProgress, {
+    stage: "processing",
+    pagesProcessed: 0,
+    pagesTotal: pagesToProcess,
+    progress: 0,
+    pageNumber: null,
+    action: null,
+    removedCount,
+    reviewCount,
+    page: null
+  });
 
-  for (let i = 0; i < pagesToProcess; i += 1) {
-    const pageNumber = i + 1;
-    log(`page ${pageNumber}/${pagesToProcess}: render`);
+  const detectOptions = { formatKey, formatProfile, detector, secondPass, autoThreshold, reviewThreshold };
+  const pool = usePool ? await getPagePool(config.pageWorkers) : null;
+  const poolJob = {
+    inputPath,
+    detectorName,
+    secondPassName: config.cascadeSecondPass || null,
+    logoRefs,
+    formatKey,
+    formatProfile,
+    autoThreshold,
+    reviewThreshold
+  };
+  if (pool) log(`page workers=${pool.size}`);
 
+  // Render and detection of a page, independent of the PDF edits made for earlier pages, so they run ahead
+  // on the page pool while the loop below applies results in page order.
+  const analyzePage = async (i) => {
+    const pageNumber = i + 1;
     const renderPage = await renderDoc.getPage(pageNumber);
-    const { png, width, height } = await renderPageToPngBuffer(renderPage, config.renderScale);
-
-    let footerZone = null;
-    let match = { score: 0, bboxPx: null, matchedReference: null };
-    let plausible = false;
-    let aiProbe = null;
-    let wideFooterStrip = false;
-
-    if (config.forceFooterBanner) {
-      const rgbRaw = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
-      footerZone = detectFooterBand(rgbRaw.data, width, height, rgbRaw.info.channels || 3);
-      const fallbackY0 = Math.floor(height * 0.885);
-      const fallbackY1 = height - 1;
-      const y0 = footerZone ? footerZone.y0 : fallbackY0;
-      const y1 = footerZone ? footerZone.y1 : fallbackY1;
-
-      match = {
-        score: 1,
-        bboxPx: {
-          x: 0,
-          y: y0,
-          width,
-          height: Math.max(1, y1 - y0)
-        },
-        matchedReference: "footer-banner"
-      };
-      plausible = true;
-      wideFooterStrip = true;
-      log(`page ${pageNumber}: force-banner zone=${match.bboxPx.x},${match.bboxPx.y},${match.bboxPx.width},${match.bboxPx.height}`);
-    } else if (useAiDetector) {
-      aiProbe = await detectLogoWithVision(png, logoRefs);
-      const validFooterBox = aiProbe.found && isFooterLogoBboxValid(aiProbe.bbox);
-      wideFooterStrip = aiProbe.found && isFooterStripCandidate(aiProbe.bbox);
-      if (aiProbe.found && aiProbe.bbox) {
-        const bboxPx = {
-          x: Math.round(aiProbe.bbox.x * width),
-          y: Math.round(aiProbe.bbox.y * height),
-          width: Math.max(1, Math.round(aiProbe.bbox.width * width)),
-          height: Math.max(1, Math.round(aiProbe.bbox.height * height))
-        };
-        const geometricOk = isBboxPlausible(bboxPx, width, height);
-        match = {
-          score: (wideFooterStrip || (validFooterBox && geometricOk)) ? aiProbe.confidence : 0,
-          bboxPx,
-          matchedReference: aiProbe.matchedReference
-        };
-        plausible = wideFooterStrip || (validFooterBox && geometricOk);
+
+    // Pages whose embedded logo images were recognised by hash are not rendered; bboxPx and renderSize
+    // are still given at config.renderScale so review and previews line up.
+    const pageRois = roisForPage(rois, pageNumber, totalPagesInPdf);
+    const viewport = renderPage.getViewport({ scale: config.renderScale });
+    const width = Math.floor(viewport.width);
+    const height = Math.floor(viewport.height);
+    const embeddedCandidates = [];
+    if (usePrepass) {
+      const geometry = pageGeometry(pdfDoc.getPage(i));
+      for (const embeddedMatch of await findEmbeddedLogos(pdfDoc.getPage(i), logoHashes, imageHashes)) {
+        const bboxPx = pdfRectToImageRect(embeddedMatch.pdfRect, { width, height }, geometry);
+        if (!isBboxPlausible(bboxPx, width, height) || !isBboxInRois(bboxPx, pageRois, width, height)) {
+          log(`page ${pageNumber}: embedded ${embeddedMatch.xObject} matches ${embeddedMatch.matchedReference} but its box is implausible or outside the ROIs`);
+          continue;
+        }
+        log(`page ${pageNumber}: embedded ${embeddedMatch.xObject} (${embeddedMatch.ref}) matches ${embeddedMatch.matchedReference} distance=${embeddedMatch.distance}`);
+        const score = embeddedMatchScore(embeddedMatch.distance, { autoThreshold, reviewThreshold });
+        embeddedCandidates.push({ score, bboxPx, matchedReference: embeddedMatch.matchedReference, plausible: true, embeddedMatch });
       }
-      log(
-        `page ${pageNumber}: ai-probe found=${aiProbe.found} confidence=${aiProbe.confidence.toFixed(3)} validFooter=${validFooterBox} wideFooterStrip=${wideFooterStrip} bbox=${aiProbe.bbox ? JSON.stringify(aiProbe.bbox) : "null"} ref=${aiProbe.matchedReference || "n/a"}`
-      );
-      if (aiProbe.rawText) log(`page ${pageNumber}: ai-raw=${aiProbe.rawText.slice(0, 220)}`);
-    } else {
-      const rgbRaw = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
-      footerZone = detectFooterBand(rgbRaw.data, width, height, rgbRaw.info.channels || 3);
-
-      const pageRaw = await sharp(png).grayscale().raw().toBuffer({ resolveWithObject: true });
-      const pageGray = new Uint8Array(pageRaw.data);
-      const pageEdges = computeEdgeMap(pageGray, width, height);
-
-      log(
-        `page ${pageNumber}: match footerZone=${footerZone ? `${footerZone.x0},${footerZone.y0}-${footerZone.x1},${footerZone.y1}` : "none"}`
-      );
-      match = detectLogoByTemplateMatch(pageEdges, width, height, templates, footerZone);
-      plausible = isBboxPlausible(match.bboxPx, width, height);
+    }
+    if (embeddedCandidates.length > 0) {
+      return { renderPage, png: null, width, height, candidates: embeddedCandidates, detections: selectDetections(embeddedCandidates, reviewThreshold) };
     }
 
-    let action = "none";
-    let pdfRect = null;
-    let debugPreviewRect = null;
-
-    if (config.detectorMode !== "ai-probe" && plausible && match.score >= autoThreshold) {
-      const page = pdfDoc.getPage(i);
-      const pageSize = page.getSize();
-      const bannerReplacementMode = config.detectorMode === "ai-cut" && wideFooterStrip;
-      pdfRect = bannerReplacementMode
-        ? getStableFooterPdfRect(pageSize, formatProfile.footerRatio)
-        : imageBboxToPdfRect(match.bboxPx, { width, height }, pageSize);
-
-      let drawColor = null;
-      if (config.detectorMode === "ai-cut" && wideFooterStrip) {
-        drawColor = SOLID_FOOTER_COLOR;
-      } else {
-        const fill = await sampleFillColor(png, match.bboxPx);
-        drawColor = fill;
-      }
-      if (config.debugDrawBoxes && !wideFooterStrip) {
-        drawColor = { r: 1, g: 0, b: 0 };
+    log(`page ${pageNumber}/${pagesToProcess}: render`);
+    const analysis = pool
+      ? await pool.run({ job: poolJob, pageNumber, pageRois })
+      : await detectPage(renderPage, { pageNumber, pageRois, ...detectOptions });
+    return { ...analysis, renderPage, png: Buffer.from(analysis.png.buffer, analysis.png.byteOffset, analysis.png.byteLength) };
+  };
+
+  // Up to two pages per worker are analysed ahead of the one being edited.
+  const lookahead = pool ? pool.size * 2 : 1;
+  const analyses = new Map();
+  const scheduleAnalysis = (i) => {
+    if (i >= pagesToProcess || analyses.has(i)) return;
+    const analysis = analyzePage(i);
+    analysis.catch(() => {}); // awaited in page order below; a later page failing first must not go unhandled
+    analyses.set(i, analysis);
+  };
+
+  try {
+    for (let i = 0; i < pagesToProcess; i += 1) {
+      const pageNumber = i + 1;
+      for (let ahead = i; ahead < i + lookahead; ahead += 1) scheduleAnalysis(ahead);
+      const analysis = await analyses.get(i);
+      analyses.delete(i);
+      const { renderPage, width, height, candidates } = analysis;
+      let { png, detections } = analysis;
+      const best = pickBestCandidate(candidates);
+
+      detections = detections.map((detection) => ({ ...detection, action: detectionAction(detection) }));
+      const removedDetections = detections.filter((detection) => REMOVED_ACTIONS.has(detection.action));
+      const reviewDetections = detections.filter((detection) => detection.action === "review");
+
+      // The page-level fields describe one detection: the one waiting for review, else the best removed one.
+      const primary = reviewDetections[0] || removedDetections[0] || detections[0] || best
+        || { score: 0, bboxPx: null, matchedReference: null, plausible: false };
+      let action = "none";
+      if (reviewDetections.length > 0) action = "review";
+      else if (removedDetections.length > 0) action = removedDetections[0].action;
+
+      let removal = null;
+      if (removedDetections.length > 0) {
+        let page = pdfDoc.getPage(i);
+        const pageSize = page.getSize();
+        for (const detection of removedDetections) {
+          detection.bannerReplacement = config.detectorMode === "ai-cut" && Boolean(detection.wideFooterStrip);
+          detection.pdfRect = detection.bannerReplacement
+            ? getStableFooterPdfRect(pageSize, formatProfile.footerRatio)
+            : imageBboxToPdfRect(detection.bboxPx, { width, height }, pageGeometry(page));
+        }
+
+        if (removalMode !== "overlay") {
+          ({ page, removal } = await removeLogoContent({
+            pdfDoc,
+            pageIndex: i,
+            pdfRects: removedDetections.map((detection) => detection.pdfRect),
+            mode: removalMode,
+            rasterize: async () => (await renderPageToPngBuffer(renderPage, config.hardModeRenderScale)).png
+          }));
+        }
+
+        for (const detection of removedDetections) {
+          const { pdfRect } = detection;
+          if (detection.bannerReplacement && (replacementBanner?.image || removalMode === "overlay" || config.debugDrawBoxes)) {
+            await drawReplacementBanner(page, replacementBanner, formatProfile, detection, png);
+          } else if (removalMode === "overlay" || config.debugDrawBoxes) {
+            let drawColor = null;
+            if (config.debugDrawBoxes && !detection.wideFooterStrip) {
+              drawColor = { r: 1, g: 0, b: 0 };
+            } else {
+              // Overlay needs the surrounding color, so pages matched by hash are rendered here after all.
+              if (!png) png = (await renderPageToPngBuffer(renderPage, config.renderScale)).png;
+              drawColor = await sampleFillColor(png, detection.bboxPx);
+            }
+            page.drawRectangle({
+              x: pdfRect.x,
+              y: pdfRect.y,
+              width: pdfRect.width,
+              height: pdfRect.height,
+              color: rgb(drawColor.r, drawColor.g, drawColor.b)
+            });
+          }
+        }
+        if (!removal) removal = { mode: "overlay" };
       }
 
-      if (bannerReplacementMode && replacementBanner?.image) {
-        drawBannerFitted(page, replacementBanner.image, pdfRect, {
-          fit: formatProfile.bannerFit,
-          fillBackground: formatProfile.fillBackground,
-          bgColor: SOLID_FOOTER_COLOR,
-          bottomOffsetPx: formatProfile.bottomOffsetPx,
-          rightOffsetPx: formatProfile.rightOffsetPx
-        });
-      } else {
-        page.drawRectangle({
-          x: pdfRect.x,
-          y: pdfRect.y,
-          width: pdfRect.width,
-          height: pdfRect.height,
-          color: rgb(drawColor.r, drawColor.g, drawColor.b)
-        });
+      let debugPreviewRect = null;
+      if (config.debugDrawBoxes) {
+        const page = pdfDoc.getPage(i);
+        const geometry = pageGeometry(page);
+        const previewed = detections.length > 0 ? detections.filter((detection) => !REMOVED_ACTIONS.has(detection.action)) : [best];
+        for (const detection of previewed) {
+          if (!detection?.bboxPx) continue;
+          const rect = imageBboxToPdfRect(detection.bboxPx, { width, height }, geometry);
+          if (detection === primary) debugPreviewRect = rect;
+          page.drawRectangle({ x: rect.x, y: rect.y, width: rect.width, height: rect.height, borderColor: rgb(1, 0.4, 0), borderWidth: 2 });
+        }
       }
-      action = wideFooterStrip ? "replaced_footer_banner" : "removed";
-    } else if (plausible && match.score >= reviewThreshold) {
-      action = "review";
-    }
 
-    if (config.debugDrawBoxes && match.bboxPx && action !== "removed" && action !== "removed_footer_strip" && action !== "replaced_footer_banner") {
-      const page = pdfDoc.getPage(i);
-      const pageSize = page.getSize();
-      debugPreviewRect = imageBboxToPdfRect(match.bboxPx, { width, height }, pageSize);
-      page.drawRectangle({ x: debugPreviewRect.x, y: debugPreviewRect.y, width: debugPreviewRect.width, height: debugPreviewRect.height, borderColor: rgb(1, 0.4, 0), borderWidth: 2 });
+      log(`page ${pageNumber}: score=${primary.score.toFixed(3)} detections=${detections.length} removed=${removedDetections.length} action=${action} ref=${primary.matchedReference || "n/a"}`);
+
+      const aiProbe = best?.aiProbe || null;
+      auditPages.push({
+        pageNumber,
+        detectionScore: Number(primary.score.toFixed(4)),
+        matchedReference: primary.matchedReference,
+        templateMatch: primary.templateMatch || null,
+        aiProbe: aiProbe
+          ? { found: aiProbe.found, confidence: aiProbe.confidence, bbox: aiProbe.bbox, rawText: aiProbe.rawText || null }
+          : null,
+        footerZone: primary.footerZone || best?.footerZone || null,
+        cascade: primary.cascade || null,
+        embeddedMatch: summarizeEmbeddedMatch(primary.embeddedMatch),
+        renderSize: { width, height },
+        pageSize: pdfDoc.getPage(i).getSize(),
+        bboxPx: primary.bboxPx,
+        pdfRect: primary.pdfRect || null,
+        removal,
+        debugPreviewRect,
+        plausible: Boolean(primary.plausible),
+        action,
+        detections: detections.map((detection) => ({
+          score: Number(detection.score.toFixed(4)),
+          bboxPx: detection.bboxPx,
+          pdfRect: detection.pdfRect || null,
+          matchedReference: detection.matchedReference,
+          templateMatch: detection.templateMatch || null,
+          action: detection.action,
+          bannerReplacement: Boolean(detection.bannerReplacement),
+          primary: detection === primary,
+          cascade: detection.cascade || null,
+          embeddedMatch: summarizeEmbeddedMatch(detection.embeddedMatch)
+        }))
+      });
+
+      if (REMOVED_ACTIONS.has(action)) removedCount += 1;
+      else if (action === "review") reviewCount += 1;
+      await reportProgress(onProgress, {
+        stage: "processing",
+        pagesProcessed: pageNumber,
+        pagesTotal: pagesToProcess,
+        progress: Math.min(99, Math.floor((pageNumber / pagesToProcess) * 100)),
+        pageNumber,
+        action,
+        removedCount,
+        reviewCount,
+        page: auditPages[auditPages.length - 1]
+      });
     }
-
-    log(`page ${pageNumber}: score=${match.score.toFixed(3)} plausible=${plausible} action=${action} ref=${match.matchedReference || "n/a"}`);
-
-    auditPages.push({
-      pageNumber,
-      detectionScore: Number(match.score.toFixed(4)),
-      matchedReference: match.matchedReference,
-      aiProbe: aiProbe
-        ? { found: aiProbe.found, confidence: aiProbe.confidence, bbox: aiProbe.bbox, rawText: aiProbe.rawText || null }
-        : null,
-      footerZone,
-      bboxPx: match.bboxPx,
-      pdfRect,
-      debugPreviewRect,
-      plausible,
-      action
-    });
+  } finally {
+    pool?.release(inputPath);
   }
 
+  if (removalMode !== "overlay") {
+    const pruned = pruneUnreachableObjects(pdfDoc);
+    log(`pruned ${pruned} unreachable object(s)`);
+  }
   const output = await pdfDoc.save();
   await fs.writeFile(outputPath, output);
 
-  const removed = auditPages.filter((p) => p.action === "removed" || p.action === "removed_footer_strip" || p.action === "replaced_footer_banner").length;
-  const review = auditPages.filter((p) => p.action === "review").length;
-  const none = auditPages.length - removed - review;
+  const summary = summarizeAuditPages(auditPages, totalPagesInPdf);
 
   const audit = {
-    mode: settings?.mode || "overlay",
-    detector:
-      config.detectorMode === "ai-probe"
-        ? "ai-probe-v1"
-        : config.detectorMode === "ai-cut"
-          ? "ai-cut-v1"
-          : "template-match-v2",
+    mode: removalMode,
+    detector: detector.id,
     formatKey,
     formatProfile,
     processedAt: new Date().toISOString(),
     thresholds: { autoThreshold, reviewThreshold },
+    rois,
     pages: auditPages,
-    summary: {
-      totalPages: pagesToProcess,
-      totalPagesInPdf,
-      removed,
-      review,
-      none,
-      statusHint: review > 0 || removed === 0 ? "needs_review" : "completed"
-    }
+    summary
   };
 
   await fs.writeFile(auditPath, JSON.stringify(audit, null, 2), "utf-8");
-  log(`summary removed=${removed} review=${review} none=${none}`);
+  log(`summary removed=${summary.removed} review=${summary.review} none=${summary.none}`);
   log(`wrote output=${outputPath} audit=${auditPath}`);
 
   return {
     pagesTotal: pagesToProcess,
     pagesProcessed: pagesToProcess,
     progress: 100,
-    hasReview: review > 0 || removed === 0,
-    removedCount: removed,
-    reviewCount: review
+    hasReview: summary.statusHint === "needs_review",
+    removedCount: summary.removed,
+    reviewCount: summary.review,
+    pages: auditPages
   };
 }
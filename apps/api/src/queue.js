@@ -0,0 +1,141 @@
+// Job queue with two drivers:
+// - "bullmq": Redis-backed queue, used when REDIS_URL (or QUEUE_DRIVER=bullmq) is configured.
+// - "local": in-process queue, used as fallback when no queue backend is configured.
+// Both drivers call the same handler and share the same retry/backoff policy.
+
+function backoffDelay(baseMs, attempt) {
+  return baseMs * (2 ** Math.max(0, attempt - 1));
+}
+
+function createLocalQueue({ handler, concurrency, maxAttempts, backoffMs, onRetry, onFailed, logger }) {
+  const pending = [];
+  const timers = new Set();
+  const running = new Set();
+  let closed = false;
+
+  function pump() {
+    while (!closed && running.size < concurrency && pending.length > 0) {
+      const entry = pending.shift();
+      const attempt = run(entry)
+        .catch((error) => logger?.error?.(error))
+        .finally(() => {
+          running.delete(attempt);
+          pump();
+        });
+      running.add(attempt);
+    }
+  }
+
+  async function run(entry) {
+    const { payload, attempt } = entry;
+    try {
+      await handler(payload, { attempt, maxAttempts });
+    } catch (error) {
+      if (attempt < maxAttempts) {
+        const delayMs = backoffDelay(backoffMs, attempt);
+        logger?.warn?.(`job ${payload.jobId} attempt ${attempt}/${maxAttempts} failed, retrying in ${delayMs}ms`);
+        await runHook(() => onRetry?.(payload, error, { attempt, maxAttempts, delayMs }));
+        // After close() the retry is left to recovery on the next start.
+        if (closed) return;
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          pending.push({ payload, attempt: attempt + 1 });
+          pump();
+        }, delayMs);
+        timers.add(timer);
+      } else {
+        await runHook(() => onFailed?.(payload, error, { attempt, maxAttempts }));
+      }
+    }
+  }
+
+  // A failing hook (e.g. the job store) is logged; the queue keeps going.
+  async function runHook(hook) {
+    try {
+      await hook();
+    } catch (hookError) {
+      logger?.error?.(hookError);
+    }
+  }
+
+  return {
+    driver: "local",
+    async enqueue(payload) {
+      if (closed) throw new Error("Queue is closed");
+      pending.push({ payload, attempt: 1 });
+      pump();
+    },
+    // Stops taking jobs and waits for the running ones, so the job store is not closed under them.
+    async close() {
+      closed = true;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      await Promise.all(running);
+    }
+  };
+}
+
+async function createBullmqQueue({ handler, concurrency, maxAttempts, backoffMs, onRetry, onFailed, logger, redisUrl, queueName, runWorker }) {
+  const [{ Queue, Worker }, { default: IORedis }] = await Promise.all([import("bullmq"), import("ioredis")]);
+  // BullMQ workers require maxRetriesPerRequest=null on their connection.
+  const connection = new IORedis(redisUrl, { maxRetriesPerRequest: null });
+  const queue = new Queue(queueName, { connection });
+
+  let worker = null;
+  if (runWorker) {
+    worker = new Worker(
+      queueName,
+      (job) => handler(job.data, { attempt: job.attemptsMade + 1, maxAttempts }),
+      { connection, concurrency }
+    );
+
+    worker.on("failed", async (job, error) => {
+      if (!job) return;
+      const attempt = job.attemptsMade;
+      try {
+        if (attempt < maxAttempts) {
+          const delayMs = backoffDelay(backoffMs, attempt);
+          logger?.warn?.(`job ${job.data.jobId} attempt ${attempt}/${maxAttempts} failed, retrying in ${delayMs}ms`);
+          await onRetry?.(job.data, error, { attempt, maxAttempts, delayMs });
+        } else {
+          await onFailed?.(job.data, error, { attempt, maxAttempts });
+        }
+      } catch (hookError) {
+        logger?.error?.(hookError);
+      }
+    });
+  }
+
+  return {
+    driver: "bullmq",
+    async enqueue(payload) {
+      await queue.add("process-pdf", payload, {
+        jobId: payload.jobId,
+        attempts: maxAttempts,
+        backoff: { type: "exponential", delay: backoffMs },
+        removeOnComplete: 1000,
+        removeOnFail: 1000
+      });
+    },
+    async close() {
+      if (worker) await worker.close();
+      await queue.close();
+      await connection.quit();
+    }
+  };
+}
+
+export async function createJobQueue(options) {
+  const settings = {
+    ...options,
+    concurrency: Math.max(1, Number(options.concurrency || 1)),
+    maxAttempts: Math.max(1, Number(options.maxAttempts || 1)),
+    backoffMs: Math.max(0, Number(options.backoffMs || 0))
+  };
+
+  if (settings.driver === "bullmq") {
+    if (!settings.redisUrl) throw new Error("QUEUE_DRIVER=bullmq requires REDIS_URL");
+    return createBullmqQueue(settings);
+  }
+  return createLocalQueue(settings);
+}
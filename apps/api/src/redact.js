@@ -0,0 +1,361 @@
+import {
+  PDFArray,
+  PDFContentStream,
+  PDFDict,
+  PDFName,
+  PDFRawStream,
+  PDFRef,
+  decodePDFRawStream
+} from "pdf-lib";
+
+// Redaction: drops the content-stream operators that paint the logo (image/form XObjects,
+// inline images and filled or stroked paths) instead of covering them, so the logo is gone
+// from the page while text operators are left untouched.
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set([..."()<>[]{}/%"].map((char) => char.charCodeAt(0)));
+const PATH_OPERATORS = new Set(["m", "l", "c", "v", "y", "re", "h"]);
+const PAINT_OPERATORS = new Set(["S", "s", "f", "F", "f*", "B", "B*", "b", "b*", "n"]);
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+// Zero-width or zero-height bounds (straight lines) are widened to this many points to get an area.
+const MIN_BOUNDS_SIZE = 0.5;
+
+function isRegular(byte) {
+  return !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+}
+
+function readToken(bytes, start) {
+  let pos = start;
+  const length = bytes.length;
+
+  for (;;) {
+    while (pos < length && WHITESPACE.has(bytes[pos])) pos += 1;
+    if (bytes[pos] !== 0x25) break; // %
+    while (pos < length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos += 1;
+  }
+  if (pos >= length) return null;
+
+  const tokenStart = pos;
+  const byte = bytes[pos];
+
+  if (byte === 0x28) { // ( literal string, balanced parentheses and backslash escapes
+    let depth = 0;
+    while (pos < length) {
+      const current = bytes[pos];
+      if (current === 0x5c) pos += 1;
+      else if (current === 0x28) depth += 1;
+      else if (current === 0x29 && --depth === 0) break;
+      pos += 1;
+    }
+    return { type: "string", start: tokenStart, end: Math.min(pos + 1, length) };
+  }
+  if (byte === 0x3c && bytes[pos + 1] === 0x3c) return { type: "dictStart", start: tokenStart, end: pos + 2 };
+  if (byte === 0x3e && bytes[pos + 1] === 0x3e) return { type: "dictEnd", start: tokenStart, end: pos + 2 };
+  if (byte === 0x3c) { // <hex string>
+    while (pos < length && bytes[pos] !== 0x3e) pos += 1;
+    return { type: "string", start: tokenStart, end: Math.min(pos + 1, length) };
+  }
+  if (byte === 0x5b) return { type: "arrayStart", start: tokenStart, end: pos + 1 };
+  if (byte === 0x5d) return { type: "arrayEnd", start: tokenStart, end: pos + 1 };
+  if (byte === 0x7b || byte === 0x7d || byte === 0x29 || byte === 0x3e) {
+    return { type: "other", start: tokenStart, end: pos + 1 };
+  }
+
+  pos += 1;
+  while (pos < length && isRegular(bytes[pos])) pos += 1;
+  const text = Buffer.from(bytes.subarray(tokenStart, pos)).toString("latin1");
+  if (byte === 0x2f) return { type: "name", value: text.slice(1), start: tokenStart, end: pos };
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) return { type: "number", value: Number(text), start: tokenStart, end: pos };
+  return { type: "keyword", value: text, start: tokenStart, end: pos };
+}
+
+// Inline image data runs from one whitespace after ID to an EI keyword surrounded by whitespace.
+function skipInlineImage(bytes, from) {
+  let pos = from;
+  for (;;) {
+    const token = readToken(bytes, pos);
+    if (!token) return bytes.length;
+    pos = token.end;
+    if (token.type === "keyword" && token.value === "ID") break;
+  }
+  pos += 1;
+  const length = bytes.length;
+  for (; pos < length - 1; pos += 1) {
+    if (bytes[pos] === 0x45 && bytes[pos + 1] === 0x49 && WHITESPACE.has(bytes[pos - 1])
+      && (pos + 2 >= length || !isRegular(bytes[pos + 2]))) {
+      return pos + 2;
+    }
+  }
+  return length;
+}
+
+// Splits a decoded content stream into operators with their operands and byte ranges.
+// Arrays, dictionaries and strings are kept as opaque operands ({ type }); numbers and names keep their value.
+export function parseContentStream(bytes) {
+  const ops = [];
+  let operands = [];
+  let opStart = -1;
+  let nesting = 0;
+  let pos = 0;
+
+  for (;;) {
+    const token = readToken(bytes, pos);
+    if (!token) break;
+    pos = token.end;
+    if (opStart < 0) opStart = token.start;
+
+    if (token.type === "arrayStart" || token.type === "dictStart") {
+      nesting += 1;
+      continue;
+    }
+    if (token.type === "arrayEnd" || token.type === "dictEnd") {
+      nesting = Math.max(0, nesting - 1);
+      if (nesting === 0) operands.push({ type: token.type === "arrayEnd" ? "array" : "dict" });
+      continue;
+    }
+    if (nesting > 0) continue;
+
+    if (token.type !== "keyword" || ["true", "false", "null"].includes(token.value)) {
+      operands.push(token);
+      continue;
+    }
+
+    const end = token.value === "BI" ? skipInlineImage(bytes, token.end) : token.end;
+    ops.push({ operator: token.value, operands, start: opStart, end });
+    pos = end;
+    operands = [];
+    opStart = -1;
+  }
+
+  return ops;
+}
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+function transformPoint(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function boundsOf(points) {
+  const xs = points.map((point) => point[0]);
+  const ys = points.map((point) => point[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function rectCorners(m, x0, y0, x1, y1) {
+  return [transformPoint(m, x0, y0), transformPoint(m, x1, y0), transformPoint(m, x0, y1), transformPoint(m, x1, y1)];
+}
+
+function numbersOf(op, count) {
+  const values = op.operands.slice(-count).map((operand) => operand.value);
+  return values.length === count && values.every((value) => typeof value === "number") ? values : null;
+}
+
+// Share of `bounds` (0..1) that lies inside the rect it overlaps most.
+export function overlapRatio(bounds, pdfRects) {
+  const width = Math.max(bounds.width, MIN_BOUNDS_SIZE);
+  const height = Math.max(bounds.height, MIN_BOUNDS_SIZE);
+  const x0 = bounds.x + (bounds.width - width) / 2;
+  const y0 = bounds.y + (bounds.height - height) / 2;
+
+  let best = 0;
+  for (const rect of pdfRects) {
+    const ix = Math.min(x0 + width, rect.x + rect.width) - Math.max(x0, rect.x);
+    const iy = Math.min(y0 + height, rect.y + rect.height) - Math.max(y0, rect.y);
+    if (ix > 0 && iy > 0) best = Math.max(best, (ix * iy) / (width * height));
+  }
+  return best;
+}
+
+function roundBounds(bounds) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return { x: round(bounds.x), y: round(bounds.y), width: round(bounds.width), height: round(bounds.height) };
+}
+
+// Walks the operators keeping track of the CTM and returns the ones to drop. Clipping paths and
+// text are never removed; an element is removed when at least `minOverlap` of its bounds lies in a rect.
+// `lookupXObject(name)` returns { subtype, ref, bbox, matrix } or null.
+export function findRedactions(ops, { pdfRects, minOverlap, lookupXObject }) {
+  const removed = [];
+  const ranges = [];
+  const stack = [];
+  let ctm = IDENTITY;
+  let path = null;
+
+  function consider(bounds, firstIndex, lastIndex, entry) {
+    const ratio = overlapRatio(bounds, pdfRects);
+    if (ratio < minOverlap) return;
+    ranges.push([ops[firstIndex].start, ops[lastIndex].end]);
+    removed.push({ ...entry, bounds: roundBounds(bounds), overlap: Number(ratio.toFixed(3)) });
+  }
+
+  ops.forEach((op, index) => {
+    const { operator } = op;
+
+    if (operator === "q") {
+      stack.push(ctm);
+    } else if (operator === "Q") {
+      ctm = stack.pop() || IDENTITY;
+    } else if (operator === "cm") {
+      const matrix = numbersOf(op, 6);
+      if (matrix) ctm = multiply(matrix, ctm);
+    } else if (PATH_OPERATORS.has(operator)) {
+      if (!path) path = { firstIndex: index, points: [], clip: false };
+      const values = op.operands.filter((operand) => operand.type === "number").map((operand) => operand.value);
+      if (operator === "re" && values.length === 4) {
+        const [x, y, w, h] = values;
+        path.points.push(...rectCorners(ctm, x, y, x + w, y + h));
+      } else {
+        for (let k = 0; k + 1 < values.length; k += 2) path.points.push(transformPoint(ctm, values[k], values[k + 1]));
+      }
+    } else if (operator === "W" || operator === "W*") {
+      if (path) path.clip = true;
+    } else if (PAINT_OPERATORS.has(operator)) {
+      if (path && !path.clip && operator !== "n" && path.points.length > 0) {
+        consider(boundsOf(path.points), path.firstIndex, index, { operator, kind: "path", operators: index - path.firstIndex + 1 });
+      }
+      path = null;
+    } else if (operator === "Do") {
+      const name = op.operands[op.operands.length - 1];
+      const xObject = name?.type === "name" ? lookupXObject(name.value) : null;
+      if (!xObject) return;
+      const [x0, y0, x1, y1] = xObject.subtype === "Form" ? xObject.bbox : [0, 0, 1, 1];
+      const matrix = xObject.subtype === "Form" ? multiply(xObject.matrix, ctm) : ctm;
+      consider(boundsOf(rectCorners(matrix, x0, y0, x1, y1)), index, index, {
+        operator: "Do",
+        kind: xObject.subtype === "Form" ? "form" : "image",
+        name: name.value,
+        ref: xObject.ref
+      });
+    } else if (operator === "BI") {
+      consider(boundsOf(rectCorners(ctm, 0, 0, 1, 1)), index, index, { operator: "BI", kind: "inline_image" });
+    }
+  });
+
+  return { removed, ranges };
+}
+
+function removeRanges(bytes, ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let cursor = 0;
+  for (const [start, end] of sorted) {
+    if (start < cursor) continue;
+    parts.push(bytes.subarray(cursor, start), Uint8Array.of(0x0a));
+    cursor = end;
+  }
+  parts.push(bytes.subarray(cursor));
+  return Buffer.concat(parts);
+}
+
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  if (stream instanceof PDFContentStream) return stream.getUnencodedContents();
+  return stream.getContents();
+}
+
+function readPageContent(page) {
+  const { context } = page.doc;
+  const contents = page.node.Contents();
+  if (!contents) return new Uint8Array(0);
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => context.lookup(ref))
+    : [contents];
+  // Content stream arrays are a single stream split at arbitrary token boundaries.
+  return Buffer.concat(streams.flatMap((stream) => [Buffer.from(streamBytes(stream)), Buffer.from("\n")]));
+}
+
+function numberArray(dict, key, fallback) {
+  const array = dict.lookupMaybe(PDFName.of(key), PDFArray);
+  return array ? array.asArray().map((value) => value.asNumber()) : fallback;
+}
+
+function xObjectLookup(xObjects) {
+  return (name) => {
+    if (!xObjects) return null;
+    const entry = xObjects.get(PDFName.of(name));
+    const stream = entry ? xObjects.context.lookup(entry) : null;
+    if (!stream?.dict) return null;
+    const subtype = stream.dict.lookupMaybe(PDFName.of("Subtype"), PDFName)?.decodeText();
+    if (subtype !== "Image" && subtype !== "Form") return null;
+    return {
+      subtype,
+      stream,
+      ref: entry instanceof PDFRef ? entry.toString() : null,
+      bbox: numberArray(stream.dict, "BBox", [0, 0, 1, 1]),
+      matrix: numberArray(stream.dict, "Matrix", [...IDENTITY])
+    };
+  };
+}
+
+// Image XObjects drawn directly by the page content stream, in drawing order, with their bounds in
+// PDF points. Images nested in form XObjects are not listed.
+export function findImagePlacements(page) {
+  const lookupXObject = xObjectLookup(page.node.Resources()?.lookupMaybe(PDFName.of("XObject"), PDFDict));
+  const placements = [];
+  const stack = [];
+  let ctm = IDENTITY;
+
+  for (const op of parseContentStream(readPageContent(page))) {
+    if (op.operator === "q") {
+      stack.push(ctm);
+    } else if (op.operator === "Q") {
+      ctm = stack.pop() || IDENTITY;
+    } else if (op.operator === "cm") {
+      const matrix = numbersOf(op, 6);
+      if (matrix) ctm = multiply(matrix, ctm);
+    } else if (op.operator === "Do") {
+      const name = op.operands[op.operands.length - 1];
+      const xObject = name?.type === "name" ? lookupXObject(name.value) : null;
+      if (xObject?.subtype !== "Image") continue;
+      placements.push({ name: name.value, ref: xObject.ref, stream: xObject.stream, bounds: boundsOf(rectCorners(ctm, 0, 0, 1, 1)) });
+    }
+  }
+  return placements;
+}
+
+// Removes the operators painting inside `pdfRects` from page `pageIndex` and returns what was removed.
+// The page gets its own content stream and resources, so pages sharing them are not affected.
+export function redactPageContent({ pdfDoc, pageIndex, pdfRects, minOverlap }) {
+  const page = pdfDoc.getPage(pageIndex);
+  const { context } = pdfDoc;
+  const resources = page.node.Resources();
+  const xObjects = resources?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+
+  const bytes = readPageContent(page);
+  const ops = parseContentStream(bytes);
+  const { removed, ranges } = findRedactions(ops, { pdfRects, minOverlap, lookupXObject: xObjectLookup(xObjects) });
+  if (removed.length === 0) return { page, removed };
+
+  const content = removeRanges(bytes, ranges);
+  page.node.set(PDFName.of("Contents"), context.register(context.flateStream(content)));
+
+  // Drop resource entries nothing draws anymore, so the objects can be pruned on save.
+  if (xObjects) {
+    const stillUsed = new Set(
+      parseContentStream(content)
+        .filter((op) => op.operator === "Do")
+        .map((op) => op.operands[op.operands.length - 1]?.value)
+    );
+    const pageXObjects = xObjects.clone(context);
+    for (const name of new Set(removed.map((item) => item.name).filter(Boolean))) {
+      if (!stillUsed.has(name)) pageXObjects.delete(PDFName.of(name));
+    }
+    const pageResources = resources.clone(context);
+    pageResources.set(PDFName.of("XObject"), pageXObjects);
+    page.node.set(PDFName.of("Resources"), pageResources);
+  }
+
+  return { page, removed };
+}
@@ -0,0 +1,214 @@
+import { PDFArray, PDFDict, PDFRef, PDFStream, degrees } from "pdf-lib";
+import sharp from "sharp";
+
+import { config } from "./config.js";
+import { redactPageContent } from "./redact.js";
+
+// Content-removing modes (anything but overlay):
+// - hard: the page is replaced by a rendered image in which the logo area was inpainted.
+// - redact: the operators painting the logo are dropped from the page content stream.
+// Either way nothing of the original logo is left in the PDF objects once pruneUnreachableObjects ran.
+
+const INPAINT_RADIUS = 4;
+
+function clampInt(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+// The part of a page that is rendered, in PDF user space: its CropBox and clockwise /Rotate (0, 90, 180
+// or 270). pdf.js renders that box turned by the rotation, so the top left pixel of a /Rotate 90 page is
+// the box's bottom left corner. Plain { width, height } sizes are read as an unrotated box at 0,0.
+export function pageGeometry(page) {
+  const { x, y, width, height } = page.getCropBox();
+  return { x, y, width, height, rotate: (((page.getRotation().angle % 360) + 360) % 360) };
+}
+
+// Fractions of the rendered image (u from the left, v from the top) to a point in user space.
+export function imageFractionToPdfPoint(u, v, geometry) {
+  const { x = 0, y = 0, width, height, rotate = 0 } = geometry;
+  const [fx, fy] = { 90: [v, u], 180: [1 - u, v], 270: [1 - v, 1 - u] }[rotate] || [u, 1 - v];
+  return { x: x + fx * width, y: y + fy * height };
+}
+
+function pdfPointToImageFraction(px, py, geometry) {
+  const { x = 0, y = 0, width, height, rotate = 0 } = geometry;
+  const fx = (px - x) / width;
+  const fy = (py - y) / height;
+  const [u, v] = { 90: [fy, fx], 180: [1 - fx, fy], 270: [1 - fy, 1 - fx] }[rotate] || [fx, 1 - fy];
+  return { u, v };
+}
+
+export function pdfRectToImageRect(pdfRect, renderSize, geometry) {
+  const a = pdfPointToImageFraction(pdfRect.x, pdfRect.y, geometry);
+  const b = pdfPointToImageFraction(pdfRect.x + pdfRect.width, pdfRect.y + pdfRect.height, geometry);
+  const x0 = clampInt(Math.min(a.u, b.u) * renderSize.width, 0, renderSize.width);
+  const x1 = clampInt(Math.max(a.u, b.u) * renderSize.width, 0, renderSize.width);
+  const y0 = clampInt(Math.min(a.v, b.v) * renderSize.height, 0, renderSize.height);
+  const y1 = clampInt(Math.max(a.v, b.v) * renderSize.height, 0, renderSize.height);
+  return { x: x0, y: y0, width: Math.max(0, x1 - x0), height: Math.max(0, y1 - y0) };
+}
+
+// Where drawImage puts a rendering of the page so it covers the box and reads upright once the viewer
+// applies the rotation: the image is turned back by the same angle around its placed corner.
+function rasterPlacement({ x, y, width, height, rotate }) {
+  if (rotate === 90) return { x: x + width, y, width: height, height: width, rotate: degrees(90) };
+  if (rotate === 180) return { x: x + width, y: y + height, width, height, rotate: degrees(180) };
+  if (rotate === 270) return { x, y: y + height, width: height, height: width, rotate: degrees(270) };
+  return { x, y, width, height };
+}
+
+// Onion-peel inpainting (in the spirit of Telea's fast marching method): the hole is
+// filled one ring at a time from its border inwards, each pixel taking the
+// distance-weighted average of already-known pixels around it. Colors and gradients
+// that enter the box from each side are carried across it instead of collapsing to
+// one flat average like sampleFillColor. Mutates `data` (raw, interleaved channels).
+export function inpaintRegion(data, width, height, channels, rect, radius = INPAINT_RADIUS) {
+  const x0 = clampInt(rect.x, 0, width);
+  const y0 = clampInt(rect.y, 0, height);
+  const x1 = clampInt(rect.x + rect.width, 0, width);
+  const y1 = clampInt(rect.y + rect.height, 0, height);
+  if (x1 <= x0 || y1 <= y0) return 0;
+
+  const known = new Uint8Array(width * height).fill(1);
+  for (let y = y0; y < y1; y += 1) {
+    for (let x = x0; x < x1; x += 1) known[y * width + x] = 0;
+  }
+
+  let remaining = (x1 - x0) * (y1 - y0);
+  const sums = new Float64Array(channels);
+
+  while (remaining > 0) {
+    // Current ring: unknown pixels touching at least one known 4-neighbour.
+    const ring = [];
+    for (let y = y0; y < y1; y += 1) {
+      for (let x = x0; x < x1; x += 1) {
+        const idx = y * width + x;
+        if (known[idx]) continue;
+        if ((x > 0 && known[idx - 1]) || (x < width - 1 && known[idx + 1])
+          || (y > 0 && known[idx - width]) || (y < height - 1 && known[idx + width])) {
+          ring.push(idx);
+        }
+      }
+    }
+    // Whole image unknown: nothing to propagate from.
+    if (ring.length === 0) break;
+
+    const values = new Float64Array(ring.length * channels);
+    for (let r = 0; r < ring.length; r += 1) {
+      const idx = ring[r];
+      const px = idx % width;
+      const py = (idx - px) / width;
+      sums.fill(0);
+      let weightSum = 0;
+
+      for (let dy = -radius; dy <= radius; dy += 1) {
+        const ny = py + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -radius; dx <= radius; dx += 1) {
+          const nx = px + dx;
+          if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+          const nIdx = ny * width + nx;
+          if (!known[nIdx]) continue;
+          const weight = 1 / ((dx * dx) + (dy * dy));
+          const base = nIdx * channels;
+          for (let c = 0; c < channels; c += 1) sums[c] += data[base + c] * weight;
+          weightSum += weight;
+        }
+      }
+
+      for (let c = 0; c < channels; c += 1) values[(r * channels) + c] = sums[c] / weightSum;
+    }
+
+    // Commit the ring only after computing it, so fill order does not bias one side.
+    for (let r = 0; r < ring.length; r += 1) {
+      const base = ring[r] * channels;
+      for (let c = 0; c < channels; c += 1) data[base + c] = Math.round(values[(r * channels) + c]);
+      known[ring[r]] = 1;
+    }
+    remaining -= ring.length;
+  }
+
+  return (x1 - x0) * (y1 - y0);
+}
+
+// Inpaints `pdfRects` on the rendered page and swaps page `pageIndex` for a new page with the same boxes and
+// rotation holding only that image. Returns the new page and the inpainted image rects.
+export async function replacePageWithInpaintedRaster({ pdfDoc, pageIndex, png, pdfRects }) {
+  const original = pdfDoc.getPage(pageIndex);
+  const mediaBox = original.getMediaBox();
+  const geometry = pageGeometry(original);
+  const { data, info } = await sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const renderSize = { width: info.width, height: info.height };
+
+  const imageRects = pdfRects.map((rect) => pdfRectToImageRect(rect, renderSize, geometry));
+  for (const rect of imageRects) {
+    inpaintRegion(data, info.width, info.height, info.channels, rect);
+  }
+
+  const rasterPng = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .png()
+    .toBuffer();
+  const image = await pdfDoc.embedPng(rasterPng);
+
+  const page = pdfDoc.insertPage(pageIndex, [mediaBox.width, mediaBox.height]);
+  page.setMediaBox(mediaBox.x, mediaBox.y, mediaBox.width, mediaBox.height);
+  if (["x", "y", "width", "height"].some((key) => geometry[key] !== mediaBox[key])) {
+    page.setCropBox(geometry.x, geometry.y, geometry.width, geometry.height);
+  }
+  page.setRotation(degrees(geometry.rotate));
+  page.drawImage(image, rasterPlacement(geometry));
+  pdfDoc.removePage(pageIndex + 1);
+
+  return { page, renderSize, imageRects };
+}
+
+// Applies `mode` ("hard" or "redact") to page `pageIndex`. `rasterize()` resolves to a PNG of the page
+// at config.hardModeRenderScale and is only called when the page has to be rasterized.
+// A redaction that finds nothing to drop falls back to hard mode, so the logo never stays in the file.
+// Returns the (possibly new) page and the audit `removal` entry.
+export async function removeLogoContent({ pdfDoc, pageIndex, pdfRects, mode, rasterize }) {
+  if (mode === "redact") {
+    const { page, removed } = redactPageContent({ pdfDoc, pageIndex, pdfRects, minOverlap: config.redactMinOverlap });
+    if (removed.length > 0) return { page, removal: { mode: "redact", removedOps: removed } };
+    const fallback = await removeLogoContent({ pdfDoc, pageIndex, pdfRects, mode: "hard", rasterize });
+    return { page: fallback.page, removal: { mode: "redact", removedOps: [], fallback: fallback.removal } };
+  }
+
+  const png = await rasterize();
+  const replaced = await replacePageWithInpaintedRaster({ pdfDoc, pageIndex, png, pdfRects });
+  return {
+    page: replaced.page,
+    removal: { mode: "hard", renderScale: config.hardModeRenderScale, renderSize: replaced.renderSize, inpaintedRects: replaced.imageRects }
+  };
+}
+
+// pdf-lib saves every object it loaded, including those of replaced pages and dropped XObjects.
+// Deletes the objects no longer reachable from the trailer before saving. Returns how many were deleted.
+export function pruneUnreachableObjects(pdfDoc) {
+  const { context } = pdfDoc;
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt];
+
+  while (pending.length > 0) {
+    const object = pending.pop();
+    if (object instanceof PDFRef) {
+      if (reachable.has(object.tag)) continue;
+      reachable.add(object.tag);
+      pending.push(context.lookup(object));
+    } else if (object instanceof PDFDict) {
+      for (const [, value] of object.entries()) pending.push(value);
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    }
+  }
+
+  let deleted = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (reachable.has(ref.tag)) continue;
+    context.delete(ref);
+    deleted += 1;
+  }
+  return deleted;
+}
@@ -0,0 +1,353 @@
+import fs from "node:fs/promises";
+
+import { PDFDocument, rgb } from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+
+import { config } from "./config.js";
+import {
+  REMOVED_ACTIONS,
+  drawReplacementBanner,
+  getStableFooterPdfRect,
+  imageBboxToPdfRect,
+  loadReplacementBannerForPdf,
+  renderPageToPngBuffer,
+  sampleFillColor,
+  summarizeAuditPages
+} from "./processor.js";
+import { pageGeometry, pruneUnreachableObjects, removeLogoContent } from "./removal.js";
+
+const DECISIONS = new Set(["approve", "adjust", "reject"]);
+
+// `viewport` is the page's pdf.js viewport at scale 1 (rotation applied).
+function renderSizeOf(auditPage, viewport) {
+  if (auditPage.renderSize?.width && auditPage.renderSize?.height) return auditPage.renderSize;
+  // Audits written before renderSize was recorded used config.renderScale.
+  return {
+    width: Math.floor(viewport.width * config.renderScale),
+    height: Math.floor(viewport.height * config.renderScale)
+  };
+}
+
+// Action before any review decision, for pages and detections alike.
+function originalAction(item) {
+  return item.review?.previousAction || item.action;
+}
+
+function reviewReason(page) {
+  const action = originalAction(page);
+  if (action === "review") return "borderline_score";
+  if (REMOVED_ACTIONS.has(action)) return "auto_removed";
+  return "nothing_removed";
+}
+
+// Audits written before detections were recorded only have the page-level fields.
+function pageDetections(page) {
+  if (Array.isArray(page.detections) && page.detections.length > 0) return page.detections;
+  if (!page.bboxPx) return [];
+  return [{
+    score: page.detectionScore,
+    bboxPx: page.bboxPx,
+    pdfRect: page.pdfRect || null,
+    matchedReference: page.matchedReference,
+    action: page.action,
+    primary: true,
+    ...(page.review ? { review: { ...page.review } } : {})
+  }];
+}
+
+function isNothingRemoved(audit) {
+  return !(audit?.pages || []).some((page) => REMOVED_ACTIONS.has(originalAction(page)));
+}
+
+// Detections the reviewer decides on, as [{ index, detection }] with the index into page.detections that
+// decisions refer to: every detection that waited for review or already has a decision, plus the primary
+// candidate box when the job removed nothing at all (the other trigger for needs_review).
+function reviewCandidates(page, nothingRemoved) {
+  return pageDetections(page)
+    .map((detection, index) => ({ index, detection }))
+    .filter(({ detection }) => originalAction(detection) === "review"
+      || detection.review
+      || (nothingRemoved && detection.primary && detection.bboxPx));
+}
+
+// Box a detection is removed at: the reviewer's adjusted box, else the proposed one.
+function removalBox(detection) {
+  return detection.review?.bboxPx || detection.bboxPx;
+}
+
+// Footer strips the job replaced with the format's banner (ai-cut). Audits written before bannerReplacement was
+// recorded only had banner replacements in ai-cut mode.
+function isBannerReplacement(detection) {
+  return detection.action === "replaced_footer_banner" && (detection.bannerReplacement ?? config.detectorMode === "ai-cut");
+}
+
+// Action of a detection the reviewer kept: its automatic one when approved as proposed, else plain removal.
+function keptAction(detection, decision) {
+  const previous = originalAction(detection);
+  return decision === "approve" && REMOVED_ACTIONS.has(previous) ? previous : "removed";
+}
+
+// Pages a reviewer has to look at, each with its `detections` to decide on. Pages already reviewed stay
+// listed with their decisions. The page-level fields describe the primary detection, as in the audit.
+export function listReviewPages(audit) {
+  const pages = Array.isArray(audit?.pages) ? audit.pages : [];
+  const nothingRemoved = isNothingRemoved(audit);
+
+  return pages
+    .map((page) => ({ page, candidates: reviewCandidates(page, nothingRemoved) }))
+    .filter(({ page, candidates }) => candidates.length > 0 || page.review)
+    .map(({ page, candidates }) => {
+      const candidateIndexes = new Set(candidates.map(({ index }) => index));
+      return {
+        pageNumber: page.pageNumber,
+        reason: reviewReason(page),
+        action: page.action,
+        detectionScore: page.detectionScore,
+        matchedReference: page.matchedReference,
+        bboxPx: page.bboxPx,
+        detections: candidates.map(({ index, detection }) => ({
+          index,
+          score: detection.score,
+          bboxPx: detection.bboxPx,
+          matchedReference: detection.matchedReference,
+          primary: Boolean(detection.primary),
+          review: detection.review || null
+        })),
+        // Other logos on the page that were removed automatically and are kept as they are.
+        removedBoxes: pageDetections(page)
+          .filter((detection, index) => !candidateIndexes.has(index) && REMOVED_ACTIONS.has(originalAction(detection)))
+          .map(removalBox),
+        footerZone: page.footerZone,
+        renderSize: page.renderSize || null,
+        pageSize: page.pageSize || null,
+        review: page.review || null
+      };
+    });
+}
+
+export function isReviewPending(audit) {
+  return listReviewPages(audit).some((page) => !page.review);
+}
+
+function isValidBbox(bbox) {
+  return Boolean(bbox)
+    && ["x", "y", "width", "height"].every((key) => Number.isFinite(Number(bbox[key])))
+    && Number(bbox.width) > 0
+    && Number(bbox.height) > 0;
+}
+
+// One decision per candidate detection of the page, from either form of a page's decision:
+// `detections: [{ index, decision, bboxPx? }]` covering every candidate, or a page-level `decision` applied to
+// all of them (`adjust` only when there is a single one). On a page without candidates, a page-level `adjust`
+// adds the reviewer's box (index null). Returns { error } or { decisions: [{ index, decision, bboxPx }] }.
+function resolvePageDecisions(page, item, nothingRemoved) {
+  const pageNumber = page.pageNumber;
+  const candidates = reviewCandidates(page, nothingRemoved);
+  const byIndex = new Map(candidates.map((candidate) => [candidate.index, candidate.detection]));
+
+  if (item.detections === undefined && !DECISIONS.has(item.decision)) {
+    return { error: `Page ${pageNumber}: decision must be approve, adjust or reject` };
+  }
+
+  let decisions;
+  if (item.detections !== undefined) {
+    if (!Array.isArray(item.detections)) return { error: `Page ${pageNumber}: detections must be an array` };
+    decisions = [];
+    for (const entry of item.detections) {
+      const index = Number(entry?.index);
+      if (!byIndex.has(index)) return { error: `Page ${pageNumber}: detection ${entry?.index} is not up for review` };
+      if (decisions.some((decision) => decision.index === index)) {
+        return { error: `Page ${pageNumber}: detection ${index} has more than one decision` };
+      }
+      decisions.push({ index, decision: entry.decision, bboxPx: entry.bboxPx });
+    }
+    const missing = candidates.find(({ index }) => !decisions.some((decision) => decision.index === index));
+    if (missing) return { error: `Page ${pageNumber}: detection ${missing.index} needs a decision` };
+  } else if (candidates.length === 0) {
+    if (item.decision === "approve") return { error: `Page ${pageNumber}: no proposed box to approve, use adjust` };
+    decisions = item.decision === "adjust" ? [{ index: null, decision: "adjust", bboxPx: item.bboxPx }] : [];
+  } else {
+    if (item.decision === "adjust" && candidates.length > 1) {
+      return { error: `Page ${pageNumber} has ${candidates.length} detections to review, send one decision per detection in detections` };
+    }
+    decisions = candidates.map(({ index }) => ({ index, decision: item.decision, bboxPx: item.bboxPx }));
+  }
+
+  for (const { index, decision, bboxPx } of decisions) {
+    const at = index === null ? `Page ${pageNumber}` : `Page ${pageNumber}, detection ${index}`;
+    if (!DECISIONS.has(decision)) return { error: `${at}: decision must be approve, adjust or reject` };
+    if (decision === "adjust" && !isValidBbox(bboxPx)) return { error: `${at}: adjust requires bboxPx {x, y, width, height}` };
+    if (decision === "approve" && !byIndex.get(index)?.bboxPx) return { error: `${at}: no proposed box to approve, use adjust` };
+  }
+  return { decisions };
+}
+
+// Returns an error message, or null when every decision is usable against this audit.
+export function validateReviewDecisions(audit, decisions) {
+  if (!Array.isArray(decisions) || decisions.length === 0) return "decisions must be a non-empty array";
+
+  const nothingRemoved = isNothingRemoved(audit);
+  const seen = new Set();
+  for (const item of decisions) {
+    const pageNumber = Number(item?.pageNumber);
+    const page = (audit?.pages || []).find((candidate) => candidate.pageNumber === pageNumber);
+    if (!page) return `Page ${item?.pageNumber} is not part of this job`;
+    if (seen.has(pageNumber)) return `Page ${pageNumber} has more than one decision`;
+    seen.add(pageNumber);
+
+    const { error } = resolvePageDecisions(page, item, nothingRemoved);
+    if (error) return error;
+  }
+  return null;
+}
+
+function roundBox(bbox) {
+  return {
+    x: Math.round(Number(bbox.x)),
+    y: Math.round(Number(bbox.y)),
+    width: Math.max(1, Math.round(Number(bbox.width))),
+    height: Math.max(1, Math.round(Number(bbox.height)))
+  };
+}
+
+// Page-level summary of the detection decisions: the common one, or adjust when they differ.
+function pageDecision(decisions) {
+  if (decisions.length === 0 || decisions.every(({ decision }) => decision === "reject")) return "reject";
+  return decisions.every(({ decision }) => decision === "approve") ? "approve" : "adjust";
+}
+
+// Re-applies reviewed pages from the original input onto the output PDF.
+// Every reviewed page is copied again from the original, then each detection is removed when approved (at
+// its proposed box) or adjusted (at the reviewer's box) and left when rejected. The page's other
+// automatically removed detections are applied again whatever the decisions, footer banners included.
+export async function applyReviewDecisions({ inputPath, outputPath, auditPath, decisions }) {
+  const audit = JSON.parse(await fs.readFile(auditPath, "utf-8"));
+  const inputBuffer = await fs.readFile(inputPath);
+  const inputDoc = await PDFDocument.load(inputBuffer);
+  const outputDoc = await PDFDocument.load(await fs.readFile(outputPath));
+  const renderDoc = await pdfjsLib.getDocument({ data: new Uint8Array(inputBuffer) }).promise;
+  const reviewedAt = new Date().toISOString();
+  const nothingRemoved = isNothingRemoved(audit);
+  let banner;
+
+  try {
+    for (const item of decisions) {
+      const pageNumber = Number(item.pageNumber);
+      const index = pageNumber - 1;
+      const auditPage = audit.pages.find((page) => page.pageNumber === pageNumber);
+      const resolved = resolvePageDecisions(auditPage, item, nothingRemoved).decisions;
+      auditPage.detections = pageDetections(auditPage);
+
+      const [original] = await outputDoc.copyPages(inputDoc, [index]);
+      outputDoc.removePage(index);
+      outputDoc.insertPage(index, original);
+
+      const previousAction = originalAction(auditPage);
+      for (const { index: detectionIndex, decision, bboxPx } of resolved) {
+        const adjusted = decision === "adjust" ? roundBox(bboxPx) : null;
+        if (detectionIndex === null) {
+          // A logo the detectors missed, boxed by the reviewer.
+          auditPage.detections.push({
+            score: 0,
+            bboxPx: adjusted,
+            pdfRect: null,
+            matchedReference: null,
+            action: "removed",
+            primary: auditPage.detections.length === 0,
+            review: { decision, previousAction: "none", bboxPx: adjusted, reviewedAt }
+          });
+          continue;
+        }
+        const detection = auditPage.detections[detectionIndex];
+        const action = decision === "reject" ? "none" : keptAction(detection, decision);
+        detection.review = { decision, previousAction: originalAction(detection), bboxPx: adjusted, reviewedAt };
+        detection.action = action;
+        detection.pdfRect = null;
+      }
+
+      const removed = auditPage.detections.filter((detection) => REMOVED_ACTIONS.has(detection.action));
+      const primary = auditPage.detections.find((detection) => detection.primary) || null;
+      const review = {
+        decision: pageDecision(resolved),
+        previousAction,
+        bboxPx: primary?.review?.bboxPx || null,
+        reviewedAt
+      };
+
+      if (removed.length === 0) {
+        auditPage.action = "none";
+        auditPage.pdfRect = null;
+        auditPage.removal = null;
+        auditPage.review = review;
+        continue;
+      }
+
+      const boxes = removed.map(removalBox);
+      const banners = removed.map(isBannerReplacement);
+      const renderPage = await renderDoc.getPage(pageNumber);
+      const viewport = renderPage.getViewport({ scale: 1 });
+      const renderSize = renderSizeOf(auditPage, viewport);
+      let page = outputDoc.getPage(index);
+      const geometry = pageGeometry(page);
+      const pdfRects = boxes.map((box, b) => (banners[b]
+        ? getStableFooterPdfRect(page.getSize(), audit.formatProfile.footerRatio)
+        : imageBboxToPdfRect(box, renderSize, geometry)));
+      let png = null;
+      const pagePng = async () => {
+        if (!png) png = (await renderPageToPngBuffer(renderPage, renderSize.width / viewport.width)).png;
+        return png;
+      };
+
+      if (audit.mode === "hard" || audit.mode === "redact") {
+        ({ page, removal: auditPage.removal } = await removeLogoContent({
+          pdfDoc: outputDoc,
+          pageIndex: index,
+          pdfRects,
+          mode: audit.mode,
+          rasterize: async () => (await renderPageToPngBuffer(renderPage, config.hardModeRenderScale)).png
+        }));
+      } else {
+        auditPage.removal = { mode: "overlay" };
+      }
+      if (banners.includes(true) && banner === undefined) {
+        banner = await loadReplacementBannerForPdf(outputDoc, audit.formatProfile.bannerPath);
+      }
+      for (let b = 0; b < boxes.length; b += 1) {
+        if (banners[b] && (banner?.image || audit.mode === "overlay")) {
+          const detection = { ...removed[b], footerZone: removed[b].footerZone || auditPage.footerZone, pdfRect: pdfRects[b] };
+          await drawReplacementBanner(page, banner, audit.formatProfile, detection, await pagePng());
+        } else if (audit.mode === "overlay") {
+          const fill = await sampleFillColor(await pagePng(), boxes[b]);
+          page.drawRectangle({
+            x: pdfRects[b].x,
+            y: pdfRects[b].y,
+            width: pdfRects[b].width,
+            height: pdfRects[b].height,
+            color: rgb(fill.r, fill.g, fill.b)
+          });
+        }
+      }
+      removed.forEach((detection, b) => {
+        detection.pdfRect = pdfRects[b];
+      });
+
+      const primaryRemoved = primary && REMOVED_ACTIONS.has(primary.action) ? primary : null;
+      auditPage.action = (primaryRemoved || removed[0]).action;
+      auditPage.pdfRect = primaryRemoved?.pdfRect || null;
+      auditPage.review = review;
+    }
+  } finally {
+    await renderDoc.destroy();
+  }
+
+  audit.summary = {
+    ...summarizeAuditPages(audit.pages, audit.summary?.totalPagesInPdf ?? audit.pages.length),
+    statusHint: isReviewPending(audit) ? "needs_review" : "completed"
+  };
+  audit.reviewedAt = reviewedAt;
+
+  if (audit.mode === "hard" || audit.mode === "redact") pruneUnreachableObjects(outputDoc);
+  await fs.writeFile(outputPath, await outputDoc.save());
+  await fs.writeFile(auditPath, JSON.stringify(audit, null, 2), "utf-8");
+  return audit;
+}
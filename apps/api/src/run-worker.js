@@ -0,0 +1,34 @@
+// Standalone worker process: consumes the shared BullMQ queue without serving HTTP.
+// Only useful with QUEUE_DRIVER=bullmq; the local driver runs inside the API process.
+import { config } from "./config.js";
+import { ensureStorageDirs } from "./storage.js";
+import { closeJobStore, initJobStore } from "./job-store.js";
+import { startJobQueue } from "./worker.js";
+import { closePagePool } from "./page-pool.js";
+
+if (config.queueDriver !== "bullmq") {
+  console.error("[worker] standalone worker requires REDIS_URL (QUEUE_DRIVER=bullmq)");
+  process.exit(1);
+}
+
+await ensureStorageDirs(config.storageRoot);
+// Jobs are created by the API process, so the store has to be one both processes read: sqlite, which
+// needs Node 22.13+.
+try {
+  await initJobStore({ sharedByProcesses: true });
+} catch (error) {
+  console.error(`[worker] ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+}
+const queue = await startJobQueue({ runWorker: true, logger: console });
+console.log(`[worker] consuming ${config.queueName} with concurrency=${config.workerConcurrency}`);
+
+async function shutdown() {
+  await queue.close();
+  await closePagePool();
+  await closeJobStore();
+  process.exit(0);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
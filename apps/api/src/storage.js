@@ -5,19 +5,25 @@ export function getPaths(storageRoot, jobId) {
   const inputDir = path.join(storageRoot, "input");
   const outputDir = path.join(storageRoot, "output");
   const auditDir = path.join(storageRoot, "audit");
+  const previewDir = path.join(storageRoot, "previews", jobId);
 
   return {
     inputDir,
     outputDir,
     auditDir,
+    previewDir,
     inputPath: path.join(inputDir, `${jobId}.pdf`),
     outputPath: path.join(outputDir, `${jobId}.pdf`),
     auditPath: path.join(auditDir, `${jobId}.json`)
   };
 }
 
+export function getBatchPath(storageRoot, batchId) {
+  return path.join(storageRoot, "batches", `${batchId}.json`);
+}
+
 export async function ensureStorageDirs(storageRoot) {
-  const dirs = ["input", "output", "audit"].map((segment) => path.join(storageRoot, segment));
+  const dirs = ["input", "output", "audit", "previews", "batches"].map((segment) => path.join(storageRoot, segment));
   await Promise.all(dirs.map((dir) => fs.mkdir(dir, { recursive: true })));
 }
 
@@ -0,0 +1,152 @@
+import path from "node:path";
+
+import { config } from "./config.js";
+import { getPaths } from "./storage.js";
+import { getJob, listJobs, setJobPages, updateJob } from "./job-store.js";
+import { publishJobEvent } from "./job-events.js";
+import { createJobQueue } from "./queue.js";
+import { needsReview, processPdf } from "./processor.js";
+
+function errorMessage(error) {
+  return error instanceof Error ? error.message : "Unknown error";
+}
+
+function toJobPage(page) {
+  return {
+    pageNumber: page.pageNumber,
+    detectionScore: page.detectionScore,
+    matchedReference: page.matchedReference,
+    bboxPx: page.bboxPx,
+    pdfRect: page.pdfRect,
+    action: page.action
+  };
+}
+
+export async function runJob(payload, { attempt, maxAttempts }) {
+  const { jobId, settings } = payload;
+  const paths = getPaths(config.storageRoot, jobId);
+
+  updateJob(jobId, {
+    status: "processing",
+    progress: "0",
+    pagesProcessed: "0",
+    attempts: String(attempt),
+    maxAttempts: String(maxAttempts),
+    startedAt: getJob(jobId)?.startedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    error: ""
+  });
+
+  const result = await processPdf({
+    jobId,
+    inputPath: paths.inputPath,
+    outputPath: paths.outputPath,
+    auditPath: paths.auditPath,
+    settings,
+    onProgress: (event) => {
+      if (event.page) {
+        const page = toJobPage(event.page);
+        setJobPages(jobId, [page]);
+        publishJobEvent(jobId, { type: "page", page });
+      }
+      updateJob(jobId, {
+        progress: String(event.progress),
+        pagesProcessed: String(event.pagesProcessed),
+        pagesTotal: String(event.pagesTotal),
+        currentPage: event.pageNumber ? String(event.pageNumber) : "",
+        currentAction: event.action || "",
+        removedCount: String(event.removedCount),
+        reviewCount: String(event.reviewCount),
+        updatedAt: new Date().toISOString()
+      });
+    }
+  });
+
+  const shouldReview = needsReview(result);
+
+  setJobPages(jobId, result.pages.map(toJobPage));
+
+  updateJob(jobId, {
+    status: shouldReview ? "needs_review" : "completed",
+    progress: String(result.progress),
+    pagesProcessed: String(result.pagesProcessed),
+    pagesTotal: String(result.pagesTotal),
+    removedCount: String(result.removedCount),
+    reviewCount: String(result.reviewCount),
+    outputKey: path.relative(config.storageRoot, paths.outputPath),
+    updatedAt: new Date().toISOString(),
+    finishedAt: new Date().toISOString()
+  });
+
+  return result;
+}
+
+async function handleRetry(payload, error, { attempt, delayMs }) {
+  updateJob(payload.jobId, {
+    status: "queued",
+    error: errorMessage(error),
+    retryAt: new Date(Date.now() + delayMs).toISOString(),
+    updatedAt: new Date().toISOString(),
+    attempts: String(attempt)
+  });
+}
+
+async function handleFailed(payload, error, { attempt }) {
+  updateJob(payload.jobId, {
+    status: "failed",
+    progress: "100",
+    attempts: String(attempt),
+    error: errorMessage(error),
+    updatedAt: new Date().toISOString(),
+    finishedAt: new Date().toISOString()
+  });
+}
+
+// The local queue lives in memory, so jobs that were queued or running when the
+// process stopped are enqueued again from the job store. BullMQ keeps them in Redis.
+export async function recoverInterruptedJobs(queue, logger) {
+  if (queue.driver !== "local") return 0;
+
+  const interrupted = [];
+  let offset = 0;
+  let total = 0;
+  do {
+    const page = listJobs({ status: "queued,processing", limit: 500, offset });
+    interrupted.push(...page.items);
+    total = page.total;
+    offset += page.limit;
+  } while (offset < total);
+
+  let recovered = 0;
+  for (const job of interrupted) {
+    if (!job.settings) {
+      updateJob(job.jobId, { status: "failed", progress: "100", error: "Job was interrupted by a restart", finishedAt: new Date().toISOString() });
+      continue;
+    }
+    updateJob(job.jobId, { status: "queued", progress: "0", updatedAt: new Date().toISOString() });
+    await queue.enqueue({ jobId: job.jobId, settings: job.settings });
+    recovered += 1;
+  }
+
+  if (interrupted.length > 0) logger?.info?.(`re-enqueued ${recovered}/${interrupted.length} interrupted job(s)`);
+  return recovered;
+}
+
+export function startJobQueue({ runWorker = true, logger } = {}) {
+  return createJobQueue({
+    driver: config.queueDriver,
+    redisUrl: config.redisUrl,
+    queueName: config.queueName,
+    concurrency: config.workerConcurrency,
+    maxAttempts: config.jobMaxAttempts,
+    backoffMs: config.jobBackoffMs,
+    runWorker,
+    logger,
+    handler: (payload, meta) => runJob(payload, meta),
+    onRetry: handleRetry,
+    onFailed: (payload, error, meta) => {
+      logger?.error?.(error);
+      return handleFailed(payload, error, meta);
+    }
+  });
+}
@@ -0,0 +1,69 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import AdmZip from "adm-zip";
+
+import { MAX_BATCH_FILES, createBatchBudget, readBatchUpload } from "../src/batches.js";
+
+const PDF = Buffer.from("%PDF-1.7\n%%EOF\n");
+
+function zipOf(names) {
+  const zip = new AdmZip();
+  for (const name of names) zip.addFile(name, PDF);
+  return zip.toBuffer();
+}
+
+// Rewrites the uncompressed size every entry declares in the central directory, which is what adm-zip reads,
+// so the test holds a ZIP that claims gigabytes without allocating them.
+function withDeclaredSize(buffer, size) {
+  const out = Buffer.from(buffer);
+  for (let offset = out.indexOf("PK\u0001\u0002", 0, "latin1"); offset !== -1; offset = out.indexOf("PK\u0001\u0002", offset + 4, "latin1")) {
+    out.writeUInt32LE(size, offset + 24);
+  }
+  return out;
+}
+
+function pdfNames(count) {
+  return Array.from({ length: count }, (_, index) => `course-${index + 1}.pdf`);
+}
+
+describe("readBatchUpload", () => {
+  test("returns a plain PDF as is", () => {
+    assert.deepEqual(readBatchUpload("dir/course.pdf", "application/pdf", PDF), [{ fileName: "course.pdf", data: PDF }]);
+  });
+
+  test("flattens the PDFs of a ZIP and skips metadata, hidden and other files", () => {
+    const zip = zipOf(["a.pdf", "folder/b.PDF", "__MACOSX/folder/._b.PDF", ".hidden.pdf", "notes.txt"]);
+    const files = readBatchUpload("upload.zip", "application/zip", zip);
+    assert.deepEqual(files.map((file) => file.fileName), ["a.pdf", "b.PDF"]);
+    assert.deepEqual(files[0].data, PDF);
+  });
+
+  test("rejects a ZIP with more PDFs than a batch holds", () => {
+    const zip = zipOf(pdfNames(MAX_BATCH_FILES + 1));
+    assert.throws(() => readBatchUpload("many.zip", "application/zip", zip), /at most 100 PDFs/);
+  });
+
+  test("counts the PDFs of earlier parts", () => {
+    const budget = createBatchBudget();
+    readBatchUpload("first.zip", "application/zip", zipOf(pdfNames(60)), budget);
+    assert.throws(() => readBatchUpload("second.zip", "application/zip", zipOf(pdfNames(41)), budget), /at most 100 PDFs/);
+  });
+
+  test("rejects by declared sizes before inflating anything", () => {
+    // 30 entries of 20 MB each pass the per-PDF limit but not the batch total. Inflating one would fail with
+    // a different error, since the real data is much shorter than declared.
+    const zip = withDeclaredSize(zipOf(pdfNames(30)), 20 * 1024 * 1024);
+    assert.throws(() => readBatchUpload("bomb.zip", "application/zip", zip), /at most 500 MB of PDFs/);
+
+    const oneLarge = withDeclaredSize(zipOf(["huge.pdf"]), 26 * 1024 * 1024);
+    assert.throws(() => readBatchUpload("bomb.zip", "application/zip", oneLarge), /huge\.pdf is larger than 25 MB/);
+  });
+
+  test("rejects a ZIP without PDFs and other file types", () => {
+    assert.throws(() => readBatchUpload("empty.zip", "application/zip", zipOf(["notes.txt"])), /contains no PDF files/);
+    assert.throws(() => readBatchUpload("notes.txt", "text/plain", Buffer.from("hello")), /only PDF or ZIP/);
+  });
+});
@@ -0,0 +1,30 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { config } from "../src/config.js";
+import { embeddedMatchScore } from "../src/embedded-logos.js";
+
+const thresholds = { autoThreshold: 0.62, reviewThreshold: 0.48 };
+
+describe("embedded match score", () => {
+  test("removes matches up to the auto distance and reviews the rest of the allowed range", () => {
+    assert.equal(config.embeddedLogoAutoDistance, 5);
+    assert.equal(config.embeddedLogoMaxDistance, 10);
+    assert.equal(embeddedMatchScore(0, thresholds), 1);
+    assert.ok(embeddedMatchScore(5, thresholds) >= thresholds.autoThreshold);
+
+    const farther = [6, 7, 8, 9, 10].map((distance) => embeddedMatchScore(distance, thresholds));
+    for (const score of farther) {
+      assert.ok(score < thresholds.autoThreshold && score > thresholds.reviewThreshold, `${score} is not a review score`);
+    }
+    assert.deepEqual([...farther].sort((a, b) => b - a), farther, "farther matches score lower");
+  });
+
+  test("follows the job's thresholds", () => {
+    const strict = { autoThreshold: 0.95, reviewThreshold: 0.9 };
+    const score = embeddedMatchScore(config.embeddedLogoMaxDistance, strict);
+    assert.ok(score < strict.autoThreshold && score > strict.reviewThreshold);
+  });
+});
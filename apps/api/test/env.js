@@ -0,0 +1,32 @@
+// Pins the settings the pipeline reads from the environment, so a developer's .env cannot change test
+// results. Test files import it before any module that loads src/config.js (dotenv never overrides).
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(TEST_DIR, "fixtures");
+
+Object.assign(process.env, {
+  FORMATS_DIR: path.join(FIXTURES_DIR, "formats"),
+  LOGO_REFS_DIR: path.join(FIXTURES_DIR, "logo-refs"),
+  WORKER_VERBOSE: "false",
+  PAGE_WORKERS: "0",
+  RENDER_SCALE: "1.2",
+  HARD_MODE_RENDER_SCALE: "2.5",
+  DETECTOR: "",
+  DETECTOR_MODE: "deterministic",
+  FORCE_FOOTER_BANNER: "false",
+  DEBUG_DRAW_BOXES: "false",
+  CASCADE_SECOND_PASS: "",
+  TEMPLATE_ANGLES: "0",
+  EMBEDDED_LOGO_PREPASS: "true",
+  EMBEDDED_LOGO_MAX_DISTANCE: "10",
+  EMBEDDED_LOGO_AUTO_DISTANCE: "5",
+  DETECTION_IOU_THRESHOLD: "0.1",
+  MAX_DETECTIONS_PER_PAGE: "4",
+  REDACT_MIN_OVERLAP: "0.5",
+  MAX_PAGES_PER_JOB: "200",
+  AI_MAX_PAGES_PER_JOB: "100",
+  AI_PAGE_LIMIT: "0",
+  OPENAI_API_KEY: ""
+});
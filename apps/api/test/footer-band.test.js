@@ -0,0 +1,98 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { hexToRgb } from "../src/detectors/color.js";
+import { detectFooterBand } from "../src/detectors/template.js";
+
+const WIDTH = 300;
+const HEIGHT = 400;
+
+// White RGB page with `bands` painted as [y0, y1, [r, g, b], x0?, x1?] (pixels, end exclusive).
+function syntheticPage(bands, channels = 3) {
+  const raw = new Uint8Array(WIDTH * HEIGHT * channels).fill(255);
+  for (const [y0, y1, color, x0 = 0, x1 = WIDTH] of bands) {
+    for (let y = y0; y < y1; y += 1) {
+      for (let x = x0; x < x1; x += 1) {
+        const idx = (y * WIDTH + x) * channels;
+        for (let c = 0; c < channels; c += 1) raw[idx + c] = color[c] ?? color[0];
+      }
+    }
+  }
+  return raw;
+}
+
+const PURPLE = [110, 31, 93];
+const PURPLE_RGB = hexToRgb("#6E1F5D");
+
+describe("detectFooterBand", () => {
+  test("finds a band of the profile color", () => {
+    const raw = syntheticPage([[340, 390, PURPLE]]);
+    const band = detectFooterBand(raw, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB });
+    const { color, ...zone } = band;
+    assert.deepEqual(zone, { x0: 0, y0: 340, x1: WIDTH, y1: 390 });
+    assert.deepEqual(color, PURPLE_RGB);
+  });
+
+  test("accepts shades within the tolerance and rejects other colors", () => {
+    const lighter = syntheticPage([[340, 390, [122, 40, 104]]]);
+    assert.ok(detectFooterBand(lighter, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB, tolerance: 18 }));
+
+    const green = syntheticPage([[340, 390, [30, 140, 60]]]);
+    assert.equal(detectFooterBand(green, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB }), null);
+  });
+
+  test("ignores bands thinner than 5% of the page", () => {
+    const raw = syntheticPage([[370, 385, PURPLE]]);
+    assert.equal(detectFooterBand(raw, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB }), null);
+  });
+
+  test("ignores rows where the color covers too little of the width", () => {
+    const raw = syntheticPage([[340, 390, PURPLE, 0, 60]]);
+    assert.equal(detectFooterBand(raw, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB }), null);
+  });
+
+  test("only searches the lower part of the page by default", () => {
+    const raw = syntheticPage([[20, 80, PURPLE]]);
+    assert.equal(detectFooterBand(raw, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB }), null);
+  });
+
+  test("keeps the zone's columns and rows", () => {
+    const raw = syntheticPage([[20, 80, PURPLE]]);
+    const band = detectFooterBand(raw, WIDTH, HEIGHT, 3, { x0: 100, y0: 0, x1: 250, y1: 200 }, { color: PURPLE_RGB });
+    assert.equal(band.x0, 100);
+    assert.equal(band.x1, 250);
+    assert.equal(band.y0, 20);
+    assert.equal(band.y1, 80);
+  });
+
+  test("picks the tallest of several bands", () => {
+    const raw = syntheticPage([[200, 225, PURPLE], [300, 380, PURPLE]]);
+    const band = detectFooterBand(raw, WIDTH, HEIGHT, 3, null, { color: PURPLE_RGB });
+    assert.equal(band.y0, 300);
+    assert.equal(band.y1, 380);
+  });
+
+  test("samples the dominant color without a profile color", () => {
+    const raw = syntheticPage([[330, 390, [20, 90, 160]]]);
+    const band = detectFooterBand(raw, WIDTH, HEIGHT, 3);
+    assert.equal(band.y0, 330);
+    assert.equal(band.y1, 390);
+    assert.deepEqual(
+      [band.color.r, band.color.g, band.color.b].map((channel) => Math.round(channel * 255)),
+      [20, 90, 160]
+    );
+  });
+
+  test("finds nothing on a blank page without a profile color", () => {
+    assert.equal(detectFooterBand(syntheticPage([]), WIDTH, HEIGHT, 3), null);
+  });
+
+  test("reads RGBA buffers", () => {
+    const raw = syntheticPage([[340, 390, [...PURPLE, 255]]], 4);
+    const band = detectFooterBand(raw, WIDTH, HEIGHT, 4, null, { color: PURPLE_RGB });
+    assert.equal(band.y0, 340);
+    assert.equal(band.y1, 390);
+  });
+});
@@ -0,0 +1,56 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { config } from "../src/config.js";
+import { getFormatProfile, getStoredFormatProfile, listFormatProfiles, validateFormatProfile } from "../src/formats.js";
+
+describe("format profiles", () => {
+  let formatsDir;
+  let workDir;
+  before(async () => {
+    formatsDir = config.formatsDir;
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-logo-formats-"));
+    config.formatsDir = workDir;
+  });
+  after(async () => {
+    config.formatsDir = formatsDir;
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test("keeps bannerPath inside the banners directory", () => {
+    const bannersDir = path.relative(config.repoRoot, config.bannersDir);
+    const inside = path.join(bannersDir, "footer-banner-2.png");
+    assert.equal(validateFormatProfile({ label: "Inside", bannerPath: inside }).bannerPath, inside);
+    assert.equal(
+      validateFormatProfile({ label: "Default" }).bannerPath,
+      path.relative(config.repoRoot, config.replacementBannerPath)
+    );
+
+    for (const bannerPath of [
+      "/etc/passwd",
+      `${bannersDir}/../../../etc/passwd`,
+      "apps/api/src/config.js",
+      `${bannersDir}-other/footer-banner.png`,
+      path.join(bannersDir, "formats", "style_a.json")
+    ]) {
+      assert.throws(() => validateFormatProfile({ label: "Outside", bannerPath }), {
+        name: "RangeError",
+        message: /bannerPath must be a PNG or JPEG file inside/
+      }, bannerPath);
+    }
+  });
+
+  test("reports a malformed profile file as invalid", async () => {
+    await fs.writeFile(path.join(workDir, "broken.json"), "{ \"label\": ", "utf-8");
+    await fs.writeFile(path.join(workDir, "valid.json"), JSON.stringify({ label: "Valid" }), "utf-8");
+
+    await assert.rejects(getStoredFormatProfile("broken"), { name: "RangeError", message: /broken\.json is not valid JSON/ });
+    await assert.rejects(getFormatProfile("broken"), RangeError);
+    assert.deepEqual((await listFormatProfiles()).map((profile) => profile.key), ["valid"]);
+  });
+});
@@ -0,0 +1,208 @@
+import { FIXTURES_DIR, TEST_DIR } from "./env.js";
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { PDFDocument, degrees, rgb } from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import sharp from "sharp";
+
+import { config } from "../src/config.js";
+import { closePagePool } from "../src/page-pool.js";
+import { processPdf, renderPageToPngBuffer } from "../src/processor.js";
+
+// Golden-file tests: processPdf runs on PDFs generated here, and the audit JSON and the rendered pages of
+// the output PDF are compared with the baselines in test/golden. After an intended change in results,
+// regenerate them with `UPDATE_GOLDEN=1 npm --workspace apps/api test` and review the diff.
+const GOLDEN_DIR = path.join(TEST_DIR, "golden");
+const LOGO_PATH = path.join(FIXTURES_DIR, "logo-refs", "logo.png");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+// Numbers in the audit may drift this much (scores, pixel boxes) between platforms and library versions.
+const NUMBER_TOLERANCE = { absolute: 0.002, relative: 0.01 };
+// Output pages are rendered at scale 1; a pixel differs when a channel moves by more than CHANNEL_TOLERANCE,
+// and a page fails when more than MAX_DIFF_RATIO of its pixels differ.
+const CHANNEL_TOLERANCE = 32;
+const MAX_DIFF_RATIO = 0.001;
+
+// pages: [{ logoWidth, rotated }], logoWidth in points, null for a page without the logo. The logo is drawn as an
+// embedded image at the bottom right, under a header bar and gray lines standing in for text. A rotated page
+// holds the same drawing turned for /Rotate 90, in a MediaBox and CropBox away from 0,0.
+// pageWorkers runs the case on the page pool; with `baseline` it must match that case's baselines.
+const MULTI_PAGE = [{ logoWidth: 160 }, { logoWidth: null }, { logoWidth: 120 }, { logoWidth: 138 }, { logoWidth: 150 }];
+const CASES = [
+  { name: "overlay-template", mode: "overlay", prepass: false, pages: [{ logoWidth: 160 }, { logoWidth: 120 }] },
+  { name: "redact-embedded", mode: "redact", prepass: true, pages: [{ logoWidth: 150 }] },
+  { name: "hard-template", mode: "hard", prepass: false, pages: [{ logoWidth: 138 }] },
+  { name: "hard-rotated", mode: "hard", prepass: false, pages: [{ logoWidth: 138, rotated: true }] },
+  { name: "no-logo", mode: "overlay", prepass: false, pages: [{ logoWidth: null }] },
+  { name: "multi-page", mode: "redact", prepass: false, pages: MULTI_PAGE },
+  { name: "multi-page-workers", baseline: "multi-page", pageWorkers: 2, mode: "redact", prepass: false, pages: MULTI_PAGE }
+];
+
+const ROTATED_CROP_BOX = { x: -40, y: 110, width: 792, height: 612 };
+
+// A 612x792 page as displayed; on a rotated page, (x, y) as displayed is (cropX + 792 - y, cropY + x) in user space.
+function addFixturePage(pdfDoc, rotated) {
+  const page = pdfDoc.addPage([612, 792]);
+  if (!rotated) {
+    return {
+      drawRectangle: (options) => page.drawRectangle(options),
+      drawImage: (image, options) => page.drawImage(image, options)
+    };
+  }
+
+  const crop = ROTATED_CROP_BOX;
+  page.setMediaBox(crop.x - 10, crop.y - 10, crop.width + 20, crop.height + 20);
+  page.setCropBox(crop.x, crop.y, crop.width, crop.height);
+  page.setRotation(degrees(90));
+  return {
+    drawRectangle: ({ x, y, width, height, ...options }) => page.drawRectangle({
+      ...options,
+      x: crop.x + crop.width - y - height,
+      y: crop.y + x,
+      width: height,
+      height: width
+    }),
+    drawImage: (image, { x, y, width, height }) => page.drawImage(image, {
+      x: crop.x + crop.width - y,
+      y: crop.y + x,
+      width,
+      height,
+      rotate: degrees(90)
+    })
+  };
+}
+
+async function buildFixturePdf(pages) {
+  const pdfDoc = await PDFDocument.create();
+  const logo = await pdfDoc.embedPng(await fs.readFile(LOGO_PATH));
+  for (const { logoWidth, rotated = false } of pages) {
+    const page = addFixturePage(pdfDoc, rotated);
+    page.drawRectangle({ x: 0, y: 742, width: 612, height: 50, color: rgb(0.11, 0.21, 0.34) });
+    for (let line = 0; line < 18; line += 1) {
+      page.drawRectangle({ x: 60, y: 690 - (line * 24), width: 492 - ((line % 4) * 60), height: 8, color: rgb(0.75, 0.75, 0.75) });
+    }
+    if (logoWidth) {
+      const logoHeight = (logoWidth * logo.height) / logo.width;
+      page.drawImage(logo, { x: 612 - 40 - logoWidth, y: 36, width: logoWidth, height: logoHeight });
+    }
+  }
+  return pdfDoc.save();
+}
+
+// processedAt changes on every run and bannerPath is absolute.
+function normalizeAudit(audit) {
+  const { processedAt, formatProfile: { bannerPath, ...formatProfile }, ...rest } = audit;
+  return { ...rest, formatProfile };
+}
+
+function assertClose(actual, expected, at = "audit") {
+  if (typeof expected === "number" && typeof actual === "number") {
+    const allowed = Math.max(NUMBER_TOLERANCE.absolute, Math.abs(expected) * NUMBER_TOLERANCE.relative);
+    assert.ok(Math.abs(actual - expected) <= allowed, `${at}: ${actual} differs from ${expected}`);
+  } else if (expected && typeof expected === "object" && actual && typeof actual === "object") {
+    assert.equal(Array.isArray(actual), Array.isArray(expected), `${at}: array vs object`);
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${at}: different fields`);
+    for (const key of Object.keys(expected)) assertClose(actual[key], expected[key], `${at}.${key}`);
+  } else {
+    assert.deepEqual(actual, expected, `${at}: ${JSON.stringify(actual)} differs from ${JSON.stringify(expected)}`);
+  }
+}
+
+async function readBaseline(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code === "ENOENT") assert.fail(`Missing baseline ${path.relative(TEST_DIR, file)}; run with UPDATE_GOLDEN=1`);
+    throw error;
+  }
+}
+
+async function rawPixels(png) {
+  return sharp(png).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+async function assertPageMatches(png, baselineFile, workDir) {
+  const [actual, expected] = await Promise.all([rawPixels(png), readBaseline(baselineFile).then(rawPixels)]);
+  assert.deepEqual([actual.info.width, actual.info.height], [expected.info.width, expected.info.height], "page size");
+
+  let differing = 0;
+  for (let i = 0; i < actual.data.length; i += 3) {
+    if (Math.abs(actual.data[i] - expected.data[i]) > CHANNEL_TOLERANCE
+      || Math.abs(actual.data[i + 1] - expected.data[i + 1]) > CHANNEL_TOLERANCE
+      || Math.abs(actual.data[i + 2] - expected.data[i + 2]) > CHANNEL_TOLERANCE) differing += 1;
+  }
+  const ratio = differing / (actual.info.width * actual.info.height);
+  if (ratio > MAX_DIFF_RATIO) {
+    const kept = path.join(workDir, `actual-${path.basename(baselineFile)}`);
+    await fs.writeFile(kept, png);
+    assert.fail(`${path.basename(baselineFile)}: ${(ratio * 100).toFixed(2)}% of the pixels differ (rendered page kept at ${kept})`);
+  }
+}
+
+async function renderOutputPages(outputPath) {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(await fs.readFile(outputPath)) }).promise;
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber += 1) {
+    pages.push((await renderPageToPngBuffer(await doc.getPage(pageNumber), 1)).png);
+  }
+  await doc.destroy();
+  return pages;
+}
+
+describe("golden files", () => {
+  let workDir;
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-logo-golden-"));
+  });
+  after(async () => {
+    await closePagePool();
+    // Kept when a page differed, so the rendered page can be inspected.
+    const kept = (await fs.readdir(workDir)).some((name) => name.startsWith("actual-"));
+    if (!kept) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  for (const goldenCase of CASES) {
+    test(goldenCase.name, async () => {
+      const inputPath = path.join(workDir, `${goldenCase.name}.pdf`);
+      const outputPath = path.join(workDir, `${goldenCase.name}-out.pdf`);
+      const auditPath = path.join(workDir, `${goldenCase.name}.json`);
+      await fs.writeFile(inputPath, await buildFixturePdf(goldenCase.pages));
+
+      const { embeddedLogoPrepass, pageWorkers } = config;
+      config.embeddedLogoPrepass = goldenCase.prepass;
+      config.pageWorkers = goldenCase.pageWorkers ?? 0;
+      try {
+        await processPdf({
+          inputPath,
+          outputPath,
+          auditPath,
+          settings: { formatKey: "golden", mode: goldenCase.mode, autoThreshold: 0.6, reviewThreshold: 0.45 }
+        });
+      } finally {
+        Object.assign(config, { embeddedLogoPrepass, pageWorkers });
+      }
+
+      const audit = normalizeAudit(JSON.parse(await fs.readFile(auditPath, "utf-8")));
+      const pages = await renderOutputPages(outputPath);
+      const baselineName = goldenCase.baseline || goldenCase.name;
+      const auditBaseline = path.join(GOLDEN_DIR, `${baselineName}.audit.json`);
+      const pageBaseline = (index) => path.join(GOLDEN_DIR, `${baselineName}-page${index + 1}.png`);
+
+      if (UPDATE && !goldenCase.baseline) {
+        await fs.mkdir(GOLDEN_DIR, { recursive: true });
+        await fs.writeFile(auditBaseline, `${JSON.stringify(audit, null, 2)}\n`, "utf-8");
+        await Promise.all(pages.map((png, index) => fs.writeFile(pageBaseline(index), png)));
+        return;
+      }
+
+      assertClose(audit, JSON.parse(await readBaseline(auditBaseline)));
+      assert.equal(pages.length, goldenCase.pages.length, "output page count");
+      for (const [index, png] of pages.entries()) await assertPageMatches(png, pageBaseline(index), workDir);
+    });
+  }
+});
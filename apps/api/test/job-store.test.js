@@ -0,0 +1,120 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import {
+  closeJobStore,
+  getJob,
+  getJobPages,
+  initJobStore,
+  listJobs,
+  setJob,
+  setJobPages,
+  updateJob
+} from "../src/job-store.js";
+
+const HAS_SQLITE = await import("node:sqlite").then(() => true, () => false);
+
+const JOBS = [
+  { jobId: "a", status: "done", format: "style_a", mode: "overlay", createdAt: "2026-01-05T10:00:00.000Z" },
+  { jobId: "b", status: "failed", format: "style_a", mode: "hard", createdAt: "2026-01-20T10:00:00.000Z" },
+  { jobId: "c", status: "needs_review", format: "style_b", mode: "overlay", createdAt: "2026-02-03T10:00:00.000Z" }
+];
+
+function ids(list) {
+  return list.items.map((job) => job.jobId);
+}
+
+describe("initJobStore", () => {
+  test("refuses a process-local store when other processes share the jobs", async () => {
+    for (const driver of ["file", "memory"]) {
+      await assert.rejects(
+        initJobStore({ driver, filePath: "/nonexistent/jobs.json", sharedByProcesses: true }),
+        /keeps jobs inside one process; .* need JOB_STORE_DRIVER=sqlite/
+      );
+    }
+  });
+
+  test("keeps the memory store for a single process", async () => {
+    assert.equal(await initJobStore({ driver: "memory" }), "memory");
+  });
+});
+
+for (const driver of ["memory", "file", "sqlite"]) {
+  describe(`${driver} job store`, { skip: driver === "sqlite" && !HAS_SQLITE && "node:sqlite is not available" }, () => {
+    let workDir;
+    let filePath;
+    before(async () => {
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), `pdf-logo-${driver}-store-`));
+      filePath = path.join(workDir, driver === "sqlite" ? "jobs.sqlite" : "jobs.json");
+      await initJobStore({ driver, filePath });
+      for (const job of JOBS) setJob(job.jobId, job);
+    });
+    after(async () => {
+      await closeJobStore();
+      await initJobStore({ driver: "memory" });
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    test("merges updates into the stored job", () => {
+      updateJob("a", { progress: 100, outputKey: "a/out.pdf" });
+      assert.deepEqual(getJob("a"), { ...JOBS[0], progress: 100, outputKey: "a/out.pdf" });
+      assert.equal(getJob("missing"), null);
+    });
+
+    test("merges pages by page number", () => {
+      setJobPages("a", [{ pageNumber: 2, action: "none" }, { pageNumber: 1, action: "review" }]);
+      setJobPages("a", [{ pageNumber: 1, action: "removed", detectionScore: 0.9, bboxPx: { x: 1, y: 2, width: 3, height: 4 } }]);
+      assert.deepEqual(getJobPages("a"), [
+        { pageNumber: 1, action: "removed", detectionScore: 0.9, bboxPx: { x: 1, y: 2, width: 3, height: 4 } },
+        { pageNumber: 2, action: "none" }
+      ]);
+      assert.deepEqual(getJobPages("b"), []);
+    });
+
+    test("lists jobs newest first, filtered by status, format, mode and date", () => {
+      assert.deepEqual(ids(listJobs({})), ["c", "b", "a"]);
+      assert.deepEqual(ids(listJobs({ status: "done,failed" })), ["b", "a"]);
+      assert.deepEqual(ids(listJobs({ format: "style_a", mode: "hard" })), ["b"]);
+      assert.deepEqual(ids(listJobs({ from: "2026-01-10", to: "2026-02-01" })), ["b"]);
+      assert.deepEqual(ids(listJobs({ from: "2026-01-20T10:00:00.000Z" })), ["c", "b"]);
+      const page = listJobs({ limit: 1, offset: 1 });
+      assert.deepEqual([ids(page), page.total, page.limit, page.offset], [["b"], 3, 1, 1]);
+      assert.throws(() => listJobs({ from: "yesterday" }), RangeError);
+    });
+
+    if (driver !== "memory") {
+      test("keeps jobs and pages across a restart", async () => {
+        await closeJobStore();
+        await initJobStore({ driver, filePath });
+        assert.equal(getJob("a").outputKey, "a/out.pdf");
+        assert.deepEqual(getJobPages("a").map((page) => page.action), ["removed", "none"]);
+        assert.deepEqual(ids(listJobs({ status: "needs_review" })), ["c"]);
+      });
+    }
+
+    if (driver === "sqlite") {
+      test("writes the jobs and job_pages tables", async () => {
+        const { DatabaseSync } = await import("node:sqlite");
+        const db = new DatabaseSync(filePath);
+        try {
+          assert.deepEqual(
+            { ...db.prepare("SELECT status, format, mode, output_key, created_at FROM jobs WHERE id = ?").get("a") },
+            { status: "done", format: "style_a", mode: "overlay", output_key: "a/out.pdf", created_at: JOBS[0].createdAt }
+          );
+          const rows = db.prepare("SELECT page_number, detection_score, bbox, action FROM job_pages WHERE job_id = ? ORDER BY page_number").all("a");
+          assert.deepEqual(rows.map((row) => ({ ...row })), [
+            { page_number: 1, detection_score: 0.9, bbox: JSON.stringify({ x: 1, y: 2, width: 3, height: 4 }), action: "removed" },
+            { page_number: 2, detection_score: null, bbox: null, action: "none" }
+          ]);
+        } finally {
+          db.close();
+        }
+      });
+    }
+  });
+}
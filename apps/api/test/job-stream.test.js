@@ -0,0 +1,56 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+
+import { initJobStore, setJob, setJobPages } from "../src/job-store.js";
+import { streamJobEvents } from "../src/job-stream.js";
+
+// Just enough of Fastify's request and reply for an SSE stream; `events` collects what was written.
+function fakeConnection() {
+  const events = [];
+  const raw = {
+    writeHead() {},
+    write(chunk) {
+      const match = /^event: (\w+)\ndata: (.*)\n\n$/s.exec(chunk);
+      if (match) events.push({ event: match[1], data: JSON.parse(match[2]) });
+    },
+    end() {
+      events.push({ event: "closed" });
+    }
+  };
+  const request = { raw: new EventEmitter() };
+  const reply = { raw, hijack() {}, getHeaders: () => ({}) };
+  return { request, reply, events };
+}
+
+describe("job event stream", () => {
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ["setInterval"] });
+    await initJobStore({ driver: "memory" });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test("forwards the pages a worker in another process wrote to the store", () => {
+    setJob("job-1", { jobId: "job-1", status: "processing", progress: "0", updatedAt: "t0" });
+    const { request, reply, events } = fakeConnection();
+    streamJobEvents(request, reply, "job-1");
+    assert.deepEqual(events.map(({ event }) => event), ["status"]);
+
+    // setJobPages only writes to the store, like a worker in another process: no page event is published here.
+    setJobPages("job-1", [{ pageNumber: 1, detectionScore: 0.9, action: "removed", matchedReference: "logo.png" }]);
+    mock.timers.tick(2000);
+    assert.deepEqual(events.slice(1).map(({ event, data }) => [event, data.pageNumber]), [["page", 1]]);
+
+    setJobPages("job-1", [{ pageNumber: 2, detectionScore: 0.1, action: "none" }]);
+    mock.timers.tick(2000);
+    mock.timers.tick(2000);
+    assert.deepEqual(events.slice(2).map(({ event, data }) => [event, data.pageNumber]), [["page", 2]]);
+
+    request.raw.emit("close");
+  });
+});
@@ -0,0 +1,105 @@
+// Stand-in for the OpenAI Responses API that answers with recorded responses, so the vision detector runs
+// without a key or network. Each recorded response is { "status": 200, "body": { ... } } (see
+// test/fixtures/openai), with an optional "delayMs" before it is sent to act as a slow or stalled server;
+// requests get them in order and the last one repeats.
+//
+// Tests call startOpenAiStub(); for a manual run, start it and point OPENAI_BASE_URL at the printed URL:
+//   npm --workspace apps/api run openai-stub -- [--port 4010] test/fixtures/openai/footer-logo.json ...
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+export const OPENAI_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "openai");
+
+export async function loadRecordedResponse(name) {
+  const file = path.isAbsolute(name) || name.endsWith(".json") ? path.resolve(name) : path.join(OPENAI_FIXTURES_DIR, `${name}.json`);
+  return JSON.parse(await fs.readFile(file, "utf-8"));
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+// requests keeps { path, headers, body } of every call, body parsed, for assertions on what was sent.
+export async function startOpenAiStub({ responses = [], port = 0, host = "127.0.0.1" } = {}) {
+  let queue = responses.slice();
+  let served = 0;
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== "POST" || !req.url.endsWith("/responses")) {
+      sendJson(res, 404, { error: { message: `Unknown endpoint ${req.method} ${req.url}`, type: "invalid_request_error" } });
+      return;
+    }
+
+    const raw = await readBody(req);
+    let body = null;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      sendJson(res, 400, { error: { message: "Request body is not JSON", type: "invalid_request_error" } });
+      return;
+    }
+    requests.push({ path: req.url, headers: req.headers, body });
+
+    if (queue.length === 0) {
+      sendJson(res, 500, { error: { message: "No recorded response left in the stub", type: "server_error" } });
+      return;
+    }
+    const recorded = queue[Math.min(served, queue.length - 1)];
+    served += 1;
+    if (recorded.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, recorded.delayMs));
+      if (res.destroyed) return;
+    }
+    if (typeof recorded.body === "string") {
+      res.writeHead(recorded.status ?? 200, { "Content-Type": "text/plain" });
+      res.end(recorded.body);
+      return;
+    }
+    sendJson(res, recorded.status ?? 200, recorded.body);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    baseUrl: `http://${host}:${server.address().port}/v1`,
+    requests,
+    // Replaces the recorded responses and starts over from the first one.
+    respondWith(next) {
+      queue = next.slice();
+      served = 0;
+      requests.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { port: { type: "string", default: "4010" } }
+  });
+  // `npm run` changes into apps/api; fixture paths are meant from where the command was typed.
+  const baseDir = process.env.INIT_CWD || process.cwd();
+  const responses = await Promise.all(
+    positionals.map((name) => loadRecordedResponse(name.endsWith(".json") ? path.resolve(baseDir, name) : name))
+  );
+  const stub = await startOpenAiStub({ responses, port: Number(values.port) });
+  console.log(`OpenAI stub listening, set OPENAI_BASE_URL=${stub.baseUrl}`);
+}
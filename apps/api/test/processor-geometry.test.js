@@ -0,0 +1,118 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { drawBannerFitted, getStableFooterPdfRect, imageBboxToPdfRect } from "../src/processor.js";
+import { pdfRectToImageRect } from "../src/removal.js";
+
+const LETTER = { width: 612, height: 792 };
+
+function assertRectClose(actual, expected) {
+  for (const key of ["x", "y", "width", "height"]) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} != ${expected[key]}`);
+  }
+}
+
+// Records what drawBannerFitted draws instead of writing to a PDF page.
+function fakePage() {
+  const calls = [];
+  return {
+    calls,
+    drawRectangle: (options) => calls.push({ type: "rectangle", ...options }),
+    drawImage: (image, options) => calls.push({ type: "image", ...options })
+  };
+}
+
+function fakeImage(width, height) {
+  return { scale: (factor) => ({ width: width * factor, height: height * factor }) };
+}
+
+describe("imageBboxToPdfRect", () => {
+  test("maps render pixels to PDF points with a bottom-left origin", () => {
+    const renderSize = { width: 734, height: 950 };
+    const rect = imageBboxToPdfRect({ x: 367, y: 475, width: 183.5, height: 95 }, renderSize, LETTER);
+    assertRectClose(rect, { x: 306, y: 316.8, width: 153, height: 79.2 });
+  });
+
+  test("is the identity at scale 1 apart from the flipped y axis", () => {
+    const rect = imageBboxToPdfRect({ x: 10, y: 20, width: 100, height: 50 }, LETTER, LETTER);
+    assertRectClose(rect, { x: 10, y: 792 - 20 - 50, width: 100, height: 50 });
+  });
+
+  test("clamps boxes that leave the page", () => {
+    const rect = imageBboxToPdfRect({ x: -20, y: 780, width: 2000, height: 40 }, LETTER, LETTER);
+    assert.equal(rect.x, 0);
+    assert.equal(rect.y, 0);
+    assert.equal(rect.width, 612);
+    assert.equal(rect.height, 40);
+  });
+
+  test("keeps degenerate boxes at least one point wide and high", () => {
+    const rect = imageBboxToPdfRect({ x: 100, y: 100, width: 0, height: 0 }, LETTER, LETTER);
+    assert.equal(rect.width, 1);
+    assert.equal(rect.height, 1);
+  });
+
+  test("follows /Rotate and the box origin", () => {
+    // Landscape user space shown as a portrait page: the image's top left is the box's bottom left corner.
+    const box = { x: -40, y: 110, width: 792, height: 612 };
+    const bbox = { x: 10, y: 20, width: 100, height: 50 };
+    assertRectClose(imageBboxToPdfRect(bbox, LETTER, { ...box, rotate: 90 }), { x: -20, y: 120, width: 50, height: 100 });
+    assertRectClose(imageBboxToPdfRect(bbox, LETTER, { ...box, rotate: 270 }), { x: 682, y: 612, width: 50, height: 100 });
+    for (const rotate of [0, 90, 180, 270]) {
+      const geometry = rotate % 180 === 0 ? { ...box, width: 612, height: 792, rotate } : { ...box, rotate };
+      assert.deepEqual(pdfRectToImageRect(imageBboxToPdfRect(bbox, LETTER, geometry), LETTER, geometry), bbox, `rotate ${rotate}`);
+    }
+  });
+});
+
+describe("getStableFooterPdfRect", () => {
+  test("spans the page width from the bottom edge", () => {
+    assertRectClose(getStableFooterPdfRect(LETTER, 0.112), { x: 0, y: 0, width: 612, height: 792 * 0.112 });
+  });
+
+  test("does not depend on the detected box", () => {
+    assert.deepEqual(getStableFooterPdfRect({ width: 595, height: 842 }, 0.25), { x: 0, y: 0, width: 595, height: 210.5 });
+  });
+});
+
+describe("drawBannerFitted", () => {
+  const target = { x: 0, y: 0, width: 600, height: 100 };
+
+  test("contain fits a wide banner to the width and centers it vertically", () => {
+    const page = fakePage();
+    drawBannerFitted(page, fakeImage(1200, 100), target, { fit: "contain" });
+    assert.equal(page.calls.length, 1);
+    assertRectClose(page.calls[0], { x: 0, y: 25, width: 600, height: 50 });
+  });
+
+  test("contain fits a tall banner to the height and centers it horizontally", () => {
+    const page = fakePage();
+    drawBannerFitted(page, fakeImage(200, 200), target, { fit: "contain" });
+    assertRectClose(page.calls[0], { x: 250, y: 0, width: 100, height: 100 });
+  });
+
+  test("cover fills the target and overflows the other side", () => {
+    const page = fakePage();
+    drawBannerFitted(page, fakeImage(1200, 100), target, { fit: "cover" });
+    assertRectClose(page.calls[0], { x: -300, y: 0, width: 1200, height: 100 });
+  });
+
+  test("offsets move the banner right and down", () => {
+    const page = fakePage();
+    drawBannerFitted(page, fakeImage(1200, 100), target, { fit: "contain", rightOffsetPx: 12, bottomOffsetPx: 5 });
+    assertRectClose(page.calls[0], { x: 12, y: 20, width: 600, height: 50 });
+  });
+
+  test("fills the target behind the banner only with a background color", () => {
+    const withColor = fakePage();
+    drawBannerFitted(withColor, fakeImage(1200, 100), target, { fillBackground: true, bgColor: { r: 1, g: 0, b: 0 } });
+    assert.deepEqual(withColor.calls.map((call) => call.type), ["rectangle", "image"]);
+    assertRectClose(withColor.calls[0], target);
+
+    const withoutColor = fakePage();
+    drawBannerFitted(withoutColor, fakeImage(1200, 100), target, { fillBackground: true, bgColor: null });
+    assert.deepEqual(withoutColor.calls.map((call) => call.type), ["image"]);
+  });
+});
@@ -0,0 +1,80 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { createJobQueue } from "../src/queue.js";
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+function createLogger() {
+  const errors = [];
+  return { errors, warn() {}, error: (error) => errors.push(error) };
+}
+
+describe("local job queue", () => {
+  test("logs a failing hook and keeps running jobs", async () => {
+    const logger = createLogger();
+    const handled = [];
+    const secondDone = deferred();
+    const queue = await createJobQueue({
+      driver: "local",
+      concurrency: 1,
+      maxAttempts: 2,
+      backoffMs: 0,
+      logger,
+      handler: async (payload, { attempt }) => {
+        handled.push(`${payload.jobId}:${attempt}`);
+        if (payload.jobId === "second") secondDone.resolve();
+        else throw new Error("processing failed");
+      },
+      onRetry: async () => {
+        throw new Error("store unavailable on retry");
+      },
+      onFailed: async () => {
+        throw new Error("store unavailable on failure");
+      }
+    });
+
+    await queue.enqueue({ jobId: "first" });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await queue.enqueue({ jobId: "second" });
+    await secondDone.promise;
+    await queue.close();
+
+    assert.deepEqual(handled, ["first:1", "first:2", "second:1"]);
+    assert.deepEqual(logger.errors.map((error) => error.message), ["store unavailable on retry", "store unavailable on failure"]);
+  });
+
+  test("close waits for the running job", async () => {
+    const started = deferred();
+    const release = deferred();
+    const events = [];
+    const queue = await createJobQueue({
+      driver: "local",
+      concurrency: 1,
+      maxAttempts: 1,
+      logger: createLogger(),
+      handler: async () => {
+        started.resolve();
+        await release.promise;
+        events.push("job finished");
+      }
+    });
+
+    await queue.enqueue({ jobId: "running" });
+    await started.promise;
+    const closing = queue.close().then(() => events.push("queue closed"));
+    setTimeout(release.resolve, 20);
+    await closing;
+
+    assert.deepEqual(events, ["job finished", "queue closed"]);
+    await assert.rejects(queue.enqueue({ jobId: "late" }), /Queue is closed/);
+  });
+});
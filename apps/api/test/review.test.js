@@ -0,0 +1,187 @@
+import { FIXTURES_DIR } from "./env.js";
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { PDFDocument } from "pdf-lib";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import sharp from "sharp";
+
+import { getStableFooterPdfRect, processPdf, renderPageToPngBuffer } from "../src/processor.js";
+import { applyReviewDecisions, isReviewPending, listReviewPages, validateReviewDecisions } from "../src/review.js";
+
+// One page with two logos, both below the auto threshold, so the page carries two detections for review.
+async function twoLogoPdf() {
+  const pdfDoc = await PDFDocument.create();
+  const logo = await pdfDoc.embedPng(await fs.readFile(path.join(FIXTURES_DIR, "logo-refs", "logo.png")));
+  const page = pdfDoc.addPage([612, 792]);
+  for (const [x, y, width] of [[440, 36, 130], [300, 150, 120]]) {
+    page.drawImage(logo, { x, y, width, height: (width * logo.height) / logo.width });
+  }
+  return pdfDoc.save();
+}
+
+// A render-pixel box of the first page of a PDF, as a sharp image.
+async function renderedBox(pdfPath, renderSize, bbox) {
+  const doc = await pdfjsLib.getDocument({ data: new Uint8Array(await fs.readFile(pdfPath)) }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const { png } = await renderPageToPngBuffer(page, renderSize.width / page.getViewport({ scale: 1 }).width);
+    return sharp(await sharp(png).extract({ left: bbox.x, top: bbox.y, width: bbox.width, height: bbox.height }).toBuffer());
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// Darkest gray level (0-255) inside a render-pixel box on the first page of a PDF; 255 when the box is blank.
+async function darkestPixel(pdfPath, renderSize, bbox) {
+  const pixels = await (await renderedBox(pdfPath, renderSize, bbox)).greyscale().raw().toBuffer();
+  return Math.min(...pixels);
+}
+
+describe("review", () => {
+  let workDir;
+  let audit;
+  const paths = {};
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-logo-review-"));
+    paths.inputPath = path.join(workDir, "input.pdf");
+    await fs.writeFile(paths.inputPath, await twoLogoPdf());
+  });
+
+  after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  // A fresh job for every test, since applying a review rewrites the output and the audit.
+  async function runJob() {
+    paths.outputPath = path.join(workDir, "output.pdf");
+    paths.auditPath = path.join(workDir, "audit.json");
+    await processPdf({
+      ...paths,
+      settings: { formatKey: "golden", mode: "redact", autoThreshold: 0.99, reviewThreshold: 0.3 }
+    });
+    audit = JSON.parse(await fs.readFile(paths.auditPath, "utf-8"));
+    return audit;
+  }
+
+  test("lists every detection waiting for review", async () => {
+    await runJob();
+    const [page] = listReviewPages(audit);
+    assert.equal(page.reason, "borderline_score");
+    assert.deepEqual(page.detections.map((detection) => [detection.index, detection.primary]), [[0, true], [1, false]]);
+    assert.deepEqual(page.removedBoxes, []);
+  });
+
+  test("asks for one decision per detection when they differ", async () => {
+    await runJob();
+    const bboxPx = { x: 10, y: 10, width: 50, height: 20 };
+    assert.match(validateReviewDecisions(audit, [{ pageNumber: 1, decision: "adjust", bboxPx }]), /2 detections to review/);
+    assert.match(
+      validateReviewDecisions(audit, [{ pageNumber: 1, detections: [{ index: 0, decision: "approve" }] }]),
+      /detection 1 needs a decision/
+    );
+    assert.match(
+      validateReviewDecisions(audit, [{ pageNumber: 1, detections: [{ index: 0, decision: "approve" }, { index: 4, decision: "reject" }] }]),
+      /detection 4 is not up for review/
+    );
+    assert.match(
+      validateReviewDecisions(audit, [{ pageNumber: 1, detections: [{ index: 0, decision: "adjust" }, { index: 1, decision: "reject" }] }]),
+      /detection 0: adjust requires bboxPx/
+    );
+    assert.equal(validateReviewDecisions(audit, [{ pageNumber: 1, decision: "approve" }]), null);
+  });
+
+  test("a page-level approve removes every detection", async () => {
+    await runJob();
+    const renderSize = audit.pages[0].renderSize;
+    const [first, second] = audit.pages[0].detections.map((detection) => detection.bboxPx);
+    const before = await darkestPixel(paths.outputPath, renderSize, second);
+
+    const updated = await applyReviewDecisions({ ...paths, decisions: [{ pageNumber: 1, decision: "approve" }] });
+    const [page] = updated.pages;
+    assert.equal(page.action, "removed");
+    assert.equal(page.review.decision, "approve");
+    assert.deepEqual(page.detections.map((detection) => detection.action), ["removed", "removed"]);
+    assert.ok(page.detections.every((detection) => detection.pdfRect));
+    assert.equal(isReviewPending(updated), false);
+
+    assert.ok(before < 128, "the second logo is on the page before the review");
+    assert.equal(await darkestPixel(paths.outputPath, renderSize, first), 255);
+    assert.equal(await darkestPixel(paths.outputPath, renderSize, second), 255);
+  });
+
+  test("applies one decision per detection and keeps them for a new review", async () => {
+    await runJob();
+    const renderSize = audit.pages[0].renderSize;
+    const [first, second] = audit.pages[0].detections.map((detection) => detection.bboxPx);
+    const adjusted = { x: first.x - 4, y: first.y - 4, width: first.width + 8, height: first.height + 8 };
+
+    const updated = await applyReviewDecisions({
+      ...paths,
+      decisions: [{ pageNumber: 1, detections: [{ index: 0, decision: "adjust", bboxPx: adjusted }, { index: 1, decision: "reject" }] }]
+    });
+    const [page] = updated.pages;
+    assert.equal(page.review.decision, "adjust");
+    assert.deepEqual(page.review.bboxPx, adjusted);
+    assert.deepEqual(page.detections.map((detection) => [detection.action, detection.review.decision]), [
+      ["removed", "adjust"],
+      ["none", "reject"]
+    ]);
+    assert.equal(page.detections[1].pdfRect, null);
+    assert.equal(await darkestPixel(paths.outputPath, renderSize, first), 255);
+    assert.ok(await darkestPixel(paths.outputPath, renderSize, second) < 128, "the rejected logo stays");
+
+    const [listed] = listReviewPages(updated);
+    assert.deepEqual(listed.detections.map((detection) => detection.review.decision), ["adjust", "reject"]);
+    assert.deepEqual(listed.removedBoxes, []);
+  });
+
+  test("re-applies a footer banner of the page as it was", async () => {
+    await runJob();
+    const renderSize = audit.pages[0].renderSize;
+    const footerHeight = Math.round(renderSize.height * audit.formatProfile.footerRatio);
+    const footerBox = { x: 0, y: renderSize.height - footerHeight, width: renderSize.width, height: footerHeight };
+    // As an ai-cut job records a footer strip it replaced with the format's banner.
+    audit.pages[0].detections.push({
+      score: 1,
+      bboxPx: footerBox,
+      pdfRect: getStableFooterPdfRect(audit.pages[0].pageSize, audit.formatProfile.footerRatio),
+      matchedReference: "footer-banner",
+      action: "replaced_footer_banner",
+      bannerReplacement: true,
+      primary: false
+    });
+    await fs.writeFile(paths.auditPath, JSON.stringify(audit), "utf-8");
+
+    const updated = await applyReviewDecisions({ ...paths, decisions: [{ pageNumber: 1, decision: "reject" }] });
+    const [page] = updated.pages;
+    const banner = page.detections[2];
+    assert.deepEqual(page.detections.map((detection) => detection.action), ["none", "none", "replaced_footer_banner"]);
+    assert.equal(page.action, "replaced_footer_banner");
+    assert.deepEqual(banner.pdfRect, getStableFooterPdfRect(page.pageSize, audit.formatProfile.footerRatio));
+    assert.deepEqual(listReviewPages(updated)[0].removedBoxes, [footerBox]);
+
+    // The banner is mostly the format's purple, where a sampled fill would be the white page.
+    const inside = { x: 2, y: footerBox.y + 2, width: footerBox.width - 4, height: footerBox.height - 4 };
+    const { channels } = await (await renderedBox(paths.outputPath, renderSize, inside)).stats();
+    const [r, g] = channels.map((channel) => channel.mean);
+    assert.ok(r > g + 40, `footer is not the banner (mean r=${r.toFixed(0)} g=${g.toFixed(0)})`);
+  });
+
+  test("keeps the automatic action of an approved detection", async () => {
+    await runJob();
+    audit.pages[0].detections[0].action = "replaced_footer_banner";
+    audit.pages[0].detections[0].bannerReplacement = false;
+    audit.pages[0].detections[0].review = { decision: "approve", previousAction: "replaced_footer_banner" };
+    await fs.writeFile(paths.auditPath, JSON.stringify(audit), "utf-8");
+
+    const updated = await applyReviewDecisions({ ...paths, decisions: [{ pageNumber: 1, decision: "approve" }] });
+    assert.deepEqual(updated.pages[0].detections.map((detection) => detection.action), ["replaced_footer_banner", "removed"]);
+    assert.equal(updated.pages[0].action, "replaced_footer_banner");
+  });
+});
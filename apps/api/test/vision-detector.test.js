@@ -0,0 +1,201 @@
+import { FIXTURES_DIR } from "./env.js";
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { PDFDocument } from "pdf-lib";
+import sharp from "sharp";
+
+import { config } from "../src/config.js";
+import { createVisionDetector } from "../src/detectors/vision.js";
+import { processPdf } from "../src/processor.js";
+import { loadRecordedResponse, startOpenAiStub } from "./openai-stub.js";
+
+// The vision detector against the stub in openai-stub.js, which replays the recorded responses in
+// test/fixtures/openai. The footer-logo responses box the logo drawn by fixturePdf below.
+const ROIS = [{ name: "footer_right", x: 0.45, y: 0.6, width: 0.55, height: 0.4, pages: "all" }];
+
+async function responses(...names) {
+  return Promise.all(names.map(loadRecordedResponse));
+}
+
+async function blankPage(width = 612, height = 792) {
+  const png = await sharp({ create: { width, height, channels: 3, background: "#ffffff" } }).png().toBuffer();
+  return { png, width, height };
+}
+
+async function fixturePdf() {
+  const pdfDoc = await PDFDocument.create();
+  const logo = await pdfDoc.embedPng(await fs.readFile(path.join(FIXTURES_DIR, "logo-refs", "logo.png")));
+  const page = pdfDoc.addPage([612, 792]);
+  page.drawImage(logo, { x: 412, y: 36, width: 160, height: (160 * logo.height) / logo.width });
+  return pdfDoc.save();
+}
+
+describe("vision detector", () => {
+  let stub;
+  let workDir;
+  const saved = {};
+
+  before(async () => {
+    stub = await startOpenAiStub();
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-logo-vision-"));
+    Object.assign(saved, {
+      openaiBaseUrl: config.openaiBaseUrl,
+      openaiApiKey: config.openaiApiKey,
+      detectorMode: config.detectorMode,
+      openaiTimeoutMs: config.openaiTimeoutMs
+    });
+    Object.assign(config, { openaiBaseUrl: stub.baseUrl, openaiApiKey: "test-key", detectorMode: "ai-probe" });
+  });
+
+  after(async () => {
+    Object.assign(config, saved);
+    await stub.close();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    config.openaiApiKey = "test-key";
+    config.detectorMode = "ai-probe";
+    config.openaiTimeoutMs = saved.openaiTimeoutMs;
+  });
+
+  async function detect(page = null) {
+    const detector = createVisionDetector();
+    await detector.init();
+    return detector.detect(page || await blankPage(), { pageNumber: 1, rois: ROIS });
+  }
+
+  test("sends the page, the ROIs and the logo references to the Responses API", async () => {
+    stub.respondWith(await responses("footer-logo"));
+    const [detection] = await detect();
+
+    assert.equal(stub.requests.length, 1);
+    const [{ path: requestPath, headers, body }] = stub.requests;
+    assert.equal(requestPath, "/v1/responses");
+    assert.equal(headers.authorization, "Bearer test-key");
+    assert.equal(body.model, config.openaiModel);
+    const content = body.input[0].content;
+    assert.match(content[0].text, /footer_right \(x=0\.45, y=0\.6, width=0\.55, height=0\.4\)/);
+    assert.ok(content.some((part) => part.type === "input_text" && part.text === "Reference logo: logo.png"));
+    assert.equal(content.filter((part) => part.type === "input_image").length, 2);
+
+    assert.equal(detection.score, 0.93);
+    assert.equal(detection.plausible, true);
+    assert.equal(detection.matchedReference, "logo.png");
+    assert.deepEqual(detection.bboxPx, { x: 412, y: 709, width: 160, height: 47 });
+  });
+
+  test("omits the Authorization header without a key", async () => {
+    config.openaiApiKey = "";
+    stub.respondWith(await responses("no-logo"));
+    await detect();
+    assert.equal(stub.requests[0].headers.authorization, undefined);
+  });
+
+  test("returns every logo of a fenced answer, the most confident first", async () => {
+    stub.respondWith(await responses("two-logos"));
+    const detections = await detect();
+    assert.deepEqual(detections.map((detection) => detection.score), [0.88, 0.71]);
+    assert.equal(detections[0].aiProbe.detections.length, 2);
+  });
+
+  test("keeps the complete detections of a truncated answer", async () => {
+    stub.respondWith(await responses("truncated"));
+    const detections = await detect();
+    assert.equal(detections.length, 1);
+    assert.equal(detections[0].score, 0.9);
+  });
+
+  test("yields one zero-score candidate when nothing is found", async () => {
+    stub.respondWith(await responses("no-logo"));
+    const detections = await detect();
+    assert.equal(detections.length, 1);
+    assert.equal(detections[0].score, 0);
+    assert.equal(detections[0].bboxPx, null);
+    assert.equal(detections[0].aiProbe.rawText, "[]");
+  });
+
+  test("skips the model call on pages without a ROI", async () => {
+    stub.respondWith(await responses("footer-logo"));
+    const detector = createVisionDetector();
+    await detector.init();
+    assert.deepEqual(await detector.detect(await blankPage(), { pageNumber: 1, rois: [] }), []);
+    assert.equal(stub.requests.length, 0);
+  });
+
+  test("reports the status and the body of a failed request", async () => {
+    stub.respondWith(await responses("rate-limit"));
+    await assert.rejects(detect(), /OpenAI request failed \(429\): .*Rate limit reached/);
+  });
+
+  test("reports a response that is not JSON", async () => {
+    stub.respondWith([{ status: 200, body: "<html>Bad gateway</html>" }]);
+    await assert.rejects(detect(), /OpenAI response from http:\/\/127\.0\.0\.1:\d+\/v1\/responses is not JSON/);
+  });
+
+  test("reports an unreachable server with its URL", async () => {
+    const closed = await startOpenAiStub();
+    await closed.close();
+    config.openaiBaseUrl = closed.baseUrl;
+    try {
+      await assert.rejects(detect(), new RegExp(`OpenAI request to ${closed.baseUrl}/responses failed`));
+    } finally {
+      config.openaiBaseUrl = stub.baseUrl;
+    }
+  });
+
+  test("gives up on a server that does not answer in time", async () => {
+    const [noLogo] = await responses("no-logo");
+    stub.respondWith([{ ...noLogo, delayMs: 1000 }]);
+    config.openaiTimeoutMs = 50;
+    const startedAt = Date.now();
+    await assert.rejects(detect(), /OpenAI request to http:\/\/127\.0\.0\.1:\d+\/v1\/responses timed out after 50 ms/);
+    assert.ok(Date.now() - startedAt < 1000, "the request was abandoned before the answer came");
+  });
+
+  for (const { mode, action } of [{ mode: "ai-probe", action: "review" }, { mode: "ai-cut", action: "removed" }]) {
+    test(`${mode} runs through processPdf`, async () => {
+      config.detectorMode = mode;
+      stub.respondWith(await responses("footer-logo"));
+      const inputPath = path.join(workDir, `${mode}.pdf`);
+      const auditPath = path.join(workDir, `${mode}.json`);
+      await fs.writeFile(inputPath, await fixturePdf());
+
+      await processPdf({
+        inputPath,
+        outputPath: path.join(workDir, `${mode}-out.pdf`),
+        auditPath,
+        settings: { formatKey: "golden", mode: "redact", autoThreshold: 0.6, reviewThreshold: 0.45 }
+      });
+
+      const audit = JSON.parse(await fs.readFile(auditPath, "utf-8"));
+      const [page] = audit.pages;
+      assert.equal(audit.detector, mode === "ai-probe" ? "ai-probe-v2" : "ai-cut-v2");
+      assert.equal(page.detectionScore, 0.93);
+      assert.equal(page.action, action);
+      assert.equal(page.aiProbe.confidence, 0.93);
+      assert.equal(page.matchedReference, "logo.png");
+      assert.equal(stub.requests.length, 1);
+    });
+  }
+
+  test("a failed request fails the job", async () => {
+    stub.respondWith(await responses("rate-limit"));
+    const inputPath = path.join(workDir, "failing.pdf");
+    await fs.writeFile(inputPath, await fixturePdf());
+    await assert.rejects(
+      processPdf({
+        inputPath,
+        outputPath: path.join(workDir, "failing-out.pdf"),
+        auditPath: path.join(workDir, "failing.json"),
+        settings: { formatKey: "golden", mode: "redact", autoThreshold: 0.6, reviewThreshold: 0.45 }
+      }),
+      /OpenAI request failed \(429\)/
+    );
+  });
+});
@@ -0,0 +1,54 @@
+import "./env.js";
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { parseVisionDetections } from "../src/detectors/vision.js";
+
+describe("parseVisionDetections", () => {
+  test("reads a JSON array", () => {
+    const text = "[{\"found\":true,\"confidence\":0.9,\"bbox\":{\"x\":0.1,\"y\":0.8,\"width\":0.2,\"height\":0.1}}]";
+    assert.deepEqual(parseVisionDetections(text), [
+      { found: true, confidence: 0.9, bbox: { x: 0.1, y: 0.8, width: 0.2, height: 0.1 } }
+    ]);
+  });
+
+  test("wraps a single object", () => {
+    assert.deepEqual(parseVisionDetections("{\"found\":false}"), [{ found: false }]);
+  });
+
+  test("strips markdown code fences", () => {
+    assert.deepEqual(parseVisionDetections("```json\n[{\"found\":false}]\n```"), [{ found: false }]);
+  });
+
+  test("finds an object inside surrounding prose", () => {
+    const text = "Here is the result: {\"found\":true,\"confidence\":0.7} Let me know if you need more.";
+    assert.deepEqual(parseVisionDetections(text), [{ found: true, confidence: 0.7 }]);
+  });
+
+  test("salvages the complete objects of a truncated array", () => {
+    const text = "[{\"found\":true,\"confidence\":0.8},{\"found\":true,\"confidence\":0.6},{\"found\":tr";
+    assert.deepEqual(parseVisionDetections(text), [
+      { found: true, confidence: 0.8 },
+      { found: true, confidence: 0.6 }
+    ]);
+  });
+
+  test("keeps braces and escaped quotes inside strings when salvaging", () => {
+    const text = "[{\"found\":true,\"note\":\"logo \\\"A}\\\" {left}\"},{\"found\":false},{\"found\":tr";
+    assert.deepEqual(parseVisionDetections(text), [{ found: true, note: "logo \"A}\" {left}" }, { found: false }]);
+  });
+
+  test("returns no detections for empty or non-JSON output", () => {
+    assert.deepEqual(parseVisionDetections(""), []);
+    assert.deepEqual(parseVisionDetections(null), []);
+    assert.deepEqual(parseVisionDetections("I cannot see a logo on this page."), []);
+    assert.deepEqual(parseVisionDetections("```json\n```"), []);
+    assert.deepEqual(parseVisionDetections("[{\"found\": tru"), []);
+  });
+
+  test("ignores JSON scalars", () => {
+    assert.deepEqual(parseVisionDetections("42"), []);
+    assert.deepEqual(parseVisionDetections("\"no logo\""), []);
+  });
+});
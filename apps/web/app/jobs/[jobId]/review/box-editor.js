@@ -0,0 +1,144 @@
+"use client";
+
+import { useRef } from "react";
+
+const MIN_BOX_PX = 8;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Page image with the detected footer zone, the boxes already removed elsewhere on the page (fixed)
+// and the editable logo boxes on top, numbered from 1 when there are several.
+// All coordinates are render pixels (the audit's bboxPx space); only the display is scaled.
+// `boxes`: [{ box, disabled }]; `onChange(index, box)` reports a moved or resized box.
+export default function BoxEditor({ src, renderSize, footerZone, fixedBoxes = [], boxes = [], onChange, displayWidth = 420 }) {
+  const drag = useRef(null);
+  const scale = displayWidth / renderSize.width;
+  const displayHeight = Math.round(renderSize.height * scale);
+
+  function startDrag(event, index, mode) {
+    if (boxes[index].disabled) return;
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drag.current = { index, mode, startX: event.clientX, startY: event.clientY, box: boxes[index].box };
+  }
+
+  function moveDrag(event) {
+    if (!drag.current) return;
+    const { index, mode, startX, startY, box: start } = drag.current;
+    const dx = (event.clientX - startX) / scale;
+    const dy = (event.clientY - startY) / scale;
+
+    if (mode === "move") {
+      onChange(index, {
+        ...start,
+        x: Math.round(clamp(start.x + dx, 0, renderSize.width - start.width)),
+        y: Math.round(clamp(start.y + dy, 0, renderSize.height - start.height))
+      });
+    } else {
+      onChange(index, {
+        ...start,
+        width: Math.round(clamp(start.width + dx, MIN_BOX_PX, renderSize.width - start.x)),
+        height: Math.round(clamp(start.height + dy, MIN_BOX_PX, renderSize.height - start.y))
+      });
+    }
+  }
+
+  function endDrag() {
+    drag.current = null;
+  }
+
+  return (
+    <div style={{ position: "relative", width: displayWidth, height: displayHeight, border: "1px solid #cbd5e1", userSelect: "none" }}>
+      <img src={src} alt="" width={displayWidth} height={displayHeight} draggable={false} style={{ display: "block" }} />
+
+      {footerZone && (
+        <div
+          style={{
+            position: "absolute",
+            left: footerZone.x0 * scale,
+            top: footerZone.y0 * scale,
+            width: (footerZone.x1 - footerZone.x0) * scale,
+            height: (footerZone.y1 - footerZone.y0) * scale,
+            border: "1px dashed #0ea5e9",
+            pointerEvents: "none"
+          }}
+        />
+      )}
+
+      {fixedBoxes.map((fixed, index) => (
+        <div
+          key={index}
+          style={{
+            position: "absolute",
+            left: fixed.x * scale,
+            top: fixed.y * scale,
+            width: fixed.width * scale,
+            height: fixed.height * scale,
+            border: "2px solid #64748b",
+            background: "rgba(100,116,139,0.25)",
+            boxSizing: "border-box",
+            pointerEvents: "none"
+          }}
+        />
+      ))}
+
+      {boxes.map(({ box, disabled }, index) => (
+        <div
+          key={index}
+          onPointerDown={(event) => startDrag(event, index, "move")}
+          onPointerMove={moveDrag}
+          onPointerUp={endDrag}
+          style={{
+            position: "absolute",
+            left: box.x * scale,
+            top: box.y * scale,
+            width: box.width * scale,
+            height: box.height * scale,
+            border: `2px solid ${disabled ? "#94a3b8" : "#dc2626"}`,
+            background: disabled ? "transparent" : "rgba(220,38,38,0.12)",
+            cursor: disabled ? "default" : "move",
+            boxSizing: "border-box",
+            touchAction: "none"
+          }}
+        >
+          {boxes.length > 1 && (
+            <span
+              style={{
+                position: "absolute",
+                left: 0,
+                top: -18,
+                padding: "0 4px",
+                fontSize: 12,
+                color: "#ffffff",
+                background: disabled ? "#94a3b8" : "#dc2626",
+                pointerEvents: "none"
+              }}
+            >
+              {index + 1}
+            </span>
+          )}
+          {!disabled && (
+            <div
+              onPointerDown={(event) => startDrag(event, index, "resize")}
+              onPointerMove={moveDrag}
+              onPointerUp={endDrag}
+              style={{
+                position: "absolute",
+                right: -6,
+                bottom: -6,
+                width: 10,
+                height: 10,
+                background: "#dc2626",
+                cursor: "nwse-resize",
+                touchAction: "none"
+              }}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useParams } from "next/navigation";
+
+import BoxEditor from "./box-editor";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:3001";
+
+const REASON_LABELS = {
+  borderline_score: "Score dudoso",
+  nothing_removed: "No se removió nada",
+  auto_removed: "Removido automáticamente"
+};
+
+function defaultBox(page) {
+  const { width, height } = page.renderSize;
+  return {
+    x: Math.round(width * 0.6),
+    y: Math.round(height * 0.9),
+    width: Math.round(width * 0.25),
+    height: Math.round(height * 0.05)
+  };
+}
+
+function sameBox(a, b) {
+  return Boolean(a && b) && ["x", "y", "width", "height"].every((key) => Math.round(a[key]) === Math.round(b[key]));
+}
+
+// One editable box per detection up for review; a page without any gets a single box of its own
+// (index null), sent as a page-level decision.
+function initialEdit(page) {
+  const detections = page.detections?.length > 0
+    ? page.detections
+    : [{ index: null, bboxPx: page.bboxPx, review: page.review }];
+  return {
+    boxes: detections.map((detection) => ({
+      index: detection.index,
+      proposed: detection.bboxPx || null,
+      noLogo: detection.review?.decision === "reject",
+      bboxPx: detection.review?.bboxPx || detection.bboxPx || defaultBox(page)
+    }))
+  };
+}
+
+function boxDecision(box) {
+  if (box.noLogo) return { decision: "reject" };
+  if (box.proposed && sameBox(box.bboxPx, box.proposed)) return { decision: "approve" };
+  return { decision: "adjust", bboxPx: box.bboxPx };
+}
+
+function toDecision(page, edit) {
+  if (edit.boxes[0].index === null) return { pageNumber: page.pageNumber, ...boxDecision(edit.boxes[0]) };
+  return {
+    pageNumber: page.pageNumber,
+    detections: edit.boxes.map((box) => ({ index: box.index, ...boxDecision(box) }))
+  };
+}
+
+export default function ReviewPage() {
+  const { jobId } = useParams();
+  const [pages, setPages] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    load();
+  }, [jobId]);
+
+  function applyReview(json) {
+    const reviewPages = (json.pages || []).filter((page) => page.renderSize);
+    setPages(reviewPages);
+    setEdits(Object.fromEntries(reviewPages.map((page) => [page.pageNumber, initialEdit(page)])));
+    setStatus(json.status);
+  }
+
+  async function load() {
+    setError("");
+    setStatus("loading");
+    try {
+      const response = await fetch(`${API_BASE}/v1/jobs/${jobId}/review`);
+      const json = await response.json();
+      if (!response.ok) throw new Error(json.error || "No se pudo cargar la revisión");
+      applyReview(json);
+    } catch (err) {
+      setStatus("error");
+      setError(err.message || "Unexpected error");
+    }
+  }
+
+  function updateBox(pageNumber, boxIndex, patch) {
+    setEdits((current) => ({
+      ...current,
+      [pageNumber]: {
+        boxes: current[pageNumber].boxes.map((box, index) => (index === boxIndex ? { ...box, ...patch } : box))
+      }
+    }));
+  }
+
+  async function submit() {
+    setError("");
+    setStatus("submitting");
+    try {
+      const decisions = pages.map((page) => toDecision(page, edits[page.pageNumber]));
+      const response = await fetch(`${API_BASE}/v1/jobs/${jobId}/review`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ decisions })
+      });
+      const json = await response.json();
+      if (!response.ok) throw new Error(json.error || "No se pudo guardar la revisión");
+      applyReview(json);
+    } catch (err) {
+      setStatus("needs_review");
+      setError(err.message || "Unexpected error");
+    }
+  }
+
+  return (
+    <main style={{ maxWidth: 980, margin: "0 auto", background: "#ffffff", padding: 24, borderRadius: 12, boxShadow: "0 8px 30px rgba(15,23,42,0.08)" }}>
+      <h1 style={{ marginTop: 0 }}>Revisión de páginas</h1>
+      <p>
+        Mueve cada caja roja sobre su logo (arrastra la esquina para cambiar el tamaño) o marca &quot;Sin logo&quot;.
+        Si una página tiene varios logos por revisar, cada caja lleva su número y se decide por separado.
+        La línea azul punteada es la zona del footer detectada; las cajas grises son otros logos de la página que ya se removieron.
+      </p>
+      <p><strong>Job ID:</strong> {jobId}</p>
+      <p><strong>Status:</strong> {status}</p>
+      {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+
+      {status !== "loading" && pages.length === 0 && !error && <p>No hay páginas para revisar.</p>}
+
+      <div style={{ display: "grid", gap: 24 }}>
+        {pages.map((page) => {
+          const edit = edits[page.pageNumber];
+          if (!edit) return null;
+          return (
+            <section key={page.pageNumber} style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+              <BoxEditor
+                src={`${API_BASE}/v1/jobs/${jobId}/pages/${page.pageNumber}/preview?variant=original`}
+                renderSize={page.renderSize}
+                footerZone={page.footerZone}
+                fixedBoxes={page.removedBoxes}
+                boxes={edit.boxes.map((box) => ({ box: box.bboxPx, disabled: box.noLogo }))}
+                onChange={(boxIndex, bboxPx) => updateBox(page.pageNumber, boxIndex, { bboxPx })}
+              />
+              <div style={{ display: "grid", gap: 8 }}>
+                <strong>Página {page.pageNumber}</strong>
+                <span>{REASON_LABELS[page.reason] || page.reason}</span>
+                {page.removedBoxes?.length > 0 && <span>Otros logos removidos: {page.removedBoxes.length}</span>}
+                {page.review && <span>Decisión guardada: {page.review.decision}</span>}
+                {edit.boxes.map((box, boxIndex) => {
+                  const detection = page.detections?.find((item) => item.index === box.index);
+                  return (
+                    <div key={boxIndex} style={{ display: "grid", gap: 4, paddingTop: 8, borderTop: "1px solid #e2e8f0" }}>
+                      {edit.boxes.length > 1 && <strong>Logo {boxIndex + 1}</strong>}
+                      <span>Score: {Number((detection ? detection.score : page.detectionScore) || 0).toFixed(3)}</span>
+                      <span>Caja: {box.bboxPx.x}, {box.bboxPx.y}, {box.bboxPx.width}×{box.bboxPx.height}</span>
+                      <label style={{ display: "flex", gap: 6 }}>
+                        <input
+                          type="checkbox"
+                          checked={box.noLogo}
+                          onChange={(event) => updateBox(page.pageNumber, boxIndex, { noLogo: event.target.checked })}
+                        />
+                        Sin logo
+                      </label>
+                      <button
+                        type="button"
+                        disabled={box.noLogo}
+                        onClick={() => updateBox(page.pageNumber, boxIndex, { bboxPx: box.proposed || defaultBox(page) })}
+                      >
+                        Restaurar caja detectada
+                      </button>
+                    </div>
+                  );
+                })}
+                <a
+                  href={`${API_BASE}/v1/jobs/${jobId}/pages/${page.pageNumber}/preview?variant=cleaned&t=${encodeURIComponent(page.review?.reviewedAt || "")}`}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  Ver página limpia
+                </a>
+              </div>
+            </section>
+          );
+        })}
+      </div>
+
+      {pages.length > 0 && (
+        <div style={{ display: "flex", gap: 12, marginTop: 24, alignItems: "center" }}>
+          <button
+            type="button"
+            onClick={submit}
+            disabled={status === "submitting"}
+            style={{ width: 220, height: 40 }}
+          >
+            {status === "submitting" ? "Guardando..." : "Enviar revisión"}
+          </button>
+          {status === "completed" && (
+            <a href={`${API_BASE}/v1/jobs/${jobId}/download`}>Bajar el PDF limpio</a>
+          )}
+        </div>
+      )}
+
+      <p style={{ marginTop: 24 }}><a href="/">Volver</a></p>
+    </main>
+  );
+}
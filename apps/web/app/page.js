@@ -1,29 +1,63 @@
 "use client";
 
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:3001";
+const TERMINAL_STATUSES = ["completed", "failed", "needs_review"];
+const POLL_INTERVAL_MS = 1500;
+const MAX_POLL_ERRORS = 5;
 
 export default function Page() {
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [formats, setFormats] = useState([]);
   const [format, setFormat] = useState("style_a");
+  const [mode, setMode] = useState("overlay");
   const [jobId, setJobId] = useState("");
   const [status, setStatus] = useState("idle");
   const [error, setError] = useState("");
+  const [progress, setProgress] = useState(null);
+  const [pages, setPages] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const stopWatching = useRef(() => {});
 
-  const canUpload = useMemo(() => Boolean(file) && status !== "uploading", [file, status]);
+  useEffect(() => () => stopWatching.current(), []);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/v1/formats`)
+      .then((response) => response.json())
+      .then((json) => {
+        const list = Array.isArray(json.formats) ? json.formats : [];
+        setFormats(list);
+        setFormat((current) => (list.length > 0 && !list.some((item) => item.key === current) ? list[0].key : current));
+      })
+      .catch(() => setError("No se pudieron cargar los formatos"));
+  }, []);
+
+  const canUpload = useMemo(() => files.length > 0 && status !== "uploading", [files, status]);
+  // Several files or a ZIP go to a batch; a single PDF keeps the job view with live page updates.
+  const isBatch = files.length > 1 || files.some((item) => /\.zip$/i.test(item.name));
 
   async function upload() {
-    if (!file) return;
+    if (files.length === 0) return;
 
+    stopWatching.current();
     setError("");
     setStatus("uploading");
+    setProgress(null);
+    setPages([]);
+    setJobId("");
+    setBatch(null);
 
     try {
       const formData = new FormData();
-      formData.append("file", file);
+      if (isBatch) {
+        files.forEach((item) => formData.append("files", item));
+      } else {
+        formData.append("file", files[0]);
+      }
 
-      const response = await fetch(`${API_BASE}/v1/jobs?format=${encodeURIComponent(format)}`, {
+      const query = `format=${encodeURIComponent(format)}&mode=${encodeURIComponent(mode)}`;
+      const response = await fetch(`${API_BASE}/v1/${isBatch ? "batches" : "jobs"}?${query}`, {
         method: "POST",
         body: formData
       });
@@ -33,19 +67,76 @@ export default function Page() {
         throw new Error(json.error || "Upload failed");
       }
 
+      if (isBatch) {
+        setBatch(json);
+        setStatus(json.status);
+        pollBatch(json.batchId);
+        return;
+      }
+
       setJobId(json.jobId);
-      setStatus("queued");
-      pollStatus(json.jobId);
+      setStatus(json.status || "queued");
+      watchJob(json.jobId);
     } catch (err) {
       setStatus("idle");
       setError(err.message || "Unexpected error");
     }
   }
 
-  async function pollStatus(id) {
+  function applySnapshot(json) {
+    setStatus(json.status);
+    setProgress(json);
+    if (json.status === "failed" && json.error) setError(json.error);
+  }
+
+  // Live updates over Server-Sent Events; falls back to polling if the stream fails.
+  function watchJob(id) {
+    if (typeof EventSource === "undefined") {
+      pollStatus(id);
+      return;
+    }
+
+    const source = new EventSource(`${API_BASE}/v1/jobs/${id}/events`);
+    let finished = false;
+    stopWatching.current = () => source.close();
+
+    const onSnapshot = (event) => applySnapshot(JSON.parse(event.data));
+    source.addEventListener("status", onSnapshot);
+    source.addEventListener("progress", onSnapshot);
+    source.addEventListener("page", (event) => {
+      const page = JSON.parse(event.data);
+      setPages((current) => [...current.filter((p) => p.pageNumber !== page.pageNumber), page]
+        .sort((a, b) => a.pageNumber - b.pageNumber));
+    });
+    source.addEventListener("end", (event) => {
+      finished = true;
+      source.close();
+      applySnapshot(JSON.parse(event.data));
+    });
+    source.onerror = () => {
+      if (finished) return;
+      source.close();
+      pollStatus(id);
+    };
+  }
+
+  function pollStatus(id) {
+    let failures = 0;
     const interval = setInterval(async () => {
-      const response = await fetch(`${API_BASE}/v1/jobs/${id}`);
-      const json = await response.json();
+      let response;
+      let json;
+      try {
+        response = await fetch(`${API_BASE}/v1/jobs/${id}`);
+        json = await response.json();
+      } catch (err) {
+        failures += 1;
+        if (failures >= MAX_POLL_ERRORS) {
+          clearInterval(interval);
+          setError(`No se pudo consultar el estado: ${err.message || "network error"}`);
+        }
+        return;
+      }
+      failures = 0;
 
       if (!response.ok) {
         clearInterval(interval);
@@ -54,12 +145,40 @@ export default function Page() {
         return;
       }
 
-      setStatus(json.status);
+      applySnapshot(json);
 
-      if (["completed", "failed", "needs_review"].includes(json.status)) {
+      if (TERMINAL_STATUSES.includes(json.status)) {
         clearInterval(interval);
       }
-    }, 1500);
+    }, POLL_INTERVAL_MS);
+    stopWatching.current = () => clearInterval(interval);
+  }
+
+  // Batches have no event stream; their aggregate status is polled until every job is done.
+  function pollBatch(id) {
+    let failures = 0;
+    const interval = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE}/v1/batches/${id}`);
+        const json = await response.json();
+        if (!response.ok) {
+          clearInterval(interval);
+          setError(json.error || "Status failed");
+          return;
+        }
+        failures = 0;
+        setBatch(json);
+        setStatus(json.status);
+        if (TERMINAL_STATUSES.includes(json.status)) clearInterval(interval);
+      } catch (err) {
+        failures += 1;
+        if (failures >= MAX_POLL_ERRORS) {
+          clearInterval(interval);
+          setError(`No se pudo consultar el estado: ${err.message || "network error"}`);
+        }
+      }
+    }, POLL_INTERVAL_MS);
+    stopWatching.current = () => clearInterval(interval);
   }
 
   function downloadLink() {
@@ -73,20 +192,29 @@ export default function Page() {
   return (
     <main style={{ maxWidth: 760, margin: "0 auto", background: "#ffffff", padding: 24, borderRadius: 12, boxShadow: "0 8px 30px rgba(15,23,42,0.08)" }}>
       <h1 style={{ marginTop: 0 }}>PDF Logo Cambio a FICUA</h1>
-      <p>Sube el PDF para que cambie el logo.</p>
+      <p>Sube uno o varios PDF (o un ZIP con PDF) para que cambie el logo.</p>
 
       <div style={{ display: "grid", gap: 12 }}>
         <input
           type="file"
-          accept="application/pdf"
-          onChange={(event) => setFile(event.target.files?.[0] || null)}
+          accept="application/pdf,.zip,application/zip"
+          multiple
+          onChange={(event) => setFiles(Array.from(event.target.files || []))}
         />
         <label style={{ display: "grid", gap: 6 }}>
           <span>Formato</span>
           <select value={format} onChange={(event) => setFormat(event.target.value)}>
-            <option value="style_a">Estilo A (Constelaciones Morado)</option>
-            <option value="style_b">Estilo B (Gestalt)</option>
-            <option value="style_c">Estilo C (Constelaciones con el Footer Alto)</option>
+            {formats.map((item) => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "grid", gap: 6 }}>
+          <span>Modo de remoción</span>
+          <select value={mode} onChange={(event) => setMode(event.target.value)}>
+            <option value="overlay">Overlay (rectángulo encima, texto seleccionable)</option>
+            <option value="hard">Hard (página rasterizada, logo borrado del PDF)</option>
+            <option value="redact">Redact (logo borrado del PDF, texto seleccionable)</option>
           </select>
         </label>
 
@@ -96,7 +224,7 @@ export default function Page() {
           disabled={!canUpload}
           style={{ width: 180, height: 40 }}
         >
-          {status === "uploading" ? "Uploading..." : "Subir PDF"}
+          {status === "uploading" ? "Uploading..." : isBatch ? `Subir ${files.length > 1 ? `${files.length} archivos` : "ZIP"}` : "Subir PDF"}
         </button>
       </div>
 
@@ -104,14 +232,85 @@ export default function Page() {
 
       <p><strong>Status:</strong> {status}</p>
       {jobId && <p><strong>Job ID:</strong> {jobId}</p>}
+      {progress && !TERMINAL_STATUSES.includes(status) && (
+        <div style={{ display: "grid", gap: 6 }}>
+          <progress value={Number(progress.progress || 0)} max={100} style={{ width: "100%" }} />
+          <span>
+            Página {progress.pagesProcessed}/{progress.pagesTotal} · removidos {progress.removedCount} · revisión {progress.reviewCount}
+          </span>
+        </div>
+      )}
+      {batch && (
+        <div style={{ display: "grid", gap: 6 }}>
+          <span><strong>Lote:</strong> {batch.batchId}</span>
+          {!TERMINAL_STATUSES.includes(status) && <progress value={Number(batch.progress || 0)} max={100} style={{ width: "100%" }} />}
+          <span>
+            Archivos {batch.completed + batch.needsReview + batch.failed}/{batch.filesTotal} · páginas {batch.pagesProcessed}/{batch.pagesTotal}
+            {" "}· removidos {batch.removedCount} · revisión {batch.reviewCount} · fallidos {batch.failed}
+          </span>
+        </div>
+      )}
       {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
 
-      {["completed", "needs_review"].includes(status) && (
+      {batch && ["completed", "needs_review"].includes(status) && (
+        <div style={{ display: "flex", gap: 12 }}>
+          <a href={`${API_BASE}/v1/batches/${batch.batchId}/download`}>Bajar ZIP con los PDF limpios y la auditoría</a>
+        </div>
+      )}
+
+      {batch && (
+        <table style={{ width: "100%", marginTop: 16, borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left" }}>
+              <th>Archivo</th>
+              <th>Estado</th>
+              <th>Progreso</th>
+              <th>Removidos</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {batch.jobs.map((job) => (
+              <tr key={job.jobId}>
+                <td>{job.fileName}</td>
+                <td title={job.error || undefined}>{job.status}</td>
+                <td>{job.progress}%</td>
+                <td>{job.removedCount}</td>
+                <td>{job.status === "needs_review" && <a href={`/jobs/${job.jobId}/review`}>Revisar</a>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {jobId && ["completed", "needs_review"].includes(status) && (
         <div style={{ display: "flex", gap: 12 }}>
           <a href={downloadLink()}>Bajar el PDF limpio</a>
           <a href={auditLink()} target="_blank" rel="noreferrer">Ver auditoría JSON</a>
+          {status === "needs_review" && <a href={`/jobs/${jobId}/review`}>Revisar páginas</a>}
         </div>
       )}
+
+      {pages.length > 0 && (
+        <table style={{ width: "100%", marginTop: 16, borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left" }}>
+              <th>Página</th>
+              <th>Score</th>
+              <th>Acción</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pages.map((page) => (
+              <tr key={page.pageNumber}>
+                <td>{page.pageNumber}</td>
+                <td>{Number(page.score || 0).toFixed(3)}</td>
+                <td>{page.action}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </main>
   );
 }